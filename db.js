@@ -26,7 +26,7 @@ const pool = mysql.createPool({
   charset: 'utf8mb4'
 });
 
-// Test connection at startup and create subscribers table
+// Test connection at startup; schema changes live in migrations/ (npm run migrate)
 pool.getConnection((err, connection) => {
   if (err) {
     console.error('❌ Database connection failed:', err.message);
@@ -34,21 +34,6 @@ pool.getConnection((err, connection) => {
   } else {
     console.log('✅ Database connected successfully');
     connection.release();
-    // Create subscribers table if it doesn't exist
-    const createSubscribersTableSQL = `
-      CREATE TABLE IF NOT EXISTS subscribers (
-        id VARCHAR(32) PRIMARY KEY,
-        email VARCHAR(255) NOT NULL UNIQUE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-    `;
-    pool.query(createSubscribersTableSQL, (err) => {
-      if (err) {
-        console.error('❌ Failed to create subscribers table:', err.message);
-      } else {
-        console.log('✅ Subscribers table ready');
-      }
-    });
   }
 });
 
@@ -1,19 +1,128 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const { getActiveSession, touchSession } = require('../utils/sessions');
+const { authenticateApiKey } = require('../utils/apiKeys');
 dotenv.config();
 
-const requireAdmin = (req, res, next) => {
+const ROLES = ['owner', 'editor', 'finance'];
+
+// What each role may do. Routes ask for a permission, never for a role.
+const ROLE_PERMISSIONS = {
+  owner: ['admins:manage', 'content:manage', 'messages:manage', 'donations:read', 'events:read', 'audit:read', 'analytics:read'],
+  editor: ['content:manage', 'events:read', 'analytics:read'],
+  finance: ['donations:read', 'donations:manage'],
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Access tokens are short-lived JWTs tied to a server-side session (sid),
+// so revoking the session kills the token before it expires
+const requireAdmin = async (req, res, next) => {
+  let payload;
   try {
     const token = req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '');
     if (!token) return res.status(401).json({ message: 'Unauthorized' });
 
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+
+  // 2FA challenge tokens are signed with the same secret but are not logins
+  if (payload.purpose || !payload.sid) return res.status(401).json({ message: 'Invalid or expired token' });
+
+  try {
+    const session = await getActiveSession(payload.sid);
+    if (!session || session.admin_id !== payload.id) return res.status(401).json({ message: 'Session revoked' });
+
+    // role comes from the DB so demotions apply immediately
+    req.admin = { ...payload, role: session.role }; // { id, username, email, role, sid }
+    touchSession(payload.sid, req.ip).catch((err) => console.warn('⚠️ Failed to touch session:', err.message));
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// =============================
+// 🔐 2FA challenge tokens
+// =============================
+// purpose is '2fa' (enter a code) or '2fa-enroll' (2FA is mandatory but not set up yet)
+const signChallenge = (adminId, purpose) => jwt.sign(
+  { sub: adminId, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXP || '5m' }
+);
+
+// Returns the admin id, or null if the token is invalid, expired or for another purpose
+const verifyChallenge = (token, purpose) => {
+  try {
     const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = payload; // { id, username, email }
+    return payload.purpose === purpose ? payload.sub : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Logged-in admin, or someone mid-login who must enroll before getting a session
+const requireEnrollment = (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) return requireAdmin(req, res, next);
+
+  const adminId = verifyChallenge(challengeToken, '2fa-enroll');
+  if (!adminId) return res.status(401).json({ message: 'Invalid or expired token' });
+  req.admin = { id: adminId };
+  req.enrollment = true;
+  next();
+};
+
+// =============================
+// 🗝️ API keys (machine clients)
+// =============================
+// Authorization: ApiKey <key>
+const requireApiKey = async (req, res, next) => {
+  try {
+    const key = req.header('Authorization')?.replace(/^ApiKey\s+/i, '');
+    const apiKey = await authenticateApiKey(key, req.ip);
+    if (!apiKey) return res.status(401).json({ message: 'Invalid or expired API key' });
+    req.apiKey = apiKey; // { id, name, scopes }
     next();
   } catch (err) {
-    return res.status(401).json({ message: 'Invalid or expired token' });
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const isApiKeyRequest = (req) => /^ApiKey\s/i.test(req.header('Authorization') || '');
+
+// Permission-guarded routes accept either a human login or a scoped API key
+const requireAdminOrApiKey = (req, res, next) => (
+  isApiKeyRequest(req) ? requireApiKey(req, res, next) : requireAdmin(req, res, next)
+);
+
+// Use after requireAdmin / requireAdminOrApiKey; API keys need the permission as a scope
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin && !req.apiKey) return res.status(401).json({ message: 'Unauthorized' });
+  const allowed = req.apiKey
+    ? req.apiKey.scopes.includes(permission)
+    : hasPermission(req.admin.role, permission);
+  if (!allowed) {
+    return res.status(403).json({ message: 'Forbidden' });
   }
+  next();
 };
 
-module.exports = { requireAdmin };
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requireAdmin,
+  requireApiKey,
+  requireAdminOrApiKey,
+  requirePermission,
+  signChallenge,
+  verifyChallenge,
+  requireEnrollment,
+};
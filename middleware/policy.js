@@ -0,0 +1,108 @@
+// middleware/policy.js
+const { requireAdmin, requireAdminOrApiKey, requirePermission, requireEnrollment } = require('./auth');
+const ROUTE_POLICIES = require('./routePolicies');
+
+// Routers mounted through mountWithPolicy, for the startup coverage check
+const mounted = [];
+
+// Routes without a policy are refused outright; assertPolicyCoverage stops the server booting with any
+const denyUnlisted = (req, res) => res.status(403).json({ message: 'Forbidden' });
+
+const guardsFor = (access) => {
+  if (!access) return [denyUnlisted];
+  if (access === 'public') return [];
+  if (access === 'admin') return [requireAdmin];
+  if (access === 'enrollment') return [requireEnrollment];
+  return [requireAdminOrApiKey, requirePermission(access)];
+};
+
+// '/:id/views' -> /^\/([^/]+?)\/views\/?$/i, same matching rules as Express (case-insensitive, optional trailing slash)
+const compilePath = (routePath) => {
+  if (typeof routePath !== 'string' || /[*?{}()]/.test(routePath)) {
+    throw new Error(`Route policy: unsupported route path ${String(routePath)}`);
+  }
+  const pattern = routePath
+    .split('/')
+    .map((segment) => (segment.startsWith(':') ? '([^/]+?)' : segment.replace(/[.+^$|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${pattern === '' ? '/' : pattern}/?$`, 'i');
+};
+
+// Every [method, path] the router declares, in declaration order
+const listRoutes = (router) => {
+  const routes = [];
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({ method: method.toUpperCase(), path: layer.route.path });
+    }
+  }
+  return routes;
+};
+
+/*
+  Mounts `router` at `mountPath` behind the guards declared for it in routePolicies.js.
+
+  The guard picks the first declared route matching the request, exactly as the
+  router will, so a policy always belongs to the handler that actually runs.
+*/
+const mountWithPolicy = (app, mountPath, router) => {
+  const policies = ROUTE_POLICIES[mountPath] || {};
+
+  const guarded = listRoutes(router)
+    .map(({ method, path }) => ({
+      method,
+      regex: compilePath(path),
+      guards: guardsFor(policies[`${method} ${path}`])
+    }));
+
+  const guard = (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const match = guarded.find((route) => route.method === method && route.regex.test(req.path));
+    if (!match || match.guards.length === 0) return next();
+
+    // run the guard chain, stopping as soon as one of them responds
+    let i = 0;
+    const step = (err) => {
+      if (err) return next(err);
+      const current = match.guards[i++];
+      if (!current) return next();
+      Promise.resolve(current(req, res, step)).catch(next);
+    };
+    step();
+  };
+
+  mounted.push({ mountPath, router });
+  app.use(mountPath, guard, router);
+};
+
+// Throws (so the server refuses to boot) if any route has no declared policy
+const assertPolicyCoverage = () => {
+  const missing = [];
+  const unknown = [];
+
+  for (const { mountPath, router } of mounted) {
+    const policies = ROUTE_POLICIES[mountPath] || {};
+    const declared = new Set();
+
+    for (const { method, path } of listRoutes(router)) {
+      const key = `${method} ${path}`;
+      declared.add(key);
+      if (!policies[key]) missing.push(`${method} ${mountPath}${path}`);
+    }
+
+    for (const key of Object.keys(policies)) {
+      if (!declared.has(key)) unknown.push(`${mountPath}: ${key}`);
+    }
+  }
+
+  if (unknown.length > 0) {
+    console.warn('⚠️ Route policies for routes that do not exist:\n  ' + unknown.join('\n  '));
+  }
+  if (missing.length > 0) {
+    throw new Error('Routes without a route policy:\n  ' + missing.join('\n  '));
+  }
+  console.log(`✅ Route policies cover all routes (${mounted.length} routers)`);
+};
+
+module.exports = { mountWithPolicy, assertPolicyCoverage };
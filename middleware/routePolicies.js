@@ -0,0 +1,202 @@
+// middleware/routePolicies.js
+//
+// Who may call what. Keys are "<METHOD> <path as declared in the router>",
+// grouped by the path the router is mounted at in server.js.
+//
+//   'public'      anyone
+//   'admin'       any logged-in admin
+//   'enrollment'  logged-in admin, or a 2FA enrollment challenge token
+//   '<perm>'      logged-in admin whose role grants that permission (see ROLE_PERMISSIONS),
+//                 or an API key holding it as a scope
+//
+// Every route, GET included, must be listed here or the server refuses to start;
+// a route that somehow isn't is refused with a 403.
+
+const PUBLIC = 'public';
+const ADMIN = 'admin';
+const ENROLLMENT = 'enrollment';
+
+module.exports = {
+  '/api/events': {
+    'POST /subscribe': PUBLIC,
+    'GET /': PUBLIC,
+    'GET /all': 'events:read',
+    'GET /:id': PUBLIC,
+    'POST /': 'content:manage',
+    'PUT /:id': 'content:manage',
+    'DELETE /:id': 'content:manage',
+  },
+
+  '/api/music': {
+    'GET /': PUBLIC,
+    'POST /': 'content:manage',
+    'PUT /:id': 'content:manage',
+    'DELETE /:id': 'content:manage',
+    'POST /bulk': 'content:manage',
+    'GET /:id/stream': PUBLIC,
+    'GET /:id/waveform': PUBLIC,
+    'PATCH /:id/plays': PUBLIC,
+  },
+
+  // Drafts (unpublished releases) are only visible through GET /all
+  '/api/releases': {
+    'GET /': PUBLIC,
+    'GET /all': 'content:manage',
+    'GET /discography': PUBLIC,
+    'GET /:slug': PUBLIC,
+    'POST /': 'content:manage',
+    'PUT /:id': 'content:manage',
+    'DELETE /:id': 'content:manage',
+    'PUT /:id/tracks': 'content:manage',
+  },
+
+  '/api/photos': {
+    'POST /': 'content:manage',
+    'GET /': PUBLIC,
+    'GET /categories': PUBLIC,
+    'GET /duplicates': 'content:manage',
+    'POST /bulk': 'content:manage',
+    'GET /watermark': 'content:manage',
+    'PUT /watermark': 'content:manage',
+    'GET /watermark/image': 'content:manage',
+    'PUT /watermark/image': 'content:manage',
+    'GET /:id/original': 'content:manage',
+    'PATCH /:id/views': PUBLIC,
+    'PUT /:id': 'content:manage',
+    'DELETE /:id': 'content:manage',
+  },
+
+  // Drafts (unpublished albums) are only visible through GET /all
+  '/api/albums': {
+    'GET /': PUBLIC,
+    'GET /all': 'content:manage',
+    'PUT /order': 'content:manage',
+    'GET /:slug': PUBLIC,
+    'POST /': 'content:manage',
+    'PUT /:id': 'content:manage',
+    'DELETE /:id': 'content:manage',
+    'POST /:id/photos': 'content:manage',
+    'DELETE /:id/photos/:photoId': 'content:manage',
+    'PUT /:id/photos/order': 'content:manage',
+  },
+
+  '/api/blogs': {
+    'GET /': PUBLIC,
+    'GET /:id': PUBLIC,
+    'POST /': 'content:manage',
+    'PUT /:id': 'content:manage',
+    'DELETE /:id': 'content:manage',
+    'POST /bulk': 'content:manage',
+    'POST /:id/like': PUBLIC,
+    'POST /:id/comments': PUBLIC,
+    'DELETE /:id/comments/:commentId': 'content:manage',
+  },
+
+  // Donor names and phone numbers are not public
+  '/api/donations': {
+    'POST /': PUBLIC,
+    'GET /': 'donations:read',
+    'GET /:id': 'donations:read',
+  },
+
+  '/api/admin/donations': {
+    'POST /': PUBLIC,
+    'GET /': 'donations:read',
+    'GET /:id': 'donations:read',
+  },
+
+  // Deleted content; changing how long it is kept is for owners
+  '/api/admin/trash': {
+    'GET /': 'content:manage',
+    'GET /settings': 'content:manage',
+    'PUT /settings': 'admins:manage',
+    'POST /purge': 'content:manage',
+    'POST /:type/:id/restore': 'content:manage',
+    'DELETE /:type/:id': 'content:manage',
+  },
+
+  // Reports on plays, views and likes
+  '/api/admin/analytics': {
+    'GET /timeseries': 'analytics:read',
+    'GET /top': 'analytics:read',
+    'GET /compare': 'analytics:read',
+    'GET /breakdown': 'analytics:read',
+  },
+
+  '/api/admin': {
+    // account lifecycle, reachable before login
+    'POST /bootstrap': PUBLIC,
+    'POST /invites/accept': PUBLIC,
+    'POST /login': PUBLIC,
+    'POST /login/2fa': PUBLIC,
+    'POST /forgot-password': PUBLIC,
+    'POST /reset-password': PUBLIC,
+    'POST /refresh': PUBLIC,
+
+    // own account
+    'POST /logout': ADMIN,
+    'GET /sessions': ADMIN,
+    'DELETE /sessions': ADMIN,
+    'DELETE /sessions/:id': ADMIN,
+    'POST /2fa/setup': ENROLLMENT,
+    'POST /2fa/verify': ENROLLMENT,
+    'POST /2fa/recovery-codes': ADMIN,
+    'POST /2fa/disable': ADMIN,
+    'GET /lockouts': ADMIN,
+
+    // team management
+    'GET /settings/2fa': 'admins:manage',
+    'PUT /settings/2fa': 'admins:manage',
+    'GET /admins': 'admins:manage',
+    'PUT /admins/:id/role': 'admins:manage',
+    'POST /admins/:id/unlock': 'admins:manage',
+    'GET /admins/:id/sessions': 'admins:manage',
+    'DELETE /admins/:id/sessions': 'admins:manage',
+    'GET /invites': 'admins:manage',
+    'POST /invites': 'admins:manage',
+    'DELETE /invites/:id': 'admins:manage',
+    'GET /audit': 'audit:read',
+    'GET /api-keys': 'admins:manage',
+    'POST /api-keys': 'admins:manage',
+    'DELETE /api-keys/:id': 'admins:manage',
+
+    // content
+    'POST /upload/music': 'content:manage',
+    'POST /upload/photo': 'content:manage',
+    'POST /blogs': 'content:manage',
+    'PUT /about': 'content:manage',
+    'PUT /contact': 'content:manage',
+
+    'GET /contact-messages': 'messages:manage',
+    'DELETE /contact-message/:id': 'messages:manage',
+
+    'GET /donations': 'donations:read',
+    'PUT /donations/:id/status': 'donations:manage',
+  },
+
+  '/api/youtube': {
+    'GET /videos': PUBLIC,
+  },
+
+  '/api/contact-messages': {
+    'POST /': PUBLIC,
+    'GET /': 'messages:manage',
+    'DELETE /:id': 'messages:manage',
+  },
+
+  '/api': {
+    'GET /music': PUBLIC,
+    'GET /photos': PUBLIC,
+    'GET /blogs': PUBLIC,
+    'GET /about': PUBLIC,
+    'GET /contact': PUBLIC,
+    'POST /contact-message': PUBLIC,
+    'POST /donate': PUBLIC,
+    'POST /webhook/mtn': PUBLIC,
+  },
+
+  '/api/chatbot': {
+    'POST /': PUBLIC,
+    'GET /health': PUBLIC,
+  },
+};
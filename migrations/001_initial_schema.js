@@ -0,0 +1,138 @@
+// migrations/001_initial_schema.js
+//
+// The schema the app shipped with before migrations existed. Every statement is
+// IF NOT EXISTS so an existing database can be baselined by running it.
+
+const tables = {
+  admin: `
+    CREATE TABLE IF NOT EXISTS admin (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  photos: `
+    CREATE TABLE IF NOT EXISTS photos (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      file_path VARCHAR(255) NOT NULL,
+      caption VARCHAR(255) NULL,
+      original_name VARCHAR(255) NULL,
+      size VARCHAR(32) NULL,
+      status VARCHAR(32) NOT NULL DEFAULT 'active',
+      views INT NOT NULL DEFAULT 0,
+      description TEXT NULL,
+      mime_type VARCHAR(100) NULL,
+      category VARCHAR(100) NOT NULL DEFAULT 'general',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_photos_category (category),
+      FULLTEXT INDEX ft_photos_search (original_name, description)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  music: `
+    CREATE TABLE IF NOT EXISTS music (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      title VARCHAR(255) NULL,
+      artist VARCHAR(255) NULL,
+      genre VARCHAR(100) NULL,
+      type VARCHAR(20) NULL,
+      description TEXT NULL,
+      src VARCHAR(255) NULL,
+      cover VARCHAR(255) NULL,
+      file_path VARCHAR(255) NULL,
+      likes INT NOT NULL DEFAULT 0,
+      plays INT NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  blogs: `
+    CREATE TABLE IF NOT EXISTS blogs (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      content TEXT NULL,
+      category VARCHAR(100) NOT NULL DEFAULT 'general',
+      image_url VARCHAR(255) NULL,
+      likes INT NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  blog_comments: `
+    CREATE TABLE IF NOT EXISTS blog_comments (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      blogId VARCHAR(64) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      comment TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_blog_comments_blog (blogId)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  events: `
+    CREATE TABLE IF NOT EXISTS events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      date DATETIME NOT NULL,
+      venue VARCHAR(255) NULL,
+      status VARCHAR(32) NOT NULL DEFAULT 'scheduled',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  donations: `
+    CREATE TABLE IF NOT EXISTS donations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      donor_name VARCHAR(255) NULL,
+      phone VARCHAR(32) NOT NULL,
+      amount DECIMAL(12, 2) NOT NULL,
+      transaction_id VARCHAR(100) NOT NULL UNIQUE,
+      status VARCHAR(32) NOT NULL DEFAULT 'pending',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  about: `
+    CREATE TABLE IF NOT EXISTS about (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      content TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  contact: `
+    CREATE TABLE IF NOT EXISTS contact (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NULL,
+      phone VARCHAR(32) NULL,
+      address VARCHAR(255) NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  contact_messages: `
+    CREATE TABLE IF NOT EXISTS contact_messages (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      message TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  subscribers: `
+    CREATE TABLE IF NOT EXISTS subscribers (
+      id VARCHAR(32) PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+};
+
+module.exports = {
+  up: async (db) => {
+    for (const sql of Object.values(tables)) {
+      await db.query(sql);
+    }
+  },
+  down: async (db) => {
+    for (const name of Object.keys(tables).reverse()) {
+      await db.query(`DROP TABLE IF EXISTS \`${name}\``);
+    }
+  },
+};
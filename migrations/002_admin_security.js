@@ -0,0 +1,161 @@
+// migrations/002_admin_security.js
+//
+// Admin roles, two-factor auth, sessions, lockouts, audit log and API keys.
+// Previously created at server startup; idempotent so those databases baseline cleanly.
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+// Existing admins default to 'owner' so nobody loses access they already had
+const columns = [
+  { table: 'admin', column: 'role', definition: "ENUM('owner', 'editor', 'finance') NOT NULL DEFAULT 'owner'" },
+  { table: 'admin', column: 'totp_secret', definition: 'VARCHAR(64) NULL' },
+  { table: 'admin', column: 'totp_enabled', definition: 'TINYINT(1) NOT NULL DEFAULT 0' },
+  { table: 'admin', column: 'totp_last_step', definition: 'BIGINT NULL' },
+];
+
+const tables = {
+  admin_invites: `
+    CREATE TABLE IF NOT EXISTS admin_invites (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      role ENUM('owner', 'editor', 'finance') NOT NULL DEFAULT 'editor',
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      invited_by INT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_admin_invites_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  admin_recovery_codes: `
+    CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_recovery_codes_admin (admin_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  app_settings: `
+    CREATE TABLE IF NOT EXISTS app_settings (
+      setting_key VARCHAR(64) PRIMARY KEY,
+      setting_value TEXT NOT NULL,
+      updated_by INT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  admin_sessions: `
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id CHAR(36) PRIMARY KEY,
+      admin_id INT NOT NULL,
+      user_agent VARCHAR(255) NULL,
+      ip VARCHAR(45) NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      revoked_reason VARCHAR(32) NULL,
+      INDEX idx_admin_sessions_admin (admin_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  admin_refresh_tokens: `
+    CREATE TABLE IF NOT EXISTS admin_refresh_tokens (
+      token_hash CHAR(64) PRIMARY KEY,
+      session_id CHAR(36) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      rotated_at DATETIME NULL,
+      INDEX idx_refresh_tokens_session (session_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  admin_password_resets: `
+    CREATE TABLE IF NOT EXISTS admin_password_resets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      requested_ip VARCHAR(45) NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_password_resets_admin (admin_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  login_attempts: `
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      identifier VARCHAR(255) NOT NULL,
+      admin_id INT NULL,
+      ip VARCHAR(45) NULL,
+      success TINYINT(1) NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_login_attempts_identifier (identifier, created_at),
+      INDEX idx_login_attempts_admin (admin_id, created_at),
+      INDEX idx_login_attempts_ip (ip, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  admin_lockouts: `
+    CREATE TABLE IF NOT EXISTS admin_lockouts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NOT NULL,
+      identifier VARCHAR(255) NOT NULL,
+      ip VARCHAR(45) NULL,
+      failed_attempts INT NOT NULL,
+      locked_until DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      unlocked_at DATETIME NULL,
+      unlocked_by INT NULL,
+      INDEX idx_admin_lockouts_admin (admin_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  audit_log: `
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      actor_id INT NULL,
+      actor_username VARCHAR(255) NULL,
+      action VARCHAR(64) NOT NULL,
+      entity_type VARCHAR(64) NOT NULL,
+      entity_id VARCHAR(64) NULL,
+      before_data JSON NULL,
+      after_data JSON NULL,
+      ip VARCHAR(45) NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_audit_entity (entity_type, entity_id),
+      INDEX idx_audit_actor (actor_id),
+      INDEX idx_audit_action (action),
+      INDEX idx_audit_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  api_keys: `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(12) NOT NULL,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      scopes JSON NOT NULL,
+      created_by INT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NULL,
+      last_used_at DATETIME NULL,
+      last_used_ip VARCHAR(45) NULL,
+      revoked_at DATETIME NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+};
+
+module.exports = {
+  up: async (db) => {
+    for (const { table, column, definition } of columns) {
+      await addColumnIfMissing(db, table, column, definition);
+    }
+    for (const sql of Object.values(tables)) {
+      await db.query(sql);
+    }
+  },
+  down: async (db) => {
+    for (const name of Object.keys(tables).reverse()) {
+      await db.query(`DROP TABLE IF EXISTS \`${name}\``);
+    }
+    for (const { table, column } of [...columns].reverse()) {
+      await dropColumnIfExists(db, table, column);
+    }
+  },
+};
@@ -0,0 +1,77 @@
+// migrations/003_uuid_ids.js
+//
+// Re-keys string-id tables onto UUIDv7 (utils/ids.js) so ids sort by creation time.
+// The old id is kept in legacy_id and repositories still resolve it, so links
+// and bookmarks made before this migration keep working.
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../utils/migrator');
+const { idForTimestamp, isId } = require('../utils/ids');
+
+const TABLES = ['photos', 'music', 'blogs', 'blog_comments', 'subscribers'];
+
+// Legacy ids start with Date.now(); fall back to created_at when they don't
+const legacyTimestamp = (row) => {
+  const match = /^(\d{13})/.exec(row.id);
+  if (match) return Number(match[1]);
+  const created = row.created_at instanceof Date ? row.created_at.getTime() : Date.parse(row.created_at);
+  return Number.isFinite(created) ? created : Date.now();
+};
+
+const columnLength = async (db, table, column) => {
+  const [rows] = await db.query(
+    'SELECT CHARACTER_MAXIMUM_LENGTH AS len FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows[0] ? Number(rows[0].len) : 0;
+};
+
+module.exports = {
+  up: async (db) => {
+    for (const table of TABLES) {
+      // subscribers.id started out as VARCHAR(32); make room before re-keying
+      if (await columnLength(db, table, 'id') < 36) {
+        await db.query(`ALTER TABLE \`${table}\` MODIFY id VARCHAR(36) NOT NULL`);
+      }
+      await addColumnIfMissing(db, table, 'legacy_id', 'VARCHAR(64) NULL');
+      await addIndexIfMissing(db, table, `uq_${table}_legacy_id`, `UNIQUE INDEX \`uq_${table}_legacy_id\` (legacy_id)`);
+    }
+    if (await columnLength(db, 'blog_comments', 'blogId') < 36) {
+      await db.query('ALTER TABLE blog_comments MODIFY blogId VARCHAR(36) NOT NULL');
+    }
+
+    for (const table of TABLES) {
+      const [rows] = await db.query(`SELECT id, created_at FROM \`${table}\` WHERE legacy_id IS NULL`);
+      for (const row of rows) {
+        if (isId(row.id)) continue;
+        const id = idForTimestamp(legacyTimestamp(row));
+        await db.query(`UPDATE \`${table}\` SET legacy_id = id, id = ? WHERE id = ?`, [id, row.id]);
+        if (table === 'blogs') {
+          await db.query('UPDATE blog_comments SET blogId = ? WHERE blogId = ?', [id, row.id]);
+        }
+      }
+    }
+
+    for (const table of TABLES) {
+      await db.query(`ALTER TABLE \`${table}\` MODIFY id VARCHAR(36) NOT NULL`);
+    }
+    await db.query('ALTER TABLE blog_comments MODIFY blogId VARCHAR(36) NOT NULL');
+  },
+
+  down: async (db) => {
+    for (const table of TABLES) {
+      await db.query(`ALTER TABLE \`${table}\` MODIFY id VARCHAR(64) NOT NULL`);
+    }
+    await db.query('ALTER TABLE blog_comments MODIFY blogId VARCHAR(64) NOT NULL');
+
+    // Comments first, while blogs still carry both ids
+    await db.query(
+      `UPDATE blog_comments c JOIN blogs b ON c.blogId = b.id
+       SET c.blogId = b.legacy_id
+       WHERE b.legacy_id IS NOT NULL`
+    );
+    for (const table of TABLES) {
+      await db.query(`UPDATE \`${table}\` SET id = legacy_id WHERE legacy_id IS NOT NULL`);
+      await dropIndexIfExists(db, table, `uq_${table}_legacy_id`);
+      await dropColumnIfExists(db, table, 'legacy_id');
+    }
+  },
+};
@@ -0,0 +1,24 @@
+// migrations/004_photo_variants.js
+//
+// One row per rendered size/format of a photo (see utils/imageVariants.js).
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS photo_variants (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        photo_id VARCHAR(36) NOT NULL,
+        variant VARCHAR(16) NOT NULL,
+        format VARCHAR(8) NOT NULL,
+        file_path VARCHAR(255) NOT NULL,
+        width INT NOT NULL,
+        height INT NOT NULL,
+        size_bytes INT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX uq_photo_variants (photo_id, variant, format)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS photo_variants');
+  },
+};
@@ -0,0 +1,30 @@
+// migrations/005_photo_metadata.js
+//
+// EXIF details kept for each photo (see utils/photoMetadata.js). Location is
+// only filled in when the admin chooses to keep it at upload time.
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../utils/migrator');
+
+const columns = [
+  { column: 'captured_at', definition: 'DATETIME NULL' },
+  { column: 'camera_model', definition: 'VARCHAR(255) NULL' },
+  { column: 'width', definition: 'INT NULL' },
+  { column: 'height', definition: 'INT NULL' },
+  { column: 'location_lat', definition: 'DECIMAL(9, 6) NULL' },
+  { column: 'location_lng', definition: 'DECIMAL(9, 6) NULL' },
+  { column: 'location_name', definition: 'VARCHAR(255) NULL' },
+];
+
+module.exports = {
+  up: async (db) => {
+    for (const { column, definition } of columns) {
+      await addColumnIfMissing(db, 'photos', column, definition);
+    }
+    await addIndexIfMissing(db, 'photos', 'idx_photos_captured_at', 'INDEX idx_photos_captured_at (captured_at)');
+  },
+  down: async (db) => {
+    await dropIndexIfExists(db, 'photos', 'idx_photos_captured_at');
+    for (const { column } of [...columns].reverse()) {
+      await dropColumnIfExists(db, 'photos', column);
+    }
+  },
+};
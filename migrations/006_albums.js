@@ -0,0 +1,67 @@
+// migrations/006_albums.js
+//
+// Albums replace the free-text photos.category. Each existing category becomes a
+// published album holding its photos (oldest first); the category column stays
+// so older clients keep working.
+const { newId } = require('../utils/ids');
+const { uniqueSlug } = require('../utils/slug');
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS albums (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) NOT NULL UNIQUE,
+        description TEXT NULL,
+        cover_photo_id VARCHAR(36) NULL,
+        sort_order INT NOT NULL DEFAULT 0,
+        published TINYINT(1) NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_albums_sort (published, sort_order)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS album_photos (
+        album_id VARCHAR(36) NOT NULL,
+        photo_id VARCHAR(36) NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (album_id, photo_id),
+        INDEX idx_album_photos_photo (photo_id),
+        INDEX idx_album_photos_position (album_id, position)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    const [existing] = await db.query('SELECT COUNT(*) AS c FROM albums');
+    if (existing[0].c > 0) return;
+
+    const [categories] = await db.query(
+      "SELECT DISTINCT category FROM photos WHERE category IS NOT NULL AND category <> '' ORDER BY category"
+    );
+    const taken = new Set();
+    for (const [index, { category }] of categories.entries()) {
+      const id = newId();
+      const slug = await uniqueSlug(category, async (candidate) => taken.has(candidate), 'album');
+      taken.add(slug);
+      const title = category.charAt(0).toUpperCase() + category.slice(1);
+      await db.query(
+        'INSERT INTO albums (id, title, slug, sort_order, published) VALUES (?, ?, ?, ?, 1)',
+        [id, title, slug, index]
+      );
+
+      const [photoRows] = await db.query('SELECT id FROM photos WHERE category = ? ORDER BY created_at ASC', [category]);
+      if (photoRows.length > 0) {
+        await db.query(
+          'INSERT INTO album_photos (album_id, photo_id, position) VALUES ?',
+          [photoRows.map((photo, position) => [id, photo.id, position])]
+        );
+      }
+    }
+  },
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS album_photos');
+    await db.query('DROP TABLE IF EXISTS albums');
+  },
+};
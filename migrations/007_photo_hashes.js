@@ -0,0 +1,21 @@
+// migrations/007_photo_hashes.js
+//
+// Fingerprints for duplicate detection (see utils/photoHash.js). content_hash
+// is the SHA-256 of the uploaded file, so photos from before this migration
+// never get one; `npm run photos:hash` backfills their phash from the stored
+// original, or from the served JPEG for photos uploaded before originals were
+// kept.
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../utils/migrator');
+
+module.exports = {
+  up: async (db) => {
+    await addColumnIfMissing(db, 'photos', 'content_hash', 'CHAR(64) NULL');
+    await addColumnIfMissing(db, 'photos', 'phash', 'CHAR(16) NULL');
+    await addIndexIfMissing(db, 'photos', 'idx_photos_content_hash', 'INDEX idx_photos_content_hash (content_hash)');
+  },
+  down: async (db) => {
+    await dropIndexIfExists(db, 'photos', 'idx_photos_content_hash');
+    await dropColumnIfExists(db, 'photos', 'phash');
+    await dropColumnIfExists(db, 'photos', 'content_hash');
+  },
+};
@@ -0,0 +1,30 @@
+// migrations/008_tags.js
+//
+// Free-form tags shared by photos, music and blogs. A tag is stored once and
+// attached to items through taggings (entity_type is 'photo', 'music' or 'blog').
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        slug VARCHAR(60) NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS taggings (
+        tag_id VARCHAR(36) NOT NULL,
+        entity_type VARCHAR(16) NOT NULL,
+        entity_id VARCHAR(36) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tag_id, entity_type, entity_id),
+        INDEX idx_taggings_entity (entity_type, entity_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS taggings');
+    await db.query('DROP TABLE IF EXISTS tags');
+  },
+};
@@ -0,0 +1,26 @@
+// migrations/009_soft_delete.js
+//
+// Deleting content now moves it to the trash (deleted_at is set) instead of
+// removing it. Trashed rows are hidden everywhere but the admin trash, and are
+// purged for good once the retention period has passed (utils/trash.js).
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../utils/migrator');
+
+const TABLES = ['photos', 'music', 'blogs', 'events', 'blog_comments'];
+
+module.exports = {
+  up: async (db) => {
+    for (const table of TABLES) {
+      await addColumnIfMissing(db, table, 'deleted_at', 'DATETIME NULL');
+      await addIndexIfMissing(db, table, `idx_${table}_deleted_at`, `INDEX idx_${table}_deleted_at (deleted_at)`);
+    }
+  },
+  // Anything still in the trash would reappear as live content, so its rows go for
+  // good (files are left on disk)
+  down: async (db) => {
+    for (const table of [...TABLES].reverse()) {
+      await db.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+      await dropIndexIfExists(db, table, `idx_${table}_deleted_at`);
+      await dropColumnIfExists(db, table, 'deleted_at');
+    }
+  },
+};
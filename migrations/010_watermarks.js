@@ -0,0 +1,25 @@
+// migrations/010_watermarks.js
+//
+// Watermarked public variants (see utils/watermark.js).
+//   photos.original_path        clean master under storage/originals, never served publicly
+//   photos.watermark            per-photo toggle; NULL follows its albums
+//   photos.watermark_signature  which watermark settings the variants were rendered with; NULL = clean
+//   albums.watermark            0 keeps the album's photos clean
+// Photos from before this migration have no master; the first re-render
+// promotes their (still clean) large JPEG.
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  up: async (db) => {
+    await addColumnIfMissing(db, 'photos', 'original_path', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(db, 'photos', 'watermark', 'TINYINT(1) NULL');
+    await addColumnIfMissing(db, 'photos', 'watermark_signature', 'CHAR(64) NULL');
+    await addColumnIfMissing(db, 'albums', 'watermark', 'TINYINT(1) NOT NULL DEFAULT 1');
+  },
+  down: async (db) => {
+    await dropColumnIfExists(db, 'albums', 'watermark');
+    await dropColumnIfExists(db, 'photos', 'watermark_signature');
+    await dropColumnIfExists(db, 'photos', 'watermark');
+    await dropColumnIfExists(db, 'photos', 'original_path');
+  },
+};
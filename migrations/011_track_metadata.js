@@ -0,0 +1,28 @@
+// migrations/011_track_metadata.js
+//
+// Tags and stream details read from uploaded audio (see utils/audioMetadata.js).
+// duration is in seconds, bitrate in bits per second, sample_rate in Hz.
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+const columns = [
+  { column: 'album', definition: 'VARCHAR(255) NULL' },
+  { column: 'track_number', definition: 'INT NULL' },
+  { column: 'year', definition: 'SMALLINT NULL' },
+  { column: 'duration', definition: 'DECIMAL(10, 3) NULL' },
+  { column: 'bitrate', definition: 'INT NULL' },
+  { column: 'sample_rate', definition: 'INT NULL' },
+  { column: 'codec', definition: 'VARCHAR(64) NULL' },
+];
+
+module.exports = {
+  up: async (db) => {
+    for (const { column, definition } of columns) {
+      await addColumnIfMissing(db, 'music', column, definition);
+    }
+  },
+  down: async (db) => {
+    for (const { column } of [...columns].reverse()) {
+      await dropColumnIfExists(db, 'music', column);
+    }
+  },
+};
@@ -0,0 +1,23 @@
+// migrations/012_music_plays.js
+//
+// One row per counted play (see utils/listens.js). listener_hash identifies a
+// listener without storing who they are, and lets a play be counted at most
+// once per listener per window; rows are pruned once the window has passed.
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS music_plays (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        track_id VARCHAR(64) NOT NULL,
+        listener_hash CHAR(64) NOT NULL,
+        source VARCHAR(16) NOT NULL,
+        played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_music_plays_listener (track_id, listener_hash, played_at),
+        INDEX idx_music_plays_played (played_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS music_plays');
+  },
+};
@@ -0,0 +1,41 @@
+// migrations/013_releases.js
+//
+// Releases (albums, EPs and singles) group tracks into a discography. A track
+// can appear on several releases; release_tracks holds each tracklist with
+// its disc and track numbers.
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS releases (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) NOT NULL UNIQUE,
+        type VARCHAR(16) NOT NULL DEFAULT 'album',
+        release_date DATE NULL,
+        artwork VARCHAR(255) NULL,
+        label VARCHAR(255) NULL,
+        upc VARCHAR(14) NULL,
+        description TEXT NULL,
+        published TINYINT(1) NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_releases_date (published, release_date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS release_tracks (
+        release_id VARCHAR(36) NOT NULL,
+        track_id VARCHAR(64) NOT NULL,
+        disc_number INT NOT NULL DEFAULT 1,
+        track_number INT NOT NULL,
+        PRIMARY KEY (release_id, track_id),
+        UNIQUE INDEX uq_release_tracks_position (release_id, disc_number, track_number),
+        INDEX idx_release_tracks_track (track_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS release_tracks');
+    await db.query('DROP TABLE IF EXISTS releases');
+  },
+};
@@ -0,0 +1,14 @@
+// migrations/014_track_waveforms.js
+//
+// waveform: peaks file under storage/waveforms (see utils/waveform.js); NULL
+// until it has been generated, and for files it can't be generated from.
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  up: async (db) => {
+    await addColumnIfMissing(db, 'music', 'waveform', 'VARCHAR(255) NULL');
+  },
+  down: async (db) => {
+    await dropColumnIfExists(db, 'music', 'waveform');
+  },
+};
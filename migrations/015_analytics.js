@@ -0,0 +1,40 @@
+// migrations/015_analytics.js
+//
+// analytics_events: one row per play, view or like (see utils/analytics.js),
+// with where it came from and a coarse description of the client. Kept for a
+// limited time; analytics_daily holds the per-day counts for good.
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS analytics_events (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        event_type VARCHAR(16) NOT NULL,
+        entity_type VARCHAR(16) NOT NULL,
+        entity_id VARCHAR(64) NOT NULL,
+        source VARCHAR(16) NULL,
+        referrer VARCHAR(255) NULL,
+        device VARCHAR(16) NULL,
+        browser VARCHAR(32) NULL,
+        os VARCHAR(32) NULL,
+        occurred_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_analytics_events_time (occurred_at),
+        INDEX idx_analytics_events_type (event_type, entity_type, occurred_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS analytics_daily (
+        day DATE NOT NULL,
+        event_type VARCHAR(16) NOT NULL,
+        entity_type VARCHAR(16) NOT NULL,
+        entity_id VARCHAR(64) NOT NULL,
+        count INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (day, event_type, entity_type, entity_id),
+        INDEX idx_analytics_daily_entity (event_type, entity_type, entity_id, day)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS analytics_daily');
+    await db.query('DROP TABLE IF EXISTS analytics_events');
+  },
+};
@@ -0,0 +1,173 @@
+// repositories/albums.js
+const { runQuery } = require('./connection');
+const { photoColumns } = require('./photos');
+
+const UPDATABLE_COLUMNS = ['title', 'slug', 'description', 'cover_photo_id', 'published', 'watermark'];
+
+// Stored as TINYINT(1)
+const FLAG_COLUMNS = ['published', 'watermark'];
+
+// Only active photos count towards an album or can stand in as its cover
+const ACTIVE_PHOTO = "LOWER(p.status) = 'active'";
+
+// Trashed photos keep their membership (so a restore puts them back) but are never shown
+const LIVE_PHOTO = 'p.deleted_at IS NULL';
+
+/*
+  Albums with their active photo count and effective cover: the chosen
+  cover_photo_id (unless it is in the trash), or else the first photo in album order.
+*/
+const list = ({ publishedOnly = false } = {}, conn) => runQuery(
+  `SELECT a.*,
+     COUNT(p.id) AS photo_count,
+     COALESCE((
+       SELECT cp.id FROM photos cp WHERE cp.id = a.cover_photo_id AND cp.deleted_at IS NULL
+     ), (
+       SELECT ap2.photo_id
+       FROM album_photos ap2
+       JOIN photos p2 ON p2.id = ap2.photo_id AND LOWER(p2.status) = 'active' AND p2.deleted_at IS NULL
+       WHERE ap2.album_id = a.id
+       ORDER BY ap2.position, ap2.added_at
+       LIMIT 1
+     )) AS cover_id
+   FROM albums a
+   LEFT JOIN album_photos ap ON ap.album_id = a.id
+   LEFT JOIN photos p ON p.id = ap.photo_id AND ${ACTIVE_PHOTO} AND ${LIVE_PHOTO}
+   ${publishedOnly ? 'WHERE a.published = 1' : ''}
+   GROUP BY a.id
+   ORDER BY a.sort_order ASC, a.created_at ASC`,
+  [],
+  conn
+);
+
+const findById = async (id, conn) => {
+  const rows = await runQuery('SELECT * FROM albums WHERE id = ?', [id], conn);
+  return rows[0] || null;
+};
+
+const findBySlug = async (slug, conn) => {
+  const rows = await runQuery('SELECT * FROM albums WHERE slug = ?', [slug], conn);
+  return rows[0] || null;
+};
+
+const slugTaken = async (slug, exceptId = null, conn) => {
+  const rows = await runQuery('SELECT id FROM albums WHERE slug = ? AND id <> ?', [slug, exceptId || ''], conn);
+  return rows.length > 0;
+};
+
+// New albums go to the end of the list
+const create = (album, conn) => runQuery(
+  `INSERT INTO albums (id, title, slug, description, cover_photo_id, sort_order, published, watermark)
+   SELECT ?, ?, ?, ?, ?, COALESCE(MAX(sort_order) + 1, 0), ?, ? FROM albums`,
+  [
+    album.id,
+    album.title,
+    album.slug,
+    album.description ?? null,
+    album.cover_photo_id ?? null,
+    album.published ? 1 : 0,
+    album.watermark === false ? 0 : 1
+  ],
+  conn
+);
+
+// changes: any of UPDATABLE_COLUMNS; returns affected row count
+const update = async (id, changes, conn) => {
+  const fields = [];
+  const values = [];
+  for (const column of UPDATABLE_COLUMNS) {
+    if (changes[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(FLAG_COLUMNS.includes(column) ? (changes[column] ? 1 : 0) : changes[column]);
+    }
+  }
+  if (fields.length === 0) return 0;
+
+  const result = await runQuery(`UPDATE albums SET ${fields.join(', ')} WHERE id = ?`, [...values, id], conn);
+  return result.affectedRows;
+};
+
+// Membership goes with the album; the photos themselves stay
+const remove = async (id, conn) => {
+  await runQuery('DELETE FROM album_photos WHERE album_id = ?', [id], conn);
+  const result = await runQuery('DELETE FROM albums WHERE id = ?', [id], conn);
+  return result.affectedRows;
+};
+
+// albumIds in their new display order
+const reorder = async (albumIds, conn) => {
+  for (const [position, id] of albumIds.entries()) {
+    await runQuery('UPDATE albums SET sort_order = ? WHERE id = ?', [position, id], conn);
+  }
+};
+
+// =============================
+// 🖼️ Membership (album_photos)
+// =============================
+const listPhotos = (albumId, { activeOnly = false } = {}, conn) => runQuery(
+  `SELECT ${photoColumns('p')}, ap.position
+   FROM album_photos ap
+   JOIN photos p ON p.id = ap.photo_id AND ${LIVE_PHOTO}
+   WHERE ap.album_id = ?${activeOnly ? ` AND ${ACTIVE_PHOTO}` : ''}
+   ORDER BY ap.position ASC, ap.added_at ASC`,
+  [albumId],
+  conn
+);
+
+const listPhotoIds = async (albumId, conn) => {
+  const rows = await runQuery(
+    `SELECT ap.photo_id FROM album_photos ap JOIN photos p ON p.id = ap.photo_id AND ${LIVE_PHOTO} WHERE ap.album_id = ?`,
+    [albumId],
+    conn
+  );
+  return rows.map((row) => row.photo_id);
+};
+
+// Appends photos after the album's current last position; photos already in it are skipped
+const addPhotos = async (albumId, photoIds, conn) => {
+  if (photoIds.length === 0) return 0;
+  const rows = await runQuery('SELECT COALESCE(MAX(position) + 1, 0) AS next FROM album_photos WHERE album_id = ?', [albumId], conn);
+  const result = await runQuery(
+    'INSERT IGNORE INTO album_photos (album_id, photo_id, position) VALUES ?',
+    [photoIds.map((photoId, index) => [albumId, photoId, rows[0].next + index])],
+    conn
+  );
+  return result.affectedRows;
+};
+
+const removePhoto = async (albumId, photoId, conn) => {
+  const result = await runQuery('DELETE FROM album_photos WHERE album_id = ? AND photo_id = ?', [albumId, photoId], conn);
+  await runQuery('UPDATE albums SET cover_photo_id = NULL WHERE id = ? AND cover_photo_id = ?', [albumId, photoId], conn);
+  return result.affectedRows;
+};
+
+// photoIds in their new display order; must be exactly the album's members
+const reorderPhotos = async (albumId, photoIds, conn) => {
+  for (const [position, photoId] of photoIds.entries()) {
+    await runQuery('UPDATE album_photos SET position = ? WHERE album_id = ? AND photo_id = ?', [position, albumId, photoId], conn);
+  }
+};
+
+// Called when a photo is purged from the trash
+const detachPhoto = async (photoId, conn) => {
+  await runQuery('DELETE FROM album_photos WHERE photo_id = ?', [photoId], conn);
+  await runQuery('UPDATE albums SET cover_photo_id = NULL WHERE cover_photo_id = ?', [photoId], conn);
+};
+
+module.exports = {
+  UPDATABLE_COLUMNS,
+  list,
+  findById,
+  findBySlug,
+  slugTaken,
+  create,
+  update,
+  remove,
+  reorder,
+  listPhotos,
+  listPhotoIds,
+  addPhotos,
+  removePhoto,
+  reorderPhotos,
+  detachPhoto,
+};
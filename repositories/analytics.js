@@ -0,0 +1,170 @@
+// repositories/analytics.js
+const { runQuery } = require('./connection');
+const { newId } = require('../utils/ids');
+
+// Where each kind of item lives, and the column reports name it by
+const ENTITIES = {
+  music: { table: 'music', label: 'title' },
+  photo: { table: 'photos', label: 'original_name' },
+  blog: { table: 'blogs', label: 'title' }
+};
+
+// Client details events can be broken down by
+const DIMENSIONS = ['referrer', 'device', 'browser', 'os', 'source'];
+
+// Start of the period a day falls in; weeks start on Monday
+const PERIODS = {
+  day: 'day',
+  week: 'day - INTERVAL WEEKDAY(day) DAY',
+  month: "DATE_FORMAT(day, '%Y-%m-01')"
+};
+
+/*
+  Records one event against the item's canonical id (legacy ids resolve to
+  it, trashed items count too). Resolves with false if there is no such item.
+*/
+const recordEvent = async ({ eventType, entityType, entityId, source = null, referrer = null, device = null, browser = null, os = null }, conn) => {
+  const { table } = ENTITIES[entityType];
+  const result = await runQuery(
+    `INSERT INTO analytics_events (id, event_type, entity_type, entity_id, source, referrer, device, browser, os)
+     SELECT ?, ?, ?, id, ?, ?, ?, ?, ? FROM ${table} WHERE id = ? OR legacy_id = ? LIMIT 1`,
+    [newId(), eventType, entityType, source, referrer, device, browser, os, entityId, entityId],
+    conn
+  );
+  return result.affectedRows > 0;
+};
+
+// Canonical id for an id or legacy id, or null
+const resolveId = async (entityType, id, conn) => {
+  const rows = await runQuery(`SELECT id FROM ${ENTITIES[entityType].table} WHERE id = ? OR legacy_id = ?`, [id, id], conn);
+  return rows[0]?.id ?? null;
+};
+
+// Dates as YYYY-MM-DD in the database's time zone, which is the one days are counted in
+const today = async (conn) => (await runQuery("SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS day", [], conn))[0].day;
+
+// Oldest day still covered by raw events, or null if there are none
+const firstEventDay = async (conn) => (await runQuery(
+  "SELECT DATE_FORMAT(MIN(occurred_at), '%Y-%m-%d') AS day FROM analytics_events",
+  [],
+  conn
+))[0].day;
+
+/*
+  Recounts analytics_daily for fromDay through toDay (inclusive) from the raw
+  events. Days whose events have been purged must not be passed in: their
+  counts would be lost. Run it in a transaction.
+*/
+const rollup = async (fromDay, toDay, conn) => {
+  await runQuery('DELETE FROM analytics_daily WHERE day BETWEEN ? AND ?', [fromDay, toDay], conn);
+  const result = await runQuery(
+    `INSERT INTO analytics_daily (day, event_type, entity_type, entity_id, count)
+     SELECT DATE(occurred_at), event_type, entity_type, entity_id, COUNT(*)
+     FROM analytics_events
+     WHERE occurred_at >= ? AND occurred_at < ? + INTERVAL 1 DAY
+     GROUP BY DATE(occurred_at), event_type, entity_type, entity_id`,
+    [fromDay, toDay],
+    conn
+  );
+  return result.affectedRows;
+};
+
+// Deletes up to `limit` raw events from before `beforeDay`; returns how many went
+const purgeEvents = async (beforeDay, limit, conn) => {
+  const result = await runQuery(`DELETE FROM analytics_events WHERE occurred_at < ? LIMIT ${Number(limit)}`, [beforeDay], conn);
+  return result.affectedRows;
+};
+
+// =============================
+// 📈 Reports (from analytics_daily unless noted)
+// =============================
+const scope = ({ eventType, entityType, entityId = null, from, to }) => ({
+  sql: `event_type = ? AND entity_type = ? AND day BETWEEN ? AND ?${entityId ? ' AND entity_id = ?' : ''}`,
+  values: [eventType, entityType, from, to, ...(entityId ? [entityId] : [])]
+});
+
+// Counts per period: [{ period: 'YYYY-MM-DD', count }]; periods without events are left out
+const timeSeries = ({ interval = 'day', ...filter }, conn) => {
+  const { sql, values } = scope(filter);
+  return runQuery(
+    `SELECT DATE_FORMAT(${PERIODS[interval]}, '%Y-%m-%d') AS period, SUM(count) AS count
+     FROM analytics_daily
+     WHERE ${sql}
+     GROUP BY period
+     ORDER BY period`,
+    values,
+    conn
+  );
+};
+
+const total = async (filter, conn) => {
+  const { sql, values } = scope(filter);
+  const rows = await runQuery(`SELECT COALESCE(SUM(count), 0) AS total FROM analytics_daily WHERE ${sql}`, values, conn);
+  return Number(rows[0].total);
+};
+
+// Items with the most events: [{ id, label, deleted, count }]; deleted covers trashed and purged items
+const top = ({ limit = 10, ...filter }, conn) => {
+  const { table, label } = ENTITIES[filter.entityType];
+  const { sql, values } = scope(filter);
+  return runQuery(
+    `SELECT d.entity_id AS id, t.${label} AS label, (t.id IS NULL OR t.deleted_at IS NOT NULL) AS deleted, SUM(d.count) AS count
+     FROM (SELECT entity_id, count FROM analytics_daily WHERE ${sql}) d
+     LEFT JOIN ${table} t ON t.id = d.entity_id
+     GROUP BY d.entity_id, t.id, t.${label}, t.deleted_at
+     ORDER BY count DESC, d.entity_id
+     LIMIT ${Number(limit)}`,
+    values,
+    conn
+  );
+};
+
+// Totals for the given items: Map(entityId → count)
+const totalsFor = async (entityIds, filter, conn) => {
+  const counts = new Map();
+  if (entityIds.length === 0) return counts;
+  const { sql, values } = scope(filter);
+  const rows = await runQuery(
+    `SELECT entity_id, SUM(count) AS count FROM analytics_daily WHERE ${sql} AND entity_id IN (?) GROUP BY entity_id`,
+    [...values, entityIds],
+    conn
+  );
+  for (const row of rows) counts.set(row.entity_id, Number(row.count));
+  return counts;
+};
+
+/*
+  Event counts by one client detail, from the raw events (so only as far back
+  as they are kept): [{ value, count }], value null where it wasn't known.
+  The dimension is a column name, so it must be one of DIMENSIONS.
+*/
+const breakdown = async ({ dimension, limit = 10, eventType, entityType, entityId = null, from, to }, conn) => {
+  if (!DIMENSIONS.includes(dimension)) throw new Error(`Unknown analytics dimension: ${dimension}`);
+  return runQuery(
+    `SELECT ${dimension} AS value, COUNT(*) AS count
+     FROM analytics_events
+     WHERE event_type = ? AND entity_type = ? AND occurred_at >= ? AND occurred_at < ? + INTERVAL 1 DAY${entityId ? ' AND entity_id = ?' : ''}
+     GROUP BY ${dimension}
+     ORDER BY count DESC
+     LIMIT ${Number(limit)}`,
+    [eventType, entityType, from, to, ...(entityId ? [entityId] : [])],
+    conn
+  );
+};
+
+module.exports = {
+  ENTITIES,
+  DIMENSIONS,
+  PERIODS,
+  recordEvent,
+  resolveId,
+  today,
+  firstEventDay,
+  rollup,
+  purgeEvents,
+  timeSeries,
+  total,
+  top,
+  totalsFor,
+  breakdown
+};
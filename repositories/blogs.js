@@ -0,0 +1,182 @@
+// repositories/blogs.js
+const { runQuery, BY_ID } = require("./connection");
+const { defineListing } = require("../utils/listing");
+const { softDelete } = require("./softDelete");
+
+const UPDATABLE_COLUMNS = ["title", "content", "category", "image_url"];
+
+// Trashed blogs and comments only show up through the trash (see softDelete below)
+const LIVE = "deleted_at IS NULL";
+
+// Bulk filters match these exactly
+const FILTER_COLUMNS = ["category"];
+
+const listing = defineListing({
+  sorts: {
+    newest: { expression: "b.created_at", direction: "desc" },
+    title: { expression: "b.title", direction: "asc" },
+    likes: { expression: "b.likes", direction: "desc" },
+  },
+  defaultSort: "newest",
+  tieBreaker: "b.id",
+});
+
+// Blogs with their comment counts; page from listing.parse(), defaults to every blog, newest first
+const listWithCommentCounts = (page = listing.parse().page, conn) => {
+  const after = listing.seek(page);
+  return runQuery(
+    `SELECT b.*, COUNT(c.id) AS commentCount, ${listing.cursorSelect(page)}
+     FROM blogs b
+     LEFT JOIN blog_comments c ON b.id = c.blogId AND c.deleted_at IS NULL
+     WHERE b.deleted_at IS NULL${after ? ` AND ${after.sql}` : ""}
+     GROUP BY b.id
+     ORDER BY ${listing.orderBy(page)}${listing.limitClause(page)}`,
+    after ? after.values : [],
+    conn
+  );
+};
+
+const count = async (conn) => {
+  const rows = await runQuery(`SELECT COUNT(*) AS total FROM blogs WHERE ${LIVE}`, [], conn);
+  return rows[0].total;
+};
+
+// Minimal list for the legacy public endpoint
+const listPublic = (conn) => runQuery(
+  `SELECT id, title, content, created_at FROM blogs WHERE ${LIVE} ORDER BY created_at DESC`,
+  [],
+  conn
+);
+
+const findById = async (id, conn) => {
+  const rows = await runQuery(`SELECT * FROM blogs WHERE ${BY_ID} AND ${LIVE}`, [id, id], conn);
+  return rows[0] || null;
+};
+
+// Rows for bulk operations; legacy ids match too
+const findByIds = (ids, conn) => {
+  if (ids.length === 0) return Promise.resolve([]);
+  return runQuery(`SELECT * FROM blogs WHERE (id IN (?) OR legacy_id IN (?)) AND ${LIVE}`, [ids, ids], conn);
+};
+
+// Bulk filters; oldest first, at most `limit`
+const findByFilter = (filters, limit, conn) => {
+  const conditions = [LIVE];
+  const values = [];
+  for (const column of FILTER_COLUMNS) {
+    if (filters[column] !== undefined) {
+      conditions.push(`${column} = ?`);
+      values.push(filters[column]);
+    }
+  }
+  return runQuery(
+    `SELECT * FROM blogs WHERE ${conditions.join(" AND ")} ORDER BY created_at ASC, id ASC LIMIT ${Number(limit)}`,
+    values,
+    conn
+  );
+};
+
+const create = (blog, conn) => runQuery(
+  "INSERT INTO blogs (id, title, content, category, image_url, likes, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+  [
+    blog.id,
+    blog.title,
+    blog.content ?? null,
+    blog.category || "general",
+    blog.image_url ?? null,
+    blog.likes ?? 0,
+    blog.created_at || new Date(),
+  ],
+  conn
+);
+
+// changes: any of UPDATABLE_COLUMNS; returns affected row count
+const update = async (id, changes, conn) => {
+  const fields = [];
+  const values = [];
+  for (const column of UPDATABLE_COLUMNS) {
+    if (changes[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(changes[column]);
+    }
+  }
+  if (fields.length === 0) return 0;
+
+  const result = await runQuery(`UPDATE blogs SET ${fields.join(", ")} WHERE ${BY_ID} AND ${LIVE}`, [...values, id, id], conn);
+  return result.affectedRows;
+};
+
+// Deletes the blog and its comments for good, trashed or not
+const purge = async (id, conn) => {
+  const rows = await runQuery(`SELECT id FROM blogs WHERE ${BY_ID}`, [id, id], conn);
+  if (rows.length === 0) return 0;
+  await runQuery("DELETE FROM blog_comments WHERE blogId = ?", [rows[0].id], conn);
+  const result = await runQuery("DELETE FROM blogs WHERE id = ?", [rows[0].id], conn);
+  return result.affectedRows;
+};
+
+// Whether a trashed blog's image is stored under any of `names`
+const hasTrashedFile = async (names, conn) => {
+  const rows = await runQuery("SELECT 1 FROM blogs WHERE deleted_at IS NOT NULL AND image_url IN (?) LIMIT 1", [names], conn);
+  return rows.length > 0;
+};
+
+// Returns the new like count, or null if the blog doesn't exist
+const incrementLikes = async (id, conn) => {
+  const result = await runQuery(`UPDATE blogs SET likes = likes + 1 WHERE ${BY_ID} AND ${LIVE}`, [id, id], conn);
+  if (result.affectedRows === 0) return null;
+  const rows = await runQuery(`SELECT likes FROM blogs WHERE ${BY_ID}`, [id, id], conn);
+  return rows[0]?.likes ?? null;
+};
+
+const listComments = (blogId, conn) => runQuery(
+  `SELECT * FROM blog_comments WHERE blogId = ? AND ${LIVE} ORDER BY created_at ASC`,
+  [blogId],
+  conn
+);
+
+const addComment = (comment, conn) => runQuery(
+  "INSERT INTO blog_comments (id, blogId, name, comment, created_at) VALUES (?, ?, ?, ?, ?)",
+  [comment.id, comment.blogId, comment.name, comment.comment, comment.created_at || new Date()],
+  conn
+);
+
+const findComment = async (blogId, commentId, conn) => {
+  const rows = await runQuery(
+    `SELECT * FROM blog_comments WHERE id = ? AND blogId = ? AND ${LIVE}`,
+    [commentId, blogId],
+    conn
+  );
+  return rows[0] || null;
+};
+
+const purgeComment = async (id, conn) => {
+  const result = await runQuery("DELETE FROM blog_comments WHERE id = ?", [id], conn);
+  return result.affectedRows;
+};
+
+// Trash operations for comments, kept apart from the blogs' own
+const comments = softDelete("blog_comments", { label: "CONCAT(name, ': ', LEFT(comment, 80))" });
+
+module.exports = {
+  UPDATABLE_COLUMNS,
+  listing,
+  listWithCommentCounts,
+  count,
+  listPublic,
+  findById,
+  FILTER_COLUMNS,
+  findByIds,
+  findByFilter,
+  create,
+  update,
+  purge,
+  hasTrashedFile,
+  ...softDelete("blogs", { byId: BY_ID, idParams: (id) => [id, id], label: "title" }),
+  incrementLikes,
+  listComments,
+  addComment,
+  findComment,
+  purgeComment,
+  comments,
+};
@@ -0,0 +1,47 @@
+// repositories/connection.js
+const pool = require('../db');
+
+// mysql2 promise wrapper around the shared pool from db.js
+const promisePool = pool.promise();
+
+/*
+  Runs one statement and resolves with the rows (or the OkPacket for writes).
+
+  Pass the `conn` handed to a withTransaction() callback to run the statement
+  inside that transaction; otherwise it goes straight to the pool.
+*/
+const runQuery = async (sql, params = [], conn = promisePool) => {
+  const [results] = await conn.query(sql, params);
+  return results;
+};
+
+/*
+  Runs `work(conn)` inside a transaction on a dedicated connection.
+  Commits when it resolves, rolls back and rethrows when it throws.
+
+    await withTransaction(async (conn) => {
+      await photos.remove(id, conn);
+      await fs.promises.unlink(file);   // a failure here restores the row
+    });
+*/
+const withTransaction = async (work) => {
+  const conn = await promisePool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback().catch((rollbackErr) => {
+      console.error('❌ Rollback failed:', rollbackErr.message);
+    });
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// Rows re-keyed by the UUID migration (003) still answer to their old id
+const BY_ID = '(id = ? OR legacy_id = ?)';
+
+module.exports = { promisePool, runQuery, withTransaction, BY_ID };
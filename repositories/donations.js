@@ -0,0 +1,46 @@
+// repositories/donations.js
+const { runQuery } = require('./connection');
+
+const DONATION_STATUSES = ['pending', 'confirmed', 'failed'];
+
+const list = (conn) => runQuery('SELECT * FROM donations ORDER BY created_at DESC', [], conn);
+
+const findById = async (id, conn) => {
+  const rows = await runQuery('SELECT * FROM donations WHERE id = ?', [id], conn);
+  return rows[0] || null;
+};
+
+const findByTransactionId = async (transactionId, conn) => {
+  const rows = await runQuery('SELECT * FROM donations WHERE transaction_id = ?', [transactionId], conn);
+  return rows[0] || null;
+};
+
+// Resolves with the new donation's id
+const create = async ({ donor_name, phone, amount, transaction_id, status = 'pending' }, conn) => {
+  const result = await runQuery(
+    'INSERT INTO donations (donor_name, phone, amount, transaction_id, status) VALUES (?, ?, ?, ?, ?)',
+    [donor_name, phone, amount, transaction_id, status],
+    conn
+  );
+  return result.insertId;
+};
+
+const updateStatus = async (id, status, conn) => {
+  const result = await runQuery('UPDATE donations SET status = ? WHERE id = ?', [status, id], conn);
+  return result.affectedRows;
+};
+
+const updateStatusByTransactionId = async (transactionId, status, conn) => {
+  const result = await runQuery('UPDATE donations SET status = ? WHERE transaction_id = ?', [status, transactionId], conn);
+  return result.affectedRows;
+};
+
+module.exports = {
+  DONATION_STATUSES,
+  list,
+  findById,
+  findByTransactionId,
+  create,
+  updateStatus,
+  updateStatusByTransactionId,
+};
@@ -0,0 +1,117 @@
+// repositories/events.js
+const { runQuery } = require('./connection');
+const { defineListing } = require('../utils/listing');
+const { softDelete } = require('./softDelete');
+
+// Trashed events only show up through the trash (see softDelete below)
+const LIVE = 'deleted_at IS NULL';
+
+// Statuses shown on the public listing
+const PUBLIC_STATUSES = ['confirmed', 'pending', 'scheduled'];
+
+const listing = defineListing({
+  sorts: {
+    date: { expression: 'date', direction: 'asc' },
+    newest: { expression: 'created_at', direction: 'desc' },
+    name: { expression: 'name', direction: 'asc' },
+  },
+  defaultSort: 'date',
+});
+
+// Shared by the public and admin listings; publicOnly limits to PUBLIC_STATUSES
+const listEvents = ({ publicOnly }, page, conn) => {
+  const conditions = [LIVE];
+  const values = [];
+  if (publicOnly) {
+    conditions.push('status IN (?)');
+    values.push(PUBLIC_STATUSES);
+  }
+  const after = listing.seek(page);
+  if (after) {
+    conditions.push(after.sql);
+    values.push(...after.values);
+  }
+
+  return runQuery(
+    `SELECT *, ${listing.cursorSelect(page)} FROM events
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${listing.orderBy(page)}${listing.limitClause(page)}`,
+    values,
+    conn
+  );
+};
+
+const countEvents = async ({ publicOnly }, conn) => {
+  const rows = await runQuery(
+    `SELECT COUNT(*) AS total FROM events WHERE ${LIVE}${publicOnly ? ' AND status IN (?)' : ''}`,
+    publicOnly ? [PUBLIC_STATUSES] : [],
+    conn
+  );
+  return rows[0].total;
+};
+
+// page: from listing.parse(); defaults to every event, soonest first
+const listPublic = (page = listing.parse().page, conn) => listEvents({ publicOnly: true }, page, conn);
+const listAll = (page = listing.parse().page, conn) => listEvents({ publicOnly: false }, page, conn);
+const countPublic = (conn) => countEvents({ publicOnly: true }, conn);
+const countAll = (conn) => countEvents({ publicOnly: false }, conn);
+
+const findById = async (id, conn) => {
+  const rows = await runQuery(`SELECT * FROM events WHERE id = ? AND ${LIVE}`, [id], conn);
+  return rows[0] || null;
+};
+
+// Resolves with the new event's id
+const create = async ({ name, date, venue, status }, conn) => {
+  const result = await runQuery(
+    'INSERT INTO events (name, date, venue, status) VALUES (?, ?, ?, ?)',
+    [name, date, venue, status],
+    conn
+  );
+  return result.insertId;
+};
+
+const update = async (id, { name, date, venue, status }, conn) => {
+  const result = await runQuery(
+    `UPDATE events SET name = ?, date = ?, venue = ?, status = ? WHERE id = ? AND ${LIVE}`,
+    [name, date, venue, status, id],
+    conn
+  );
+  return result.affectedRows;
+};
+
+// Deletes the row for good, trashed or not
+const purge = async (id, conn) => {
+  const result = await runQuery('DELETE FROM events WHERE id = ?', [id], conn);
+  return result.affectedRows;
+};
+
+// =============================
+// 📬 Subscribers (event announcements)
+// =============================
+const addSubscriber = ({ id, email }, conn) => runQuery(
+  'INSERT INTO subscribers (id, email) VALUES (?, ?)',
+  [id, email],
+  conn
+);
+
+const listSubscriberEmails = async (conn) => {
+  const rows = await runQuery('SELECT email FROM subscribers', [], conn);
+  return rows.map((row) => row.email);
+};
+
+module.exports = {
+  PUBLIC_STATUSES,
+  listing,
+  listPublic,
+  listAll,
+  countPublic,
+  countAll,
+  findById,
+  create,
+  update,
+  purge,
+  ...softDelete('events', { label: 'name' }),
+  addSubscriber,
+  listSubscriberEmails,
+};
@@ -0,0 +1,24 @@
+// repositories/index.js
+//
+// Data access for the whole app. Routes talk to these instead of the pool:
+//
+//   const { photos, withTransaction } = require('../repositories');
+//
+// Every repository function takes an optional trailing `conn`; pass the one
+// withTransaction() hands you to make several calls commit or fail together.
+const { promisePool, runQuery, withTransaction } = require('./connection');
+
+module.exports = {
+  promisePool,
+  runQuery,
+  withTransaction,
+  photos: require('./photos'),
+  music: require('./music'),
+  blogs: require('./blogs'),
+  events: require('./events'),
+  donations: require('./donations'),
+  albums: require('./albums'),
+  tags: require('./tags'),
+  releases: require('./releases'),
+  analytics: require('./analytics'),
+};
@@ -0,0 +1,209 @@
+// repositories/music.js
+const { runQuery, BY_ID } = require("./connection");
+const { newId } = require("../utils/ids");
+const { defineListing } = require("../utils/listing");
+const { softDelete } = require("./softDelete");
+
+const UPDATABLE_COLUMNS = [
+  "title", "artist", "genre", "type", "description", "src", "cover",
+  "album", "track_number", "year", "duration", "bitrate", "sample_rate", "codec", "waveform",
+];
+
+// Trashed tracks only show up through the trash (see softDelete below)
+const LIVE = "deleted_at IS NULL";
+
+// Bulk filters match these exactly
+const FILTER_COLUMNS = ["genre", "type", "artist"];
+
+const listing = defineListing({
+  sorts: {
+    newest: { expression: "created_at", direction: "desc" },
+    title: { expression: "COALESCE(title, '')", direction: "asc" },
+    artist: { expression: "COALESCE(artist, '')", direction: "asc" },
+    plays: { expression: "plays", direction: "desc" },
+    likes: { expression: "likes", direction: "desc" },
+  },
+  defaultSort: "newest",
+});
+
+// page: from listing.parse(); defaults to every track, newest first
+const list = (page = listing.parse().page, conn) => {
+  const after = listing.seek(page);
+  return runQuery(
+    `SELECT *, ${listing.cursorSelect(page)} FROM music WHERE ${LIVE}${after ? ` AND ${after.sql}` : ""} ORDER BY ${listing.orderBy(page)}${listing.limitClause(page)}`,
+    after ? after.values : [],
+    conn
+  );
+};
+
+const count = async (conn) => {
+  const rows = await runQuery(`SELECT COUNT(*) AS total FROM music WHERE ${LIVE}`, [], conn);
+  return rows[0].total;
+};
+
+// Minimal list for the legacy public endpoint
+const listPublic = (conn) => runQuery(
+  `SELECT id, title, file_path, created_at FROM music WHERE ${LIVE} ORDER BY created_at DESC`,
+  [],
+  conn
+);
+
+const findById = async (id, conn) => {
+  const rows = await runQuery(`SELECT * FROM music WHERE ${BY_ID} AND ${LIVE}`, [id, id], conn);
+  return rows[0] || null;
+};
+
+// Rows for bulk operations; legacy ids match too
+const findByIds = (ids, conn) => {
+  if (ids.length === 0) return Promise.resolve([]);
+  return runQuery(`SELECT * FROM music WHERE (id IN (?) OR legacy_id IN (?)) AND ${LIVE}`, [ids, ids], conn);
+};
+
+// Bulk filters; oldest first, at most `limit`
+const findByFilter = (filters, limit, conn) => {
+  const conditions = [LIVE];
+  const values = [];
+  for (const column of FILTER_COLUMNS) {
+    if (filters[column] !== undefined) {
+      conditions.push(`${column} = ?`);
+      values.push(filters[column]);
+    }
+  }
+  return runQuery(
+    `SELECT * FROM music WHERE ${conditions.join(" AND ")} ORDER BY created_at ASC, id ASC LIMIT ${Number(limit)}`,
+    values,
+    conn
+  );
+};
+
+// Live tracks with a file of our own, by id, for waveform backfills; only those without one unless `all`
+const listWaveformTargets = ({ afterId = "", limit = 100, all = false } = {}, conn) => runQuery(
+  `SELECT id, src, waveform FROM music
+   WHERE ${LIVE} AND src IS NOT NULL AND src NOT LIKE 'http%' AND id > ?${all ? "" : " AND waveform IS NULL"}
+   ORDER BY id LIMIT ${Number(limit)}`,
+  [afterId],
+  conn
+);
+
+const create = (track, conn) => runQuery(
+  `INSERT INTO music
+   (id, title, artist, genre, type, description, src, cover, file_path, likes, plays, created_at,
+    album, track_number, year, duration, bitrate, sample_rate, codec)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  [
+    track.id,
+    track.title ?? null,
+    track.artist ?? null,
+    track.genre ?? null,
+    track.type ?? null,
+    track.description ?? null,
+    track.src ?? null,
+    track.cover ?? null,
+    track.file_path ?? null,
+    track.likes ?? 0,
+    track.plays ?? 0,
+    track.created_at || new Date(),
+    track.album ?? null,
+    track.track_number ?? null,
+    track.year ?? null,
+    track.duration ?? null,
+    track.bitrate ?? null,
+    track.sample_rate ?? null,
+    track.codec ?? null,
+  ],
+  conn
+);
+
+// changes: any of UPDATABLE_COLUMNS; returns affected row count
+const update = async (id, changes, conn) => {
+  const fields = [];
+  const values = [];
+  for (const column of UPDATABLE_COLUMNS) {
+    if (changes[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(changes[column]);
+    }
+  }
+  if (fields.length === 0) return 0;
+
+  const result = await runQuery(`UPDATE music SET ${fields.join(", ")} WHERE ${BY_ID} AND ${LIVE}`, [...values, id, id], conn);
+  return result.affectedRows;
+};
+
+// Returns the new play count, or null if the track doesn't exist
+const incrementPlays = async (id, conn) => {
+  const result = await runQuery(`UPDATE music SET plays = plays + 1 WHERE ${BY_ID} AND ${LIVE}`, [id, id], conn);
+  if (result.affectedRows === 0) return null;
+  const rows = await runQuery(`SELECT plays FROM music WHERE ${BY_ID}`, [id, id], conn);
+  return rows[0]?.plays ?? null;
+};
+
+/*
+  Counts a play unless this listener already has one for the track within
+  the last `windowSeconds`. Resolves with the new play count, false if the
+  play was a repeat, or null if the track doesn't exist. Run it in a
+  transaction: the track row is locked so concurrent requests can't both count.
+*/
+const recordPlay = async (id, { listenerHash, source, windowSeconds }, conn) => {
+  const rows = await runQuery(`SELECT id FROM music WHERE ${BY_ID} AND ${LIVE} FOR UPDATE`, [id, id], conn);
+  if (rows.length === 0) return null;
+  const trackId = rows[0].id;
+
+  const recent = await runQuery(
+    "SELECT id FROM music_plays WHERE track_id = ? AND listener_hash = ? AND played_at > NOW() - INTERVAL ? SECOND LIMIT 1",
+    [trackId, listenerHash, windowSeconds],
+    conn
+  );
+  if (recent.length > 0) return false;
+
+  await runQuery(
+    "INSERT INTO music_plays (id, track_id, listener_hash, source) VALUES (?, ?, ?, ?)",
+    [newId(), trackId, listenerHash, source],
+    conn
+  );
+  return incrementPlays(trackId, conn);
+};
+
+// Deletes play records older than the listen window; returns how many went
+const prunePlays = async (windowSeconds, conn) => {
+  const result = await runQuery("DELETE FROM music_plays WHERE played_at < NOW() - INTERVAL ? SECOND", [windowSeconds], conn);
+  return result.affectedRows;
+};
+
+// Deletes the row for good, trashed or not; see utils/trash.js for the files
+const purge = async (id, conn) => {
+  await runQuery("DELETE FROM music_plays WHERE track_id IN (SELECT id FROM music WHERE id = ? OR legacy_id = ?)", [id, id], conn);
+  const result = await runQuery(`DELETE FROM music WHERE ${BY_ID}`, [id, id], conn);
+  return result.affectedRows;
+};
+
+// Whether a trashed track's file (src or file_path) or cover is stored under any of `names`
+const hasTrashedFile = async (names, conn) => {
+  const rows = await runQuery(
+    "SELECT 1 FROM music WHERE deleted_at IS NOT NULL AND (src IN (?) OR file_path IN (?) OR cover IN (?)) LIMIT 1",
+    [names, names, names],
+    conn
+  );
+  return rows.length > 0;
+};
+
+module.exports = {
+  UPDATABLE_COLUMNS,
+  listing,
+  list,
+  count,
+  listPublic,
+  findById,
+  FILTER_COLUMNS,
+  findByIds,
+  findByFilter,
+  listWaveformTargets,
+  create,
+  update,
+  incrementPlays,
+  recordPlay,
+  prunePlays,
+  purge,
+  hasTrashedFile,
+  ...softDelete("music", { byId: BY_ID, idParams: (id) => [id, id], label: "title" }),
+};
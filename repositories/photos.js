@@ -0,0 +1,338 @@
+// repositories/photos.js
+const { runQuery, BY_ID } = require('./connection');
+const { newId } = require('../utils/ids');
+const { defineListing } = require('../utils/listing');
+const { softDelete } = require('./softDelete');
+
+const PHOTO_COLUMN_LIST = [
+  'id',
+  'file_path',
+  'original_name',
+  'size',
+  'status',
+  'views',
+  'description',
+  'mime_type',
+  'category',
+  'captured_at',
+  'camera_model',
+  'width',
+  'height',
+  'location_lat',
+  'location_lng',
+  'location_name',
+  'watermark',
+  'watermark_signature',
+  'created_at as date'
+];
+
+// Select list for API-facing photo rows; pass an alias when joining
+const photoColumns = (alias) => PHOTO_COLUMN_LIST.map((column) => (alias ? `${alias}.${column}` : column)).join(', ');
+const PHOTO_COLUMNS = photoColumns();
+
+// Gallery orderings; 'captured' falls back to upload time for photos without EXIF dates
+const listing = defineListing({
+  sorts: {
+    uploaded: { expression: 'created_at', direction: 'desc' },
+    captured: { expression: 'COALESCE(captured_at, created_at)', direction: 'desc' },
+    views: { expression: 'views', direction: 'desc' },
+    name: { expression: "COALESCE(original_name, '')", direction: 'asc' }
+  },
+  defaultSort: 'uploaded'
+});
+
+// Trashed photos only show up through the trash (see softDelete below)
+const LIVE = 'deleted_at IS NULL';
+
+// filters: { category, search, status } — status is matched case-insensitively
+const filterConditions = ({ category, search, status } = {}) => {
+  const conditions = [LIVE];
+  const values = [];
+
+  if (category && category !== 'all') {
+    conditions.push('category = ?');
+    values.push(category);
+  }
+  if (search) {
+    conditions.push('MATCH(original_name, description) AGAINST(? IN NATURAL LANGUAGE MODE)');
+    values.push(search);
+  }
+  if (status) {
+    conditions.push('LOWER(status) = ?');
+    values.push(status);
+  }
+  return { conditions, values };
+};
+
+// page: from listing.parse(); defaults to every photo, newest first
+const list = (filters = {}, page = listing.parse().page, conn) => {
+  const { conditions, values } = filterConditions(filters);
+  const after = listing.seek(page);
+  if (after) {
+    conditions.push(after.sql);
+    values.push(...after.values);
+  }
+
+  return runQuery(
+    `SELECT ${PHOTO_COLUMNS}, ${listing.cursorSelect(page)} FROM photos
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${listing.orderBy(page)}${listing.limitClause(page)}`,
+    values,
+    conn
+  );
+};
+
+const count = async (filters = {}, conn) => {
+  const { conditions, values } = filterConditions(filters);
+  const rows = await runQuery(`SELECT COUNT(*) AS total FROM photos WHERE ${conditions.join(' AND ')}`, values, conn);
+  return rows[0].total;
+};
+
+const categories = (conn) => runQuery(
+  `SELECT category as name, COUNT(*) as count FROM photos WHERE ${LIVE} GROUP BY category ORDER BY category`,
+  [],
+  conn
+);
+
+const findById = async (id, conn) => {
+  const rows = await runQuery(`SELECT ${PHOTO_COLUMNS} FROM photos WHERE ${BY_ID} AND ${LIVE}`, [id, id], conn);
+  return rows[0] || null;
+};
+
+const listByIds = (ids, conn) => {
+  if (ids.length === 0) return Promise.resolve([]);
+  return runQuery(`SELECT ${PHOTO_COLUMNS} FROM photos WHERE id IN (?) AND ${LIVE}`, [ids], conn);
+};
+
+// Full row, for audit snapshots and file cleanup
+const findRawById = async (id, conn) => {
+  const rows = await runQuery(`SELECT * FROM photos WHERE ${BY_ID} AND ${LIVE}`, [id, id], conn);
+  return rows[0] || null;
+};
+
+// Full rows for bulk operations; legacy ids match too
+const findRawByIds = (ids, conn) => {
+  if (ids.length === 0) return Promise.resolve([]);
+  return runQuery(`SELECT * FROM photos WHERE (id IN (?) OR legacy_id IN (?)) AND ${LIVE}`, [ids, ids], conn);
+};
+
+// Full rows matching list filters, oldest first, at most `limit`
+const findRawByFilter = (filters, limit, conn) => {
+  const { conditions, values } = filterConditions(filters);
+  return runQuery(
+    `SELECT * FROM photos WHERE ${conditions.join(' AND ')} ORDER BY created_at ASC, id ASC LIMIT ${Number(limit)}`,
+    values,
+    conn
+  );
+};
+
+const create = (photo, conn) => runQuery(
+  `INSERT INTO photos
+   (id, file_path, caption, original_name, size, status, views, description, mime_type, category,
+    captured_at, camera_model, width, height, location_lat, location_lng, location_name, content_hash, phash,
+    original_path, watermark, watermark_signature)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  [
+    photo.id,
+    photo.file_path,
+    photo.caption ?? null,
+    photo.original_name ?? null,
+    photo.size ?? null,
+    photo.status || 'active',
+    photo.views ?? 0,
+    photo.description ?? '',
+    photo.mime_type ?? null,
+    photo.category || 'general',
+    photo.captured_at ?? null,
+    photo.camera_model ?? null,
+    photo.width ?? null,
+    photo.height ?? null,
+    photo.location_lat ?? null,
+    photo.location_lng ?? null,
+    photo.location_name ?? null,
+    photo.content_hash ?? null,
+    photo.phash ?? null,
+    photo.original_path ?? null,
+    photo.watermark === null || photo.watermark === undefined ? null : (photo.watermark ? 1 : 0),
+    photo.watermark_signature ?? null
+  ],
+  conn
+);
+
+const UPDATABLE_COLUMNS = ['description', 'status', 'category', 'location_lat', 'location_lng', 'location_name', 'watermark'];
+
+// changes: any of UPDATABLE_COLUMNS; returns affected row count
+const update = async (id, changes, conn) => {
+  const fields = [];
+  const values = [];
+  for (const column of UPDATABLE_COLUMNS) {
+    if (changes[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      // watermark: true/false, or null to follow the photo's albums
+      values.push(column === 'watermark' && changes[column] !== null ? (changes[column] ? 1 : 0) : changes[column]);
+    }
+  }
+  if (fields.length === 0) return 0;
+
+  const result = await runQuery(
+    `UPDATE photos SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE ${BY_ID} AND ${LIVE}`,
+    [...values, id, id],
+    conn
+  );
+  return result.affectedRows;
+};
+
+// Returns the new view count, or null if the photo doesn't exist
+const incrementViews = async (id, conn) => {
+  const result = await runQuery(
+    `UPDATE photos SET views = views + 1, updated_at = CURRENT_TIMESTAMP WHERE ${BY_ID} AND ${LIVE}`,
+    [id, id],
+    conn
+  );
+  if (result.affectedRows === 0) return null;
+  const rows = await runQuery(`SELECT views FROM photos WHERE ${BY_ID}`, [id, id], conn);
+  return rows[0]?.views ?? null;
+};
+
+// Deletes the row for good, trashed or not; see utils/trash.js for the files
+const purge = async (id, conn) => {
+  const result = await runQuery(`DELETE FROM photos WHERE ${BY_ID}`, [id, id], conn);
+  return result.affectedRows;
+};
+
+// Whether a trashed photo, or one of its variants, is stored under any of `filePaths`
+const hasTrashedFile = async (filePaths, conn) => {
+  const rows = await runQuery(
+    `SELECT 1 FROM photos p
+     WHERE p.deleted_at IS NOT NULL
+       AND (p.file_path IN (?) OR EXISTS (SELECT 1 FROM photo_variants v WHERE v.photo_id = p.id AND v.file_path IN (?)))
+     LIMIT 1`,
+    [filePaths, filePaths],
+    conn
+  );
+  return rows.length > 0;
+};
+
+// =============================
+// 🖼️ Variants (photo_variants)
+// =============================
+const addVariants = (photoId, variants, conn) => runQuery(
+  'INSERT INTO photo_variants (id, photo_id, variant, format, file_path, width, height, size_bytes) VALUES ?',
+  [variants.map((v) => [newId(), photoId, v.variant, v.format, v.file_path, v.width, v.height, v.size_bytes])],
+  conn
+);
+
+// All variants for the given photo ids, in one query
+const listVariants = (photoIds, conn) => {
+  if (photoIds.length === 0) return Promise.resolve([]);
+  return runQuery(
+    'SELECT photo_id, variant, format, file_path, width, height, size_bytes FROM photo_variants WHERE photo_id IN (?)',
+    [photoIds],
+    conn
+  );
+};
+
+// Deletes a photo's variant rows and resolves with them, so callers can unlink the files
+const removeVariants = async (photoId, conn) => {
+  const rows = await listVariants([photoId], conn);
+  await runQuery('DELETE FROM photo_variants WHERE photo_id = ?', [photoId], conn);
+  return rows;
+};
+
+// =============================
+// 🧬 Fingerprints (duplicate detection)
+// =============================
+// Existing photos whose uploaded file had one of these SHA-256 hashes
+const findByContentHashes = (hashes, conn) => {
+  if (hashes.length === 0) return Promise.resolve([]);
+  return runQuery(
+    `SELECT ${PHOTO_COLUMNS}, content_hash FROM photos WHERE content_hash IN (?) AND ${LIVE}`,
+    [hashes],
+    conn
+  );
+};
+
+// Every fingerprinted photo, oldest first: [{ id, phash, content_hash }]
+const listHashes = (conn) => runQuery(
+  `SELECT id, phash, content_hash FROM photos WHERE phash IS NOT NULL AND ${LIVE} ORDER BY created_at`,
+  [],
+  conn
+);
+
+// Photos uploaded before fingerprinting existed
+const listUnhashed = (conn) => runQuery(
+  `SELECT id, file_path, original_path FROM photos WHERE phash IS NULL AND ${LIVE} ORDER BY created_at`,
+  [],
+  conn
+);
+
+const setPhash = (id, phash, conn) => runQuery('UPDATE photos SET phash = ? WHERE id = ?', [phash, id], conn);
+
+// =============================
+// 💧 Watermarking (see utils/watermark.js)
+// =============================
+/*
+  Live photos with what decides their watermark: their own toggle, and
+  album_opt_out (1 when an album they are in has watermarking off). Either
+  the given ids, or the next `limit` photos of the library after `afterId`.
+*/
+const listWatermarkTargets = ({ ids = null, afterId = '', limit = 100 } = {}, conn) => {
+  if (ids && ids.length === 0) return Promise.resolve([]);
+  return runQuery(
+    `SELECT p.id, p.file_path, p.original_path, p.watermark, p.watermark_signature,
+       COALESCE(MIN(a.watermark), 1) = 0 AS album_opt_out
+     FROM photos p
+     LEFT JOIN album_photos ap ON ap.photo_id = p.id
+     LEFT JOIN albums a ON a.id = ap.album_id
+     WHERE p.deleted_at IS NULL AND ${ids ? 'p.id IN (?)' : 'p.id > ?'}
+     GROUP BY p.id
+     ORDER BY p.id${ids ? '' : ` LIMIT ${Number(limit)}`}`,
+    [ids || afterId],
+    conn
+  );
+};
+
+// Points a photo at freshly rendered variants
+const setRendition = (id, { file_path, size, original_path, watermark_signature }, conn) => runQuery(
+  `UPDATE photos SET file_path = ?, size = ?, original_path = ?, watermark_signature = ?, updated_at = CURRENT_TIMESTAMP
+   WHERE id = ?`,
+  [file_path, size, original_path, watermark_signature, id],
+  conn
+);
+
+// Minimal list for the legacy public endpoint
+const listPublic = (conn) => runQuery(
+  `SELECT id, file_path, caption FROM photos WHERE ${LIVE} ORDER BY created_at DESC`,
+  [],
+  conn
+);
+
+module.exports = {
+  photoColumns,
+  listing,
+  UPDATABLE_COLUMNS,
+  list,
+  count,
+  listPublic,
+  categories,
+  findById,
+  listByIds,
+  findRawById,
+  findRawByIds,
+  findRawByFilter,
+  create,
+  update,
+  incrementViews,
+  purge,
+  hasTrashedFile,
+  ...softDelete('photos', { byId: BY_ID, idParams: (id) => [id, id], label: 'original_name' }),
+  addVariants,
+  listVariants,
+  removeVariants,
+  findByContentHashes,
+  listHashes,
+  listUnhashed,
+  setPhash,
+  listWatermarkTargets,
+  setRendition,
+};
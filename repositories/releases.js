@@ -0,0 +1,181 @@
+// repositories/releases.js
+const { runQuery } = require('./connection');
+
+const TYPES = ['album', 'ep', 'single'];
+
+const UPDATABLE_COLUMNS = ['title', 'slug', 'type', 'release_date', 'artwork', 'label', 'upc', 'description', 'published'];
+
+// Trashed tracks keep their place on a release (so a restore puts them back) but are never listed
+const LIVE_TRACK = 'm.deleted_at IS NULL';
+
+/*
+  Releases with their live track count, newest first; undated releases
+  (announced, not out yet) sort after dated ones.
+*/
+const list = ({ publishedOnly = false, type = null } = {}, conn) => {
+  const conditions = [];
+  const values = [];
+  if (publishedOnly) conditions.push('r.published = 1');
+  if (type) {
+    conditions.push('r.type = ?');
+    values.push(type);
+  }
+  return runQuery(
+    `SELECT r.*, COUNT(m.id) AS track_count
+     FROM releases r
+     LEFT JOIN release_tracks rt ON rt.release_id = r.id
+     LEFT JOIN music m ON m.id = rt.track_id AND ${LIVE_TRACK}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     GROUP BY r.id
+     ORDER BY r.release_date IS NULL, r.release_date DESC, r.created_at DESC`,
+    values,
+    conn
+  );
+};
+
+const findById = async (id, conn) => {
+  const rows = await runQuery('SELECT * FROM releases WHERE id = ?', [id], conn);
+  return rows[0] || null;
+};
+
+const findBySlug = async (slug, conn) => {
+  const rows = await runQuery('SELECT * FROM releases WHERE slug = ?', [slug], conn);
+  return rows[0] || null;
+};
+
+const slugTaken = async (slug, exceptId = null, conn) => {
+  const rows = await runQuery('SELECT id FROM releases WHERE slug = ? AND id <> ?', [slug, exceptId || ''], conn);
+  return rows.length > 0;
+};
+
+const create = (release, conn) => runQuery(
+  `INSERT INTO releases (id, title, slug, type, release_date, artwork, label, upc, description, published)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  [
+    release.id,
+    release.title,
+    release.slug,
+    release.type || 'album',
+    release.release_date ?? null,
+    release.artwork ?? null,
+    release.label ?? null,
+    release.upc ?? null,
+    release.description ?? null,
+    release.published ? 1 : 0
+  ],
+  conn
+);
+
+// changes: any of UPDATABLE_COLUMNS; returns affected row count
+const update = async (id, changes, conn) => {
+  const fields = [];
+  const values = [];
+  for (const column of UPDATABLE_COLUMNS) {
+    if (changes[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(column === 'published' ? (changes[column] ? 1 : 0) : changes[column]);
+    }
+  }
+  if (fields.length === 0) return 0;
+
+  const result = await runQuery(`UPDATE releases SET ${fields.join(', ')} WHERE id = ?`, [...values, id], conn);
+  return result.affectedRows;
+};
+
+// The tracklist goes with the release; the tracks themselves stay
+const remove = async (id, conn) => {
+  await runQuery('DELETE FROM release_tracks WHERE release_id = ?', [id], conn);
+  const result = await runQuery('DELETE FROM releases WHERE id = ?', [id], conn);
+  return result.affectedRows;
+};
+
+// =============================
+// 🎵 Tracklists (release_tracks)
+// =============================
+/*
+  Live tracks of the given releases in tracklist order, each as the full
+  music row plus release_id, disc_number and track_number.
+*/
+const listTracks = (releaseIds, conn) => {
+  if (releaseIds.length === 0) return Promise.resolve([]);
+  return runQuery(
+    `SELECT m.*, rt.release_id, rt.disc_number, rt.track_number
+     FROM release_tracks rt
+     JOIN music m ON m.id = rt.track_id AND ${LIVE_TRACK}
+     WHERE rt.release_id IN (?)
+     ORDER BY rt.release_id, rt.disc_number, rt.track_number`,
+    [releaseIds],
+    conn
+  );
+};
+
+// Disc and track numbers on a release held by trashed tracks: [{ track_id, disc_number, track_number }]
+const listTrashedPositions = (releaseId, conn) => runQuery(
+  `SELECT rt.track_id, rt.disc_number, rt.track_number
+   FROM release_tracks rt
+   JOIN music m ON m.id = rt.track_id AND m.deleted_at IS NOT NULL
+   WHERE rt.release_id = ?`,
+  [releaseId],
+  conn
+);
+
+/*
+  Replaces the live part of a release's tracklist. Trashed tracks keep their
+  rows, so `tracks` must not use their positions (see listTrashedPositions).
+  tracks: [{ trackId, disc, number }] with distinct tracks and positions.
+*/
+const setTracks = async (releaseId, tracks, conn) => {
+  await runQuery(
+    `DELETE rt FROM release_tracks rt
+     LEFT JOIN music m ON m.id = rt.track_id
+     WHERE rt.release_id = ? AND (m.id IS NULL OR ${LIVE_TRACK})`,
+    [releaseId],
+    conn
+  );
+  if (tracks.length === 0) return;
+  await runQuery(
+    'INSERT INTO release_tracks (release_id, track_id, disc_number, track_number) VALUES ?',
+    [tracks.map((t) => [releaseId, t.trackId, t.disc, t.number])],
+    conn
+  );
+};
+
+// Releases each track appears on, for track listings: Map(trackId → [{ id, title, slug, type }])
+const listForTracks = async (trackIds, { publishedOnly = false } = {}, conn) => {
+  const byTrack = new Map();
+  if (trackIds.length === 0) return byTrack;
+  const rows = await runQuery(
+    `SELECT rt.track_id, r.id, r.title, r.slug, r.type
+     FROM release_tracks rt
+     JOIN releases r ON r.id = rt.release_id
+     WHERE rt.track_id IN (?)${publishedOnly ? ' AND r.published = 1' : ''}
+     ORDER BY r.release_date IS NULL, r.release_date ASC, r.created_at ASC`,
+    [trackIds],
+    conn
+  );
+  for (const { track_id, ...release } of rows) {
+    if (!byTrack.has(track_id)) byTrack.set(track_id, []);
+    byTrack.get(track_id).push(release);
+  }
+  return byTrack;
+};
+
+// Called when a track is purged from the trash
+const detachTrack = (trackId, conn) => runQuery('DELETE FROM release_tracks WHERE track_id = ?', [trackId], conn);
+
+module.exports = {
+  TYPES,
+  UPDATABLE_COLUMNS,
+  list,
+  findById,
+  findBySlug,
+  slugTaken,
+  create,
+  update,
+  remove,
+  listTracks,
+  listTrashedPositions,
+  setTracks,
+  listForTracks,
+  detachTrack,
+};
@@ -0,0 +1,54 @@
+// repositories/softDelete.js
+//
+// Trash operations shared by every table with a deleted_at column. Repositories
+// spread the result into their exports:
+//
+//   ...softDelete('photos', { byId: BY_ID, idParams: (id) => [id, id], label: 'original_name' })
+//
+// `label` is the SQL expression the trash listing shows for a row.
+const { runQuery } = require('./connection');
+
+const softDelete = (table, { byId = 'id = ?', idParams = (id) => [id], label }) => {
+  // Moves a live row to the trash; returns affected row count
+  const trash = async (id, conn) => {
+    const result = await runQuery(
+      `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP WHERE ${byId} AND deleted_at IS NULL`,
+      idParams(id),
+      conn
+    );
+    return result.affectedRows;
+  };
+
+  // Brings a trashed row back; returns affected row count
+  const restore = async (id, conn) => {
+    const result = await runQuery(
+      `UPDATE ${table} SET deleted_at = NULL WHERE ${byId} AND deleted_at IS NOT NULL`,
+      idParams(id),
+      conn
+    );
+    return result.affectedRows;
+  };
+
+  const findTrashedById = async (id, conn) => {
+    const rows = await runQuery(`SELECT * FROM ${table} WHERE ${byId} AND deleted_at IS NOT NULL`, idParams(id), conn);
+    return rows[0] || null;
+  };
+
+  // Trash listing, most recently deleted first: [{ id, label, deleted_at }]
+  const listTrashed = (conn) => runQuery(
+    `SELECT id, ${label} AS label, deleted_at FROM ${table} WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC`,
+    [],
+    conn
+  );
+
+  // Full rows trashed before `cutoff` (a Date), oldest first
+  const listExpired = (cutoff, limit, conn) => runQuery(
+    `SELECT * FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ? ORDER BY deleted_at ASC LIMIT ${Number(limit)}`,
+    [cutoff],
+    conn
+  );
+
+  return { trash, restore, findTrashedById, listTrashed, listExpired };
+};
+
+module.exports = { softDelete };
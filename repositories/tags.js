@@ -0,0 +1,73 @@
+// repositories/tags.js
+const { runQuery } = require('./connection');
+const { newId } = require('../utils/ids');
+const { slugify } = require('../utils/slug');
+
+const MAX_TAG_LENGTH = 50;
+
+// Trimmed, de-duplicated by slug, first spelling wins; names without usable characters are dropped
+const normalizeNames = (names) => {
+  const bySlug = new Map();
+  for (const name of names) {
+    const trimmed = String(name).trim().slice(0, MAX_TAG_LENGTH);
+    const slug = slugify(trimmed).slice(0, 60);
+    if (slug && !bySlug.has(slug)) bySlug.set(slug, trimmed);
+  }
+  return [...bySlug.entries()].map(([slug, name]) => ({ slug, name }));
+};
+
+// Tag rows for `names`, creating any that don't exist yet
+const ensure = async (names, conn) => {
+  const wanted = normalizeNames(names);
+  if (wanted.length === 0) return [];
+  await runQuery(
+    'INSERT IGNORE INTO tags (id, name, slug) VALUES ?',
+    [wanted.map(({ slug, name }) => [newId(), name, slug])],
+    conn
+  );
+  return runQuery('SELECT id, name, slug FROM tags WHERE slug IN (?)', [wanted.map((t) => t.slug)], conn);
+};
+
+// Attach every tag to every entity; existing pairs are left alone. Returns rows added
+const attach = async (entityType, entityIds, tagIds, conn) => {
+  if (entityIds.length === 0 || tagIds.length === 0) return 0;
+  const result = await runQuery(
+    'INSERT IGNORE INTO taggings (tag_id, entity_type, entity_id) VALUES ?',
+    [entityIds.flatMap((entityId) => tagIds.map((tagId) => [tagId, entityType, entityId]))],
+    conn
+  );
+  return result.affectedRows;
+};
+
+// Map of entity id → [tag name, ...] (alphabetical), in one query
+const namesFor = async (entityType, entityIds, conn) => {
+  const byEntity = new Map(entityIds.map((id) => [id, []]));
+  if (entityIds.length === 0) return byEntity;
+  const rows = await runQuery(
+    `SELECT tg.entity_id, t.name
+     FROM taggings tg
+     JOIN tags t ON t.id = tg.tag_id
+     WHERE tg.entity_type = ? AND tg.entity_id IN (?)
+     ORDER BY t.name`,
+    [entityType, entityIds],
+    conn
+  );
+  for (const row of rows) byEntity.get(row.entity_id)?.push(row.name);
+  return byEntity;
+};
+
+// Called when an item is deleted
+const detachAll = (entityType, entityId, conn) => runQuery(
+  'DELETE FROM taggings WHERE entity_type = ? AND entity_id = ?',
+  [entityType, entityId],
+  conn
+);
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeNames,
+  ensure,
+  attach,
+  namesFor,
+  detachAll,
+};
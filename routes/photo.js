@@ -2,8 +2,36 @@ const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const sharp = require('sharp'); // For image compression
-const db = require('../db'); // MySQL connection
+const sharp = require('sharp');
+const { photos, albums, withTransaction } = require('../repositories');
+const { recordAudit } = require('../utils/audit');
+const { newId } = require('../utils/ids');
+const { PRIMARY_VARIANT, generateBaseName, renderVariants, writeOriginal, removeFiles, buildSrcset } = require('../utils/imageVariants');
+const { PHOTO_FIELDS, photoUrl, formatPhoto, formatPhotosWithVariants } = require('../utils/photoPresenter');
+const { extractMetadata } = require('../utils/photoMetadata');
+const { recordEvent } = require('../utils/analytics');
+const {
+  NEAR_DUPLICATE_DISTANCE,
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  findSimilar,
+  clusterBySimilarity
+} = require('../utils/photoHash');
+const { parseBulkRequest, runBulk, setFieldAction, addTagsAction, trashAction } = require('../utils/bulk');
+const {
+  ORIGINALS_DIR,
+  WATERMARK_DIR,
+  POSITIONS,
+  getWatermarkSettings,
+  saveWatermarkSettings,
+  validateWatermarkSettings,
+  signatureFor,
+  wantsWatermark,
+  createWatermarker,
+  rerenderPhotos,
+  queueRerender
+} = require('../utils/watermark');
 const router = express.Router();
 
 // Ensure uploads/photos directory exists
@@ -27,369 +55,630 @@ const upload = multer({
   }
 });
 
-// Helper: Generate unique filename
-const generateFilename = (originalname) => {
-  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-  const ext = path.extname(originalname).toLowerCase();
-  return uniqueSuffix + ext;
+// Helper: Form fields arrive as strings
+const isTruthy = (value) => ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+
+// What to do with files whose exact bytes are already in the library
+const DUPLICATE_MODES = ['reject', 'link'];
+
+// Watermark PNGs are small; they are scaled down to each photo anyway
+const watermarkUpload = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype !== 'image/png') {
+      return cb(new Error('Watermark must be a PNG'), false);
+    }
+    cb(null, true);
+  }
+});
+
+// Helper: Form fields arrive as strings; '' or 'inherit' means follow the album
+const parseWatermarkToggle = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'inherit') return null;
+  return isTruthy(value);
+};
+
+// Helper: Remove files written for a request that didn't make it into the DB
+const cleanupFiles = (filenames, dir = UPLOAD_DIR) => {
+  removeFiles(dir, filenames).catch((unlinkErr) => {
+    console.warn('⚠️ Failed to cleanup file after DB error:', unlinkErr.message);
+  });
 };
 
 // 📸 UPLOAD PHOTO — POST /api/photos
-router.post('/', upload.array('files'), (req, res) => {
+//
+// Files already in the library (same bytes) are rejected with 409 unless
+// on_duplicate=link, in which case the existing photo is returned (and filed
+// into album_id) instead of a copy. New photos that look like existing ones
+// are saved, and listed under nearDuplicates so the uploader can review them.
+//
+// A clean master of each photo is kept privately; the public variants carry
+// the watermark (utils/watermark.js) unless watermark=false, or album_id
+// names an album with watermarking off.
+//
+// The legacy POST /api/admin/upload/photo goes through here too, with its own
+// form fields (one `file`, described by `caption`) and response shape:
+// `respond(res, photos, status)` sends the response.
+const uploadPhotos = (respond, { field = 'files', maxCount, descriptionField = 'description' } = {}) => [upload.array(field, maxCount), async (req, res) => {
   if (!req.files || req.files.length === 0) {
     return res.status(400).json({ error: 'No files uploaded' });
   }
 
+  const onDuplicate = req.body.on_duplicate || 'reject';
+  if (!DUPLICATE_MODES.includes(onDuplicate)) {
+    return res.status(400).json({ error: `on_duplicate must be one of: ${DUPLICATE_MODES.join(', ')}` });
+  }
+
+  // Get category from request (default: 'general')
+  const category = req.body.category || 'general';
+  const description = req.body[descriptionField] || '';
+  const date = new Date().toISOString().split('T')[0];
+
+  // GPS from EXIF is dropped unless the admin explicitly asks to keep it
+  const keepLocation = isTruthy(req.body.keep_location);
+  const locationName = req.body.location_name ? String(req.body.location_name).slice(0, 255) : null;
+
+  // Optionally file the new photos straight into an album
+  const albumId = req.body.album_id || null;
+  let album = null;
+  if (albumId) {
+    try {
+      album = await albums.findById(albumId);
+      if (!album) return res.status(400).json({ error: 'Album not found' });
+    } catch (err) {
+      console.error('❌ Album lookup error:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+  }
+
+  // The same watermark decision applies to the whole batch
+  const watermark = parseWatermarkToggle(req.body.watermark);
+  let watermarkSignature = null;
+  let watermarker = null;
+  try {
+    const settings = await getWatermarkSettings();
+    if (wantsWatermark(settings, { watermark, album_opt_out: album ? !album.watermark : false })) {
+      watermarkSignature = signatureFor(settings);
+      watermarker = await createWatermarker(settings);
+    }
+  } catch (err) {
+    console.error('❌ Watermark setup error:', err);
+    return res.status(500).json({ error: 'Watermark setup failed' });
+  }
+
+  // Fingerprint everything before rendering, so duplicates cost no disk writes
+  let fingerprints;
+  try {
+    fingerprints = await Promise.all(req.files.map(async (file) => ({
+      content_hash: contentHash(file.buffer),
+      phash: await perceptualHash(file.buffer)
+    })));
+  } catch (err) {
+    console.error('❌ Image processing error:', err);
+    return res.status(500).json({ error: 'Image processing failed' });
+  }
+
+  let existingByHash;
+  let library;
+  try {
+    const matches = await photos.findByContentHashes([...new Set(fingerprints.map((f) => f.content_hash))]);
+    existingByHash = new Map(matches.map((photo) => [photo.content_hash, photo]));
+    library = await photos.listHashes();
+  } catch (err) {
+    console.error('❌ Duplicate lookup error:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  const duplicates = req.files
+    .map((file, i) => ({ originalName: file.originalname, existing: existingByHash.get(fingerprints[i].content_hash) }))
+    .filter((entry) => entry.existing);
+  if (duplicates.length > 0 && onDuplicate === 'reject') {
+    return res.status(409).json({
+      error: 'Some files are already in the library',
+      duplicates: duplicates.map(({ originalName, existing }) => ({
+        originalName,
+        duplicateOf: { id: existing.id, originalName: existing.original_name, src: photoUrl(existing.file_path) }
+      }))
+    });
+  }
+
+  const written = [];
+  const writtenOriginals = [];
   const newPhotos = [];
-  let completed = 0;
-  const totalFiles = req.files.length;
-
-  const finalize = () => {
-    completed++;
-    if (completed === totalFiles) {
-      console.log(`✅ Successfully uploaded ${newPhotos.length} photo(s)`);
-      res.status(201).json(newPhotos);
+  // One entry per uploaded file, in order: { photo } for new ones, { existingId } for linked ones
+  const outcomes = [];
+
+  // Render every variant of every image first; nothing is inserted unless all succeed
+  try {
+    for (const [i, file] of req.files.entries()) {
+      const fingerprint = fingerprints[i];
+      const existing = existingByHash.get(fingerprint.content_hash);
+      if (existing) {
+        outcomes.push({ existingId: existing.id });
+        continue;
+      }
+      // The same file twice in one request is stored once
+      const repeat = newPhotos.find((photo) => photo.content_hash === fingerprint.content_hash);
+      if (repeat) {
+        outcomes.push({ photo: repeat, repeat: true });
+        continue;
+      }
+
+      const metadata = await extractMetadata(file.buffer);
+      const baseName = generateBaseName();
+      const originalPath = await writeOriginal(file.buffer, ORIGINALS_DIR, baseName);
+      writtenOriginals.push(originalPath);
+      const variants = await renderVariants(file.buffer, UPLOAD_DIR, baseName, { watermark: watermarker });
+      written.push(...variants.map((v) => v.file_path));
+
+      // The large JPEG stays the photo's own file for clients that ignore variants
+      const primary = variants.find((v) => v.variant === PRIMARY_VARIANT.variant && v.format === PRIMARY_VARIANT.format);
+      console.log(`✅ Rendered ${variants.length} variants for ${file.originalname}`);
+
+      const photo = {
+        id: newId(),
+        file_path: primary.file_path,
+        original_name: file.originalname,
+        size: (primary.size_bytes / 1024 / 1024).toFixed(2) + ' MB',
+        status: 'active', // ✅ Always set to active
+        views: 0,
+        description,
+        mime_type: 'image/jpeg',
+        category,
+        captured_at: metadata.captured_at,
+        camera_model: metadata.camera_model,
+        width: metadata.width,
+        height: metadata.height,
+        location_lat: keepLocation && metadata.gps ? metadata.gps.latitude : null,
+        location_lng: keepLocation && metadata.gps ? metadata.gps.longitude : null,
+        location_name: locationName,
+        content_hash: fingerprint.content_hash,
+        phash: fingerprint.phash,
+        original_path: originalPath,
+        watermark,
+        watermark_signature: watermarkSignature,
+        // Compared against the library and the files before it in this batch
+        similar: findSimilar(fingerprint.phash, [...library, ...newPhotos]),
+        variants
+      };
+      newPhotos.push(photo);
+      outcomes.push({ photo });
+    }
+  } catch (err) {
+    console.error('❌ Image processing error:', err);
+    cleanupFiles(written);
+    cleanupFiles(writtenOriginals, ORIGINALS_DIR);
+    return res.status(500).json({ error: 'Image processing failed' });
+  }
+
+  const linkedIds = [...new Set(outcomes.filter((o) => o.existingId).map((o) => o.existingId))];
+
+  // One transaction for the batch: either every photo is saved or none is
+  try {
+    await withTransaction(async (conn) => {
+      for (const photo of newPhotos) {
+        await photos.create(photo, conn);
+        await photos.addVariants(photo.id, photo.variants, conn);
+      }
+      if (albumId) await albums.addPhotos(albumId, [...newPhotos.map((photo) => photo.id), ...linkedIds], conn);
+    });
+  } catch (err) {
+    console.error('❌ Database insert error:', err);
+    cleanupFiles(written);
+    cleanupFiles(writtenOriginals, ORIGINALS_DIR);
+    return res.status(500).json({ error: 'Database insert failed' });
+  }
+  // Linked photos may now belong to an album that keeps its photos clean
+  if (album && !album.watermark) queueRerender(linkedIds);
+
+  let linked;
+  let similarById;
+  try {
+    linked = new Map((await formatPhotosWithVariants(await photos.listByIds(linkedIds))).map((photo) => [photo.id, photo]));
+    const libraryMatches = await photos.listByIds([...new Set(newPhotos.flatMap((photo) => photo.similar.map((m) => m.id)))]);
+    similarById = new Map([...libraryMatches, ...newPhotos].map((photo) => [photo.id, photo]));
+  } catch (err) {
+    // The upload itself succeeded; don't report it as failed
+    console.error('❌ Duplicate report error:', err);
+    linked = new Map();
+    similarById = new Map(newPhotos.map((photo) => [photo.id, photo]));
+  }
+
+  const created = newPhotos.map(({ variants, similar, content_hash, phash, ...photo }) => ({
+    ...formatPhoto(photo),
+    date,
+    ...buildSrcset(variants, photoUrl),
+    nearDuplicates: similar
+      .filter((match) => similarById.has(match.id))
+      .map(({ id, distance }) => ({
+        id,
+        originalName: similarById.get(id).original_name,
+        src: photoUrl(similarById.get(id).file_path),
+        distance
+      }))
+  }));
+  created.forEach(({ variants, srcset, nearDuplicates, ...photo }) => {
+    recordAudit(req, { action: 'photo.create', entityType: 'photo', entityId: photo.id, after: photo });
+  });
+
+  const response = outcomes.map((outcome) => {
+    if (outcome.existingId) {
+      return linked.has(outcome.existingId) ? { ...linked.get(outcome.existingId), duplicate: true } : null;
     }
-  };
-
-  req.files.forEach(file => {
-    const originalFilename = file.originalname;
-    const filename = generateFilename(originalFilename);
-    const filePath = path.join(UPLOAD_DIR, filename);
-
-    // Get category from request (default: 'general')
-    const category = req.body.category || 'general';
-    const description = req.body.description || '';
-
-    // Compress & resize image using sharp
-    sharp(file.buffer)
-      .resize(1920, 1080, { // Max dimensions
-        fit: sharp.fit.inside,
-        withoutEnlargement: true
+    const photo = created.find((p) => p.id === outcome.photo.id);
+    return outcome.repeat ? { ...photo, duplicate: true } : { ...photo, duplicate: false };
+  }).filter(Boolean);
+
+  console.log(`✅ Successfully uploaded ${created.length} photo(s), linked ${linkedIds.length} duplicate(s)`);
+  respond(res, response, created.length > 0 ? 201 : 200);
+}];
+
+router.post('/', ...uploadPhotos((res, uploaded, status) => res.status(status).json(uploaded)));
+
+// 🧬 DUPLICATE CLUSTERS — GET /api/photos/duplicates?distance=10
+//
+// Groups of library photos that look alike (perceptual hash within `distance`
+// bits of each other, 0–32). `exact` is set when every photo in the group came
+// from the same file. Largest groups first.
+router.get('/duplicates', async (req, res) => {
+  const distance = req.query.distance === undefined ? NEAR_DUPLICATE_DISTANCE : Number(req.query.distance);
+  if (!Number.isInteger(distance) || distance < 0 || distance > 32) {
+    return res.status(400).json({ error: 'distance must be an integer between 0 and 32' });
+  }
+
+  try {
+    const rows = await photos.listHashes();
+    const clusters = await clusterBySimilarity(rows, distance);
+    const byId = new Map(rows.map((row) => [row.id, row]));
+    const formatted = new Map(
+      (await formatPhotosWithVariants(await photos.listByIds(clusters.flat()))).map((photo) => [photo.id, photo])
+    );
+
+    const result = clusters
+      .map((ids) => {
+        const hashes = new Set(ids.map((id) => byId.get(id).content_hash));
+        return {
+          exact: hashes.size === 1 && !hashes.has(null),
+          photos: ids.filter((id) => formatted.has(id)).map((id) => ({
+            ...formatted.get(id),
+            distance: hammingDistance(byId.get(ids[0]).phash, byId.get(id).phash)
+          }))
+        };
       })
-      .jpeg({ quality: 80, progressive: true }) // Convert to high-quality JPEG
-      .toFile(filePath, (err, info) => {
-        if (err) {
-          console.error('❌ Image processing error:', err);
-          return res.status(500).json({ error: 'Image processing failed' });
-        }
-
-        console.log('✅ File saved to:', filePath);
-
-        const size = (info.size / 1024 / 1024).toFixed(2) + ' MB';
-        const date = new Date().toISOString().split('T')[0];
-
-        const query = `
-          INSERT INTO photos 
-          (id, file_path, original_name, size, status, views, description, mime_type, category) 
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const photoId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-
-        db.query(query, [
-          photoId,
-          filename,
-          originalFilename,
-          size,
-          'active', // ✅ Always set to active
-          0,
-          description,
-          'image/jpeg',
-          category
-        ], (err, result) => {
-          if (err) {
-            console.error('❌ Database insert error:', err);
-            // Clean up the file if DB insert fails
-            fs.unlink(filePath, (unlinkErr) => {
-              if (unlinkErr) console.warn('⚠️ Failed to cleanup file after DB error:', unlinkErr.message);
-            });
-            return res.status(500).json({ error: 'Database insert failed' });
-          }
-
-          const newPhoto = {
-            id: photoId,
-            file_path: filename,
-            originalName: originalFilename,
-            size,
-            status: 'active',
-            views: 0,
-            description,
-            mimeType: 'image/jpeg',
-            category,
-            src: `/uploads/photos/${filename}`, // URL for frontend
-            date
-          };
-
-          newPhotos.push(newPhoto);
-          finalize();
-        });
-      });
+      .sort((a, b) => b.photos.length - a.photos.length);
+
+    console.log(`✅ Found ${result.length} duplicate cluster(s) at distance ${distance}`);
+    res.json({ distance, clusters: result });
+  } catch (err) {
+    console.error('❌ Duplicate clusters error:', err);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+// 📦 BULK — POST /api/photos/bulk
+//
+// Body (see utils/bulk.js): { action, ids | filter, dryRun, ...params }
+//   status    { status }      set every photo's status
+//   category  { category }    set every photo's category
+//   album     { albumId }     add the photos to an album
+//   tags      { tags: [...] } add tags
+//   delete                    move photos to the trash
+// filter takes the list filters: { category, status, search }
+const BULK_ACTIONS = {
+  status: setFieldAction({ field: 'status', maxLength: 32, repo: photos, entityType: 'photo', normalize: (v) => v.toLowerCase() }),
+  category: setFieldAction({ field: 'category', maxLength: 100, repo: photos, entityType: 'photo' }),
+  album: {
+    validate: (body) => (typeof body.albumId === 'string' && body.albumId
+      ? { params: { albumId: body.albumId } }
+      : { error: 'albumId is required' }),
+    prepare: async ({ albumId }, rows, conn) => {
+      const album = await albums.findById(albumId, conn);
+      if (!album) return { error: 'Album not found' };
+      return { album, members: new Set(await albums.listPhotoIds(albumId, conn)) };
+    },
+    plan: (row, { album, members }) => (members.has(row.id) ? null : { album: { add: album.id, title: album.title } }),
+    apply: (changed, { album }, conn) => albums.addPhotos(album.id, changed.map(({ row }) => row.id), conn),
+    // Albums with watermarking off keep their photos clean
+    afterCommit: (changed, { album }) => {
+      if (!album.watermark) queueRerender(changed.map(({ row }) => row.id));
+    },
+    audit: (row, changes) => ({
+      action: 'album.photos_add',
+      entityType: 'album',
+      entityId: changes.album.add,
+      after: { photoIds: [row.id] }
+    })
+  },
+  tags: addTagsAction('photo'),
+  delete: trashAction({ repo: photos, entityType: 'photo' })
+};
+
+router.post('/bulk', async (req, res) => {
+  const { request, error } = parseBulkRequest(req.body, {
+    actions: BULK_ACTIONS,
+    filterKeys: ['category', 'status', 'search']
   });
+  if (error) return res.status(400).json({ error });
+  if (request.filter?.status) request.filter.status = String(request.filter.status).trim().toLowerCase();
+
+  try {
+    const { status, body } = await runBulk(req, request, {
+      actions: BULK_ACTIONS,
+      load: { byIds: photos.findRawByIds, byFilter: photos.findRawByFilter }
+    });
+    console.log(`✅ Bulk ${request.action}${request.dryRun ? ' (dry run)' : ''}: ${body.matched ?? 0} photo(s) matched`);
+    res.status(status).json(body);
+  } catch (err) {
+    console.error('❌ Bulk photo error:', err);
+    res.status(500).json({ error: 'Bulk operation failed; nothing was changed' });
+  }
 });
 
-// 📄 GET ALL PHOTOS — GET /api/photos
-router.get('/', (req, res) => {
-  let query = `
-    SELECT 
-      id,
-      file_path,
-      original_name,
-      size,
-      status,
-      views,
-      description,
-      mime_type,
-      category,
-      created_at as date
-    FROM photos 
-  `;
-
-  const conditions = [];
-  const values = [];
-
-  // Filter by category
-  if (req.query.category && req.query.category !== 'all') {
-    conditions.push('category = ?');
-    values.push(req.query.category);
+// 💧 WATERMARK SETTINGS — GET /api/photos/watermark
+router.get('/watermark', async (req, res) => {
+  try {
+    res.json({ settings: await getWatermarkSettings(), positions: Object.keys(POSITIONS) });
+  } catch (err) {
+    console.error('❌ Watermark settings error:', err);
+    res.status(500).json({ error: 'Failed to fetch watermark settings' });
   }
+});
 
-  // Search by keyword (full-text)
-  if (req.query.search) {
-    conditions.push('MATCH(original_name, description) AGAINST(? IN NATURAL LANGUAGE MODE)');
-    values.push(req.query.search);
+// ✏️ UPDATE WATERMARK SETTINGS — PUT /api/photos/watermark
+//
+// Body: any of { enabled, type: 'text'|'image', text, position, opacity, scale }.
+// New uploads use the new settings straight away; existing photos keep their
+// variants until `npm run photos:watermark` re-renders the library.
+router.put('/watermark', async (req, res) => {
+  try {
+    const before = await getWatermarkSettings();
+    const { settings, error } = validateWatermarkSettings(req.body, before);
+    if (error) return res.status(400).json({ error });
+
+    await saveWatermarkSettings(settings, req.admin?.id ?? null);
+    recordAudit(req, { action: 'settings.update', entityType: 'setting', entityId: 'photo_watermark', before, after: settings });
+
+    console.log('✅ Watermark settings updated');
+    res.json({ settings, changed: signatureFor(before) !== signatureFor(settings) || before.enabled !== settings.enabled });
+  } catch (err) {
+    console.error('❌ Watermark settings error:', err);
+    res.status(500).json({ error: 'Failed to update watermark settings' });
   }
+});
 
-  // ✅ ALWAYS filter by status — default to 'active' if not specified
-  const statusFilter = req.query.status ? req.query.status.trim().toLowerCase() : 'active';
-  conditions.push('LOWER(status) = ?');
-  values.push(statusFilter);
+// 🖼️ WATERMARK IMAGE — GET /api/photos/watermark/image
+router.get('/watermark/image', async (req, res) => {
+  try {
+    const { image } = await getWatermarkSettings();
+    if (!image) return res.status(404).json({ error: 'No watermark image uploaded' });
+    res.sendFile(path.join(WATERMARK_DIR, image), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Watermark image is missing' });
+    });
+  } catch (err) {
+    console.error('❌ Watermark image error:', err);
+    res.status(500).json({ error: 'Failed to fetch watermark image' });
+  }
+});
 
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
+// 📤 UPLOAD WATERMARK IMAGE — PUT /api/photos/watermark/image (multipart, field "file")
+//
+// Replaces the watermark PNG and switches the watermark to type 'image'.
+router.put('/watermark/image', watermarkUpload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  query += ' ORDER BY created_at DESC';
+  let filename;
+  try {
+    const { format, hasAlpha } = await sharp(req.file.buffer).metadata();
+    if (format !== 'png') return res.status(400).json({ error: 'Watermark must be a PNG' });
+    if (!hasAlpha) console.warn('⚠️ Watermark PNG has no transparency; it will cover the photo as a solid block');
+    filename = `watermark-${newId()}.png`;
+    await fs.promises.writeFile(path.join(WATERMARK_DIR, filename), req.file.buffer);
+  } catch (err) {
+    console.error('❌ Watermark image error:', err);
+    return res.status(400).json({ error: 'Invalid image' });
+  }
 
-  db.query(query, values, (err, results) => {
-    if (err) {
-      console.error('❌ Fetch photos error:', err);
-      return res.status(500).json({ error: 'Failed to fetch photos' });
-    }
+  try {
+    const before = await getWatermarkSettings();
+    const settings = { ...before, type: 'image', image: filename };
+    await saveWatermarkSettings(settings, req.admin?.id ?? null);
+    recordAudit(req, { action: 'settings.update', entityType: 'setting', entityId: 'photo_watermark', before, after: settings });
+    // Photos rendered with the old image are re-rendered from their masters, so it isn't needed any more
+    if (before.image) cleanupFiles([before.image], WATERMARK_DIR);
+
+    console.log(`✅ Watermark image replaced with ${filename}`);
+    res.json({ settings });
+  } catch (err) {
+    console.error('❌ Watermark settings error:', err);
+    cleanupFiles([filename], WATERMARK_DIR);
+    res.status(500).json({ error: 'Failed to update watermark settings' });
+  }
+});
 
-    const photos = results.map(photo => ({
-      ...photo,
-      src: `/uploads/photos/${photo.file_path}`, // ✅ Frontend will prefix with http://localhost:4000
-      originalName: photo.original_name,
-      mimeType: photo.mime_type,
-      // Ensure date is formatted correctly
-      date: photo.date instanceof Date 
-        ? photo.date.toISOString().split('T')[0] 
-        : typeof photo.date === 'string' 
-          ? photo.date.split('T')[0] 
-          : photo.date
-    }));
-
-    console.log(`✅ Fetched ${photos.length} photos with status='${statusFilter}'`);
-    res.json(photos);
-  });
+// 📄 GET ALL PHOTOS — GET /api/photos
+//
+// Paging, sorting and field selection follow utils/listing.js:
+//   ?sort=uploaded|captured|views|name&order=asc|desc&limit=25&cursor=...&fields=id,src
+router.get('/', async (req, res) => {
+  // ✅ ALWAYS filter by status — default to 'active' if not specified
+  const statusFilter = req.query.status ? req.query.status.trim().toLowerCase() : 'active';
+
+  const { page, error } = photos.listing.parse(req.query, { fields: PHOTO_FIELDS });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const filters = {
+      category: req.query.category,
+      search: req.query.search,
+      status: statusFilter
+    };
+    const results = await photos.list(filters, page);
+    const body = await photos.listing.respond(results, page, {
+      total: page.paged ? await photos.count(filters) : undefined,
+      format: formatPhotosWithVariants
+    });
+
+    console.log(`✅ Fetched ${(body.items || body).length} photos with status='${statusFilter}'`);
+    res.json(body);
+  } catch (err) {
+    console.error('❌ Fetch photos error:', err);
+    res.status(500).json({ error: 'Failed to fetch photos' });
+  }
 });
 
 // 🔍 GET CATEGORIES — GET /api/photos/categories
-router.get('/categories', (req, res) => {
-  const query = `
-    SELECT 
-      category as name,
-      COUNT(*) as count
-    FROM photos 
-    GROUP BY category 
-    ORDER BY category
-  `;
-
-  db.query(query, (err, results) => {
-    if (err) {
-      console.error('❌ Categories error:', err);
-      return res.status(500).json({ error: 'Failed to fetch categories' });
-    }
+router.get('/categories', async (req, res) => {
+  try {
+    const results = await photos.categories();
     console.log(`✅ Fetched ${results.length} categories`);
     res.json(results);
-  });
+  } catch (err) {
+    console.error('❌ Categories error:', err);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
 });
 
 // 👁️ INCREMENT VIEWS — PATCH /api/photos/:id/views
-router.patch('/:id/views', (req, res) => {
+router.patch('/:id/views', async (req, res) => {
   const { id } = req.params;
 
-  const query = `
-    UPDATE photos 
-    SET views = views + 1, updated_at = CURRENT_TIMESTAMP 
-    WHERE id = ?
-  `;
-
-  db.query(query, [id], (err, result) => {
-    if (err) {
-      console.error('❌ Views update error:', err);
-      return res.status(500).json({ error: 'Failed to update views' });
-    }
-
-    if (result.affectedRows === 0) {
+  try {
+    const views = await photos.incrementViews(id);
+    if (views === null) {
       return res.status(404).json({ error: 'Photo not found' });
     }
 
-    // Return updated views count
-    const selectQuery = `
-      SELECT views 
-      FROM photos 
-      WHERE id = ?
-    `;
-
-    db.query(selectQuery, [id], (err, results) => {
-      if (err || results.length === 0) {
-        return res.status(500).json({ error: 'Could not fetch updated views' });
-      }
+    recordEvent(req, { eventType: 'view', entityType: 'photo', entityId: id });
+    console.log(`✅ Photo ${id} views incremented to ${views}`);
+    res.json({ views });
+  } catch (err) {
+    console.error('❌ Views update error:', err);
+    res.status(500).json({ error: 'Failed to update views' });
+  }
+});
 
-      console.log(`✅ Photo ${id} views incremented to ${results[0].views}`);
-      res.json({ views: results[0].views });
+// 🔒 CLEAN ORIGINAL — GET /api/photos/:id/original
+//
+// The unwatermarked master, as a download. Photos uploaded before masters
+// were kept get one the first time they are re-rendered.
+router.get('/:id/original', async (req, res) => {
+  try {
+    const photo = await photos.findRawById(req.params.id);
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+    // Never watermarked: the public large JPEG is still clean
+    const [dir, file] = photo.original_path
+      ? [ORIGINALS_DIR, photo.original_path]
+      : photo.watermark_signature ? [] : [UPLOAD_DIR, photo.file_path];
+    if (!file) return res.status(404).json({ error: 'No clean original stored for this photo' });
+
+    res.download(path.join(dir, file), photo.original_name || file, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Original file is missing' });
     });
-  });
+  } catch (err) {
+    console.error('❌ Original download error:', err);
+    res.status(500).json({ error: 'Failed to fetch original' });
+  }
 });
 
 // ✏️ UPDATE PHOTO — PUT /api/photos/:id
-router.put('/:id', (req, res) => {
+//
+// watermark: true or false overrides the photo's albums, null follows them
+// again; the variants are re-rendered before the response if that changes them.
+router.put('/:id', async (req, res) => {
   const { id } = req.params;
-  const { description, status, category } = req.body;
+  const { description, status, category, location_name, remove_location, watermark } = req.body;
 
-  if (!description && !status && !category) {
+  if (!description && !status && !category && location_name === undefined && !remove_location && watermark === undefined) {
     return res.status(400).json({ error: 'Nothing to update' });
   }
-
-  let fields = [];
-  let values = [];
-
-  if (description !== undefined) {
-    fields.push('description = ?');
-    values.push(description);
-  }
-  if (status) {
-    fields.push('status = ?');
-    values.push(status);
-  }
-  if (category) {
-    fields.push('category = ?');
-    values.push(category);
+  if (watermark !== undefined && ![true, false, null].includes(watermark)) {
+    return res.status(400).json({ error: 'watermark must be true, false or null' });
   }
 
-  values.push(id); // for WHERE clause
+  try {
+    const changes = {
+      description,
+      status: status || undefined,
+      category: category || undefined,
+      location_name: location_name === undefined ? undefined : (location_name ? String(location_name).slice(0, 255) : null),
+      watermark
+    };
+    // Admins can drop a kept location at any time; it can't be re-added without a re-upload
+    if (isTruthy(remove_location)) {
+      Object.assign(changes, { location_lat: null, location_lng: null, location_name: null });
+    }
 
-  const query = `
-    UPDATE photos 
-    SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP 
-    WHERE id = ?
-  `;
+    const result = await withTransaction(async (conn) => {
+      // Snapshot for the audit log
+      const before = await photos.findRawById(id, conn);
+      if (!before) return null;
 
-  db.query(query, values, (err, result) => {
-    if (err) {
-      console.error('❌ Update error:', err);
-      return res.status(500).json({ error: 'Update failed' });
-    }
+      await photos.update(id, changes, conn);
+      return { before, photo: await photos.findById(id, conn) };
+    });
 
-    if (result.affectedRows === 0) {
+    if (!result) {
       return res.status(404).json({ error: 'Photo not found' });
     }
 
-    // Fetch updated record
-    const selectQuery = `
-      SELECT 
-        id,
-        file_path,
-        original_name,
-        size,
-        status,
-        views,
-        description,
-        mime_type,
-        category,
-        created_at as date
-      FROM photos 
-      WHERE id = ?
-    `;
-
-    db.query(selectQuery, [id], (err, results) => {
-      if (err || results.length === 0) {
-        return res.status(500).json({ error: 'Could not fetch updated photo' });
-      }
+    const { before } = result;
+    let { photo } = result;
+    recordAudit(req, {
+      action: 'photo.update',
+      entityType: 'photo',
+      entityId: id,
+      before: { description: before.description, status: before.status, category: before.category, location_name: before.location_name, watermark: before.watermark },
+      after: { description: photo.description, status: photo.status, category: photo.category, location_name: photo.location_name, watermark: photo.watermark }
+    });
 
-      const photo = results[0];
-      const updatedPhoto = {
-        ...photo,
-        src: `/uploads/photos/${photo.file_path}`,
-        originalName: photo.original_name,
-        mimeType: photo.mime_type,
-        date: photo.date instanceof Date 
-          ? photo.date.toISOString().split('T')[0] 
-          : typeof photo.date === 'string' 
-            ? photo.date.split('T')[0] 
-            : photo.date
-      };
+    if (watermark !== undefined && before.watermark !== photo.watermark) {
+      try {
+        await rerenderPhotos({ ids: [photo.id] });
+        photo = await photos.findById(photo.id);
+      } catch (err) {
+        // The toggle is saved; `npm run photos:watermark` will catch the variants up
+        console.error('❌ Watermark re-render error:', err);
+      }
+    }
 
-      console.log(`✅ Photo ${id} updated successfully`);
-      res.json(updatedPhoto);
-    });
-  });
+    console.log(`✅ Photo ${id} updated successfully`);
+    res.json((await formatPhotosWithVariants([photo]))[0]);
+  } catch (err) {
+    console.error('❌ Update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
 });
 
 // 🗑️ DELETE PHOTO — DELETE /api/photos/:id
-router.delete('/:id', (req, res) => {
+router.delete('/:id', async (req, res) => {
   const { id } = req.params;
 
-  // First, get photo info to delete file
-  const selectQuery = `
-    SELECT file_path
-    FROM photos 
-    WHERE id = ?
-  `;
-
-  db.query(selectQuery, [id], (err, results) => {
-    if (err) {
-      console.error('❌ Select error:', err);
-      return res.status(500).json({ error: 'Database error' });
-    }
+  try {
+    // Moves the photo to the trash; variants, files and album membership stay until it is purged
+    const photo = await withTransaction(async (conn) => {
+      const existing = await photos.findRawById(id, conn);
+      if (!existing) return null;
+      await photos.trash(existing.id, conn);
+      return existing;
+    });
 
-    if (results.length === 0) {
+    if (!photo) {
       return res.status(404).json({ error: 'Photo not found' });
     }
 
-    const filename = results[0].file_path;
-    const filePath = path.join(UPLOAD_DIR, filename);
-
-    // Delete from database first
-    const deleteQuery = `
-      DELETE FROM photos 
-      WHERE id = ?
-    `;
+    recordAudit(req, { action: 'photo.delete', entityType: 'photo', entityId: id, before: photo });
 
-    db.query(deleteQuery, [id], (err, result) => {
-      if (err) {
-        console.error('❌ Delete error:', err);
-        return res.status(500).json({ error: 'Failed to delete from database' });
-      }
-
-      // Then delete file from disk
-      if (filename) {
-        fs.unlink(filePath, (unlinkErr) => {
-          if (unlinkErr) {
-            console.warn('⚠️ Failed to delete file from disk:', unlinkErr.message);
-            // We don't fail the API response — DB deletion succeeded
-          } else {
-            console.log(`✅ File ${filename} deleted from disk`);
-          }
-        });
-      }
-
-      console.log(`✅ Photo ${id} deleted successfully`);
-      res.json({ message: 'Photo deleted successfully' });
-    });
-  });
+    console.log(`✅ Photo ${id} moved to trash`);
+    res.json({ message: 'Photo moved to trash' });
+  } catch (err) {
+    console.error('❌ Delete error:', err);
+    res.status(500).json({ error: 'Failed to delete photo' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.uploadPhotos = uploadPhotos;
\ No newline at end of file
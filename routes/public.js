@@ -1,25 +1,16 @@
 // routes/public.js
 const express = require('express');
 const router = express.Router(); // ✅ THIS WAS MISSING — ADD THIS LINE
-const pool = require('../db');
+const { runQuery, withTransaction, photos, music, blogs, donations } = require('../repositories');
 const { body, validationResult } = require('express-validator');
 const { createMtnPaymentRequest, verifyMtnWebhook } = require('../utils/mtn');
-
-const runQuery = (sql, params) => new Promise((resolve, reject) => {
-  pool.query(sql, params, (err, results) => {
-    if (err) return reject(err);
-    resolve(results);
-  });
-});
+const { recordAudit } = require('../utils/audit');
+const { newTransactionId } = require('../utils/ids');
 
 // Serve music list
 router.get('/music', async (req, res) => {
   try {
-    const rows = await runQuery(
-      'SELECT id, title, file_path, created_at FROM music ORDER BY created_at DESC',
-      []
-    );
-    res.json({ music: rows });
+    res.json({ music: await music.listPublic() });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -29,11 +20,7 @@ router.get('/music', async (req, res) => {
 // Serve photos
 router.get('/photos', async (req, res) => {
   try {
-    const rows = await runQuery(
-      'SELECT id, file_path, caption FROM photos ORDER BY created_at DESC',
-      []
-    );
-    res.json({ photos: rows });
+    res.json({ photos: await photos.listPublic() });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -43,11 +30,7 @@ router.get('/photos', async (req, res) => {
 // Blogs list
 router.get('/blogs', async (req, res) => {
   try {
-    const rows = await runQuery(
-      'SELECT id, title, content, created_at FROM blogs ORDER BY created_at DESC',
-      []
-    );
-    res.json({ blogs: rows });
+    res.json({ blogs: await blogs.listPublic() });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -131,14 +114,10 @@ router.post(
         return res.status(400).json({ errors: err.array() });
 
       const { donor_name, phone, amount } = req.body;
-      const transactionId =
-        'tx_' + Date.now() + Math.random().toString(36).slice(2, 9);
+      const transactionId = newTransactionId();
 
       // Insert pending donation
-      await runQuery(
-        'INSERT INTO donations (donor_name, phone, amount, transaction_id, status) VALUES (?, ?, ?, ?, ?)',
-        [donor_name, phone, amount, transactionId, 'pending']
-      );
+      await donations.create({ donor_name, phone, amount, transaction_id: transactionId, status: 'pending' });
 
       // Create MTN payment request (stub). Replace with real MTN call.
       const mtnResp = await createMtnPaymentRequest({
@@ -185,10 +164,20 @@ router.post('/webhook/mtn', express.json(), async (req, res) => {
     }
 
     // Update donation
-    await runQuery('UPDATE donations SET status = ? WHERE transaction_id = ?', [
-      status,
-      transactionId
-    ]);
+    const before = await withTransaction(async (conn) => {
+      const donation = await donations.findByTransactionId(transactionId, conn);
+      await donations.updateStatusByTransactionId(transactionId, status, conn);
+      return donation;
+    });
+    if (before) {
+      await recordAudit(req, {
+        action: 'donation.status_webhook',
+        entityType: 'donation',
+        entityId: before.id,
+        before: { status: before.status },
+        after: { status, transaction_id: transactionId }
+      });
+    }
 
     console.log(`[MTN] Donation ${transactionId} updated to ${status}`);
 
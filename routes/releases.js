@@ -0,0 +1,368 @@
+// routes/releases.js
+//
+// Releases (albums, EPs and singles) and their tracklists. A track can be on
+// any number of releases; its disc and track number belong to each tracklist.
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { releases, music, withTransaction } = require('../repositories');
+const { recordAudit } = require('../utils/audit');
+const { newId } = require('../utils/ids');
+const { slugify, uniqueSlug } = require('../utils/slug');
+const { removeFiles } = require('../utils/imageVariants');
+const { formatTracks, mediaUrl, uploadsUrl } = require('../utils/trackPresenter');
+
+const ARTWORK_DIR = path.join(__dirname, '../uploads/releases');
+if (!fs.existsSync(ARTWORK_DIR)) fs.mkdirSync(ARTWORK_DIR, { recursive: true });
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: ARTWORK_DIR,
+    filename: (req, file, cb) => cb(null, `artwork-${newId()}${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new Error('Artwork must be an image'), false);
+    }
+    cb(null, true);
+  }
+});
+
+// Upload errors (wrong type, too large) are the client's, not a 500
+const artworkUpload = (req, res, next) => upload.single('artwork')(req, res, (err) => {
+  if (err) return res.status(400).json({ message: err.message });
+  next();
+});
+
+// Discography sections, in the order a discography page lists them
+const SECTIONS = { album: 'albums', ep: 'eps', single: 'singles' };
+
+// Paths declared ahead of GET /:slug, which no release could be reached at
+const RESERVED_SLUGS = ['all', 'discography'];
+const slugTaken = async (slug, exceptId = null) => RESERVED_SLUGS.includes(slug) || releases.slugTaken(slug, exceptId);
+
+// Multipart fields arrive as strings; an empty one clears the value
+const clearable = (value) => (value === '' ? null : value);
+
+// UPC-A (12 digits) or EAN-13, with a valid GTIN check digit
+const isValidUpc = (value) => {
+  if (!/^\d{12,13}$/.test(value)) return false;
+  const digits = value.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+// DATE columns come back as local-midnight Dates
+const formatDate = (value) => {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const formatRelease = (release, baseUrl) => ({
+  ...release,
+  artwork: mediaUrl(release.artwork && `releases/${release.artwork}`, baseUrl),
+  release_date: formatDate(release.release_date),
+  published: Boolean(release.published),
+  ...(release.track_count !== undefined && { track_count: Number(release.track_count) })
+});
+
+// Releases with their live tracks nested in tracklist order, one track query for the whole list
+const withTracks = async (releaseRows, baseUrl) => {
+  const rows = await releases.listTracks(releaseRows.map((release) => release.id));
+  const tracks = await formatTracks(rows.map(({ release_id, disc_number, track_number, ...track }) => track), baseUrl);
+  return releaseRows.map((release) => ({
+    ...formatRelease(release, baseUrl),
+    tracks: rows
+      .map((row, i) => ({ row, track: tracks[i] }))
+      .filter(({ row }) => row.release_id === release.id)
+      .map(({ row, track }) => ({ disc: row.disc_number, number: row.track_number, track }))
+  }));
+};
+
+const releaseFields = (creating) => [
+  creating
+    ? body('title').isString().trim().notEmpty()
+    : body('title').optional().isString().trim().notEmpty(),
+  body('slug').optional().isString(),
+  body('type').optional().isIn(Object.keys(SECTIONS)).withMessage(`type must be one of: ${Object.keys(SECTIONS).join(', ')}`),
+  body('release_date').optional({ values: 'falsy' }).isISO8601({ strict: true }).withMessage('release_date must be a date (YYYY-MM-DD)')
+    .bail()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('release_date must be a date (YYYY-MM-DD)'),
+  body('label').optional().isString().isLength({ max: 255 }),
+  body('upc').optional({ values: 'falsy' }).custom(isValidUpc).withMessage('upc must be a 12- or 13-digit UPC/EAN with a valid check digit'),
+  body('description').optional().isString(),
+  body('published').optional().isBoolean()
+];
+
+/*
+  Checks a tracklist from PUT /:id/tracks against the library. Tracks without
+  a number follow the previous entry on their disc, skipping positions that
+  trashed tracks still hold (`held`: 'disc:number' strings); those can't be
+  given explicitly. Resolves to { tracks } with canonical track ids, or { error }.
+*/
+const resolveTracklist = async (entries, held = new Set()) => {
+  const found = await music.findByIds([...new Set(entries.map((entry) => entry.trackId))]);
+  const lastOnDisc = new Map();
+  const tracks = [];
+  for (const entry of entries) {
+    const track = found.find((row) => row.id === entry.trackId || (row.legacy_id && row.legacy_id === entry.trackId));
+    if (!track) return { error: `Unknown track id: ${entry.trackId}` };
+    const disc = entry.disc ?? 1;
+    let number = entry.number;
+    if (number === undefined) {
+      number = (lastOnDisc.get(disc) || 0) + 1;
+      while (held.has(`${disc}:${number}`)) number++;
+    } else if (held.has(`${disc}:${number}`)) {
+      return { error: `Disc ${disc}, track ${number} is held by a trashed track; restore or purge it first` };
+    }
+    lastOnDisc.set(disc, number);
+    tracks.push({ trackId: track.id, disc, number });
+  }
+
+  if (new Set(tracks.map((t) => t.trackId)).size !== tracks.length) {
+    return { error: 'A track can only appear once per release' };
+  }
+  if (new Set(tracks.map((t) => `${t.disc}:${t.number}`)).size !== tracks.length) {
+    return { error: 'Each disc and track number can only be used once' };
+  }
+  return { tracks };
+};
+
+// =============================
+// 💿 Public listing — ?type=album|ep|single
+// =============================
+router.get('/', [query('type').optional().isIn(Object.keys(SECTIONS))], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const rows = await releases.list({ publishedOnly: true, type: req.query.type || null });
+    res.json({ releases: rows.map((release) => formatRelease(release, uploadsUrl(req))) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every release including drafts (content:manage)
+router.get('/all', async (req, res) => {
+  try {
+    res.json({ releases: await withTracks(await releases.list(), uploadsUrl(req)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 📀 Discography — published releases by type, newest first, with their tracklists
+// =============================
+router.get('/discography', async (req, res) => {
+  try {
+    const all = await withTracks(await releases.list({ publishedOnly: true }), uploadsUrl(req));
+    const discography = Object.fromEntries(Object.values(SECTIONS).map((section) => [section, []]));
+    for (const release of all) discography[SECTIONS[release.type]]?.push(release);
+    res.json(discography);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 📖 Public release detail, by slug
+// =============================
+router.get('/:slug', async (req, res) => {
+  try {
+    const release = await releases.findBySlug(req.params.slug);
+    if (!release || !release.published) return res.status(404).json({ message: 'Release not found' });
+
+    const [withTracklist] = await withTracks([release], uploadsUrl(req));
+    res.json({ release: withTracklist });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ➕ Create release — multipart, with an optional `artwork` image
+// =============================
+router.post('/', artworkUpload, releaseFields(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    if (req.file) removeFiles(ARTWORK_DIR, [req.file.filename]).catch(() => {});
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const artwork = req.file?.filename || null;
+  try {
+    const requested = req.body.slug ? slugify(req.body.slug) : null;
+    if (req.body.slug !== undefined && !requested) {
+      if (artwork) await removeFiles(ARTWORK_DIR, [artwork]);
+      return res.status(400).json({ message: 'Invalid slug' });
+    }
+    if (requested && await slugTaken(requested)) {
+      if (artwork) await removeFiles(ARTWORK_DIR, [artwork]);
+      return res.status(409).json({ message: 'Slug already in use' });
+    }
+
+    const title = req.body.title.trim();
+    const release = {
+      id: newId(),
+      title,
+      slug: requested || await uniqueSlug(title, (slug) => slugTaken(slug), 'release'),
+      type: req.body.type || 'album',
+      release_date: clearable(req.body.release_date) ?? null,
+      artwork,
+      label: clearable(req.body.label?.trim()) ?? null,
+      upc: clearable(req.body.upc) ?? null,
+      description: clearable(req.body.description) ?? null,
+      published: ['true', '1', true].includes(req.body.published)
+    };
+    await releases.create(release);
+
+    await recordAudit(req, { action: 'release.create', entityType: 'release', entityId: release.id, after: release });
+    res.status(201).json({ release: formatRelease(release, uploadsUrl(req)) });
+  } catch (err) {
+    console.error(err);
+    if (artwork) removeFiles(ARTWORK_DIR, [artwork]).catch(() => {});
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ✏️ Update release — a new `artwork` replaces the old file; an empty field clears it
+// =============================
+router.put('/:id', artworkUpload, releaseFields(false), async (req, res) => {
+  const errors = validationResult(req);
+  const uploaded = req.file?.filename || null;
+  const discard = () => (uploaded ? removeFiles(ARTWORK_DIR, [uploaded]).catch(() => {}) : null);
+  if (!errors.isEmpty()) {
+    discard();
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  try {
+    const before = await releases.findById(id);
+    if (!before) {
+      discard();
+      return res.status(404).json({ message: 'Release not found' });
+    }
+
+    const changes = {
+      title: req.body.title?.trim(),
+      type: req.body.type,
+      release_date: clearable(req.body.release_date),
+      label: clearable(req.body.label?.trim()),
+      upc: clearable(req.body.upc),
+      description: clearable(req.body.description),
+      published: req.body.published === undefined ? undefined : ['true', '1', true].includes(req.body.published),
+      artwork: uploaded || (req.body.artwork === '' ? null : undefined)
+    };
+    if (req.body.slug !== undefined) {
+      changes.slug = slugify(req.body.slug);
+      if (!changes.slug) {
+        discard();
+        return res.status(400).json({ message: 'Invalid slug' });
+      }
+      if (await slugTaken(changes.slug, id)) {
+        discard();
+        return res.status(409).json({ message: 'Slug already in use' });
+      }
+    }
+    if (Object.values(changes).every((value) => value === undefined)) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    await releases.update(id, changes);
+    const after = await releases.findById(id);
+    await recordAudit(req, { action: 'release.update', entityType: 'release', entityId: id, before, after });
+    if (changes.artwork !== undefined && before.artwork) {
+      removeFiles(ARTWORK_DIR, [before.artwork]).catch((unlinkErr) => {
+        console.warn('⚠️ Failed to remove old artwork:', unlinkErr.message);
+      });
+    }
+    res.json({ release: formatRelease(after, uploadsUrl(req)) });
+  } catch (err) {
+    console.error(err);
+    discard();
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🗑️ Delete release (its tracks are kept)
+// =============================
+router.delete('/:id', async (req, res) => {
+  try {
+    const before = await withTransaction(async (conn) => {
+      const release = await releases.findById(req.params.id, conn);
+      if (!release) return null;
+      await releases.remove(release.id, conn);
+      return release;
+    });
+    if (!before) return res.status(404).json({ message: 'Release not found' });
+
+    await recordAudit(req, { action: 'release.delete', entityType: 'release', entityId: req.params.id, before });
+    if (before.artwork) {
+      removeFiles(ARTWORK_DIR, [before.artwork]).catch((unlinkErr) => {
+        console.warn('⚠️ Failed to remove artwork:', unlinkErr.message);
+      });
+    }
+    res.json({ message: 'Release deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🎵 Tracklist — body: { tracks: [{ trackId, disc?, number? }, ...] } replaces it
+// disc defaults to 1; number defaults to the next one on that disc.
+// =============================
+router.put('/:id/tracks', [
+  body('tracks').isArray().withMessage('tracks must be an array'),
+  body('tracks.*.trackId').isString().notEmpty().withMessage('Each track needs a trackId'),
+  body('tracks.*.disc').optional().isInt({ min: 1 }).toInt(),
+  body('tracks.*.number').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const release = await releases.findById(req.params.id);
+    if (!release) return res.status(404).json({ message: 'Release not found' });
+
+    const held = new Set((await releases.listTrashedPositions(release.id)).map((row) => `${row.disc_number}:${row.track_number}`));
+    const { tracks, error } = await resolveTracklist(req.body.tracks, held);
+    if (error) return res.status(400).json({ message: error });
+
+    const before = (await releases.listTracks([release.id]))
+      .map((row) => ({ trackId: row.id, disc: row.disc_number, number: row.track_number }));
+    await withTransaction((conn) => releases.setTracks(release.id, tracks, conn));
+    await recordAudit(req, {
+      action: 'release.tracks_update',
+      entityType: 'release',
+      entityId: release.id,
+      before: { tracks: before },
+      after: { tracks }
+    });
+
+    const [withTracklist] = await withTracks([release], uploadsUrl(req));
+    res.json({ release: withTracklist });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
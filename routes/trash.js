@@ -0,0 +1,136 @@
+// routes/trash.js
+//
+// Admin view of deleted content (see utils/trash.js). Items are addressed by
+// type — photo, music, blog, event or comment — and id.
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
+const {
+  TRASH_TYPES,
+  getRetentionDays,
+  setRetentionDays,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired
+} = require('../utils/trash');
+
+const TYPES = Object.keys(TRASH_TYPES);
+const MAX_RETENTION_DAYS = 365;
+
+// Audit entity types as the content routes record them
+const ENTITY_TYPES = { photo: 'photo', music: 'music', blog: 'blog', event: 'event', comment: 'blog_comment' };
+
+// =============================
+// 🗑️ Trash contents — ?type=photo|music|blog|event|comment
+// =============================
+router.get('/', [
+  query('type').optional().isIn(TYPES).withMessage(`type must be one of: ${TYPES.join(', ')}`)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    res.json({ retentionDays: await getRetentionDays(), items: await listTrash(req.query.type) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ⚙️ Retention period
+// =============================
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({ retentionDays: await getRetentionDays() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/settings', [
+  body('retentionDays').isInt({ min: 1, max: MAX_RETENTION_DAYS }).withMessage(`retentionDays must be between 1 and ${MAX_RETENTION_DAYS}`)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const retentionDays = Number(req.body.retentionDays);
+    const previous = await getRetentionDays();
+    await setRetentionDays(retentionDays, req.admin?.id ?? null);
+    recordAudit(req, {
+      action: 'settings.update',
+      entityType: 'setting',
+      entityId: 'trash_retention_days',
+      before: { retentionDays: previous },
+      after: { retentionDays }
+    });
+    res.json({ message: 'Setting updated', retentionDays });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// 🧹 Purge everything past retention now (the scheduler does this on its own)
+// =============================
+router.post('/purge', async (req, res) => {
+  try {
+    const purged = await purgeExpired();
+    recordAudit(req, { action: 'trash.purge_expired', entityType: 'trash', after: purged });
+    res.json({ message: 'Expired items purged', purged });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const itemParams = [
+  param('type').isIn(TYPES).withMessage(`type must be one of: ${TYPES.join(', ')}`)
+];
+
+// =============================
+// ♻️ Restore an item
+// =============================
+router.post('/:type/:id/restore', itemParams, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { type, id } = req.params;
+  try {
+    const row = await restoreItem(type, id);
+    if (!row) return res.status(404).json({ message: 'Item not in trash' });
+
+    recordAudit(req, { action: `${ENTITY_TYPES[type]}.restore`, entityType: ENTITY_TYPES[type], entityId: row.id });
+    res.json({ message: 'Item restored', type, id: row.id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// =============================
+// ❌ Delete an item for good, files included
+// =============================
+router.delete('/:type/:id', itemParams, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { type, id } = req.params;
+  try {
+    const row = await purgeItem(type, id);
+    if (!row) return res.status(404).json({ message: 'Item not in trash' });
+
+    recordAudit(req, { action: `${ENTITY_TYPES[type]}.purge`, entityType: ENTITY_TYPES[type], entityId: row.id, before: row });
+    res.json({ message: 'Item permanently deleted', type, id: row.id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// scripts/generate-waveforms.js
+//
+//   npm run music:waveforms              generate peaks for tracks that have none
+//   npm run music:waveforms -- --force   regenerate peaks for every track
+//
+// New uploads get their waveform automatically; this backfills tracks from
+// before waveforms existed (see utils/waveform.js).
+const pool = require('../db');
+const { generateWaveforms } = require('../utils/waveform');
+
+const run = async () => {
+  const force = process.argv.includes('--force');
+  const counts = await generateWaveforms({ force });
+  console.log(`✅ Generated ${counts.generated} waveform(s); ${counts.unchanged} already up to date, ${counts.skipped} skipped, ${counts.failed} failed`);
+  if (counts.failed > 0) process.exitCode = 1;
+};
+
+run()
+  .then(() => pool.end())
+  .catch((err) => {
+    console.error('❌ Waveform generation failed:', err.message);
+    pool.end();
+    process.exitCode = 1;
+  });
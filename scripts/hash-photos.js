@@ -0,0 +1,40 @@
+// scripts/hash-photos.js
+//
+//   npm run photos:hash   fingerprint photos uploaded before duplicate detection
+//
+// Only the perceptual hash can be recovered: the original upload is gone, so
+// these photos keep a NULL content_hash and show up as near (not exact) duplicates.
+const path = require('path');
+const pool = require('../db');
+const { photos } = require('../repositories');
+const { perceptualHash } = require('../utils/photoHash');
+const { ORIGINALS_DIR } = require('../utils/watermark');
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads/photos');
+
+// The clean master when there is one; the large JPEG may carry a watermark
+const sourceFor = (photo) => (photo.original_path
+  ? path.join(ORIGINALS_DIR, photo.original_path)
+  : path.join(UPLOAD_DIR, path.basename(photo.file_path)));
+
+const run = async () => {
+  const pending = await photos.listUnhashed();
+  let hashed = 0;
+  for (const photo of pending) {
+    try {
+      await photos.setPhash(photo.id, await perceptualHash(sourceFor(photo)));
+      hashed++;
+    } catch (err) {
+      console.warn(`⚠️ Skipped photo ${photo.id} (${photo.file_path}):`, err.message);
+    }
+  }
+  console.log(`✅ Hashed ${hashed} of ${pending.length} photo(s)`);
+};
+
+run()
+  .then(() => pool.end())
+  .catch((err) => {
+    console.error('❌ Hashing failed:', err.message);
+    pool.end();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,38 @@
+// scripts/migrate.js
+//
+//   npm run migrate            apply pending migrations
+//   npm run migrate:rollback   revert the last batch
+//   npm run migrate:status     list applied / pending migrations
+const pool = require('../db');
+const { migrate, rollback, status } = require('../utils/migrator');
+
+const commands = {
+  up: async () => {
+    const applied = await migrate();
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+  },
+  down: async () => {
+    const reverted = await rollback();
+    console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+  },
+  status: async () => {
+    for (const m of await status()) {
+      const when = m.applied_at instanceof Date ? m.applied_at.toISOString() : '';
+      console.log(`${m.applied ? '✔' : '…'} ${m.name}${m.applied ? `  (batch ${m.batch}, ${when})` : '  pending'}`);
+    }
+  },
+};
+
+const command = commands[process.argv[2] || 'up'];
+if (!command) {
+  console.error(`Unknown command "${process.argv[2]}". Use: up | down | status`);
+  process.exit(1);
+}
+
+command()
+  .then(() => pool.end())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    pool.end();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,18 @@
+// scripts/purge-trash.js
+//
+//   npm run trash:purge   delete trashed content past its retention period, files included
+//
+// The server does the same every few hours; this is for running it by hand or from cron.
+const pool = require('../db');
+const { purgeExpired } = require('../utils/trash');
+
+purgeExpired()
+  .then((purged) => {
+    for (const [type, count] of Object.entries(purged)) console.log(`🗑️ ${type}: ${count}`);
+    pool.end();
+  })
+  .catch((err) => {
+    console.error('❌ Purge failed:', err.message);
+    pool.end();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,34 @@
+// scripts/rollup-analytics.js
+//
+//   npm run analytics:rollup                          roll up events since the last rollup
+//   npm run analytics:rollup -- --from 2025-01-01     recount every day from that date on
+//
+// The server rolls up every hour; this is for running it by hand or from cron.
+// Days whose raw events have passed retention are never recounted (see utils/analytics.js).
+const pool = require('../db');
+const { rollupAnalytics, purgeOldEvents } = require('../utils/analytics');
+
+const run = async () => {
+  const fromIndex = process.argv.indexOf('--from');
+  const from = fromIndex === -1 ? null : process.argv[fromIndex + 1];
+  if (fromIndex !== -1 && !/^\d{4}-\d{2}-\d{2}$/.test(from || '')) {
+    throw new Error('--from needs a date (YYYY-MM-DD)');
+  }
+
+  const result = await rollupAnalytics({ from });
+  if (!result) {
+    console.log('📊 No analytics events to roll up');
+    return;
+  }
+  console.log(`📊 Rolled up ${result.from} to ${result.to} (${result.rows} daily row(s))`);
+  const purged = await purgeOldEvents();
+  if (purged > 0) console.log(`🗑️ Purged ${purged} raw event(s) past retention`);
+};
+
+run()
+  .then(() => pool.end())
+  .catch((err) => {
+    console.error('❌ Rollup failed:', err.message);
+    pool.end();
+    process.exitCode = 1;
+  });
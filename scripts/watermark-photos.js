@@ -0,0 +1,25 @@
+// scripts/watermark-photos.js
+//
+//   npm run photos:watermark              re-render photos whose variants don't match the watermark settings
+//   npm run photos:watermark -- --force   re-render every photo
+//
+// Run after changing the watermark settings. Variants are rendered from each
+// photo's clean master (see utils/watermark.js) under new filenames, so
+// cached copies of the old ones are never served again.
+const pool = require('../db');
+const { rerenderPhotos } = require('../utils/watermark');
+
+const run = async () => {
+  const force = process.argv.includes('--force');
+  const counts = await rerenderPhotos({ force });
+  console.log(`✅ Re-rendered ${counts.rendered} photo(s); ${counts.unchanged} already up to date, ${counts.skipped} skipped, ${counts.failed} failed`);
+  if (counts.failed > 0) process.exitCode = 1;
+};
+
+run()
+  .then(() => pool.end())
+  .catch((err) => {
+    console.error('❌ Re-render failed:', err.message);
+    pool.end();
+    process.exitCode = 1;
+  });
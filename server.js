@@ -9,6 +9,7 @@ const fs = require("fs");
 const dotenv = require("dotenv");
 const multer = require("multer");
 dotenv.config();
+const { hideTrashedUploads, scheduleTrashPurge } = require("./utils/trash");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -86,6 +87,9 @@ app.use("/uploads", (req, res, next) => {
   next();
 });
 
+// Trashed items keep their files until purged, but they aren't served
+app.use("/uploads", hideTrashedUploads);
+
 app.use("/uploads", express.static(uploadDir, {
   setHeaders: function (res, path, stat) {
     const origin = res.req.headers.origin;
@@ -129,24 +133,39 @@ const adminRoutes = require("./routes/admin");
 const publicRoutes = require("./routes/public");
 const youtubeRoutes = require("./routes/youtube");
 const photoRoutes = require("./routes/photo");
+const albumRoutes = require("./routes/albums");
 const musicRoutes = require("./routes/music");
+const releaseRoutes = require("./routes/releases");
 const donationsRoutes = require("./routes/donations");
 const eventsRouter = require("./routes/events");
 const blogRoutes = require("./routes/blogs");
 const chatbotRoutes = require("./routes/chatbot");
-
-// Mount routes
-app.use("/api/events", eventsRouter);
-app.use("/api/music", musicRoutes);
-app.use("/api/photos", photoRoutes);
-app.use("/api/blogs", blogRoutes);
-app.use("/api/donations", donationsRoutes);
-app.use("/api/admin/donations", donationsRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/youtube", youtubeRoutes);
-app.use("/api/contact-messages", contactMessagesRouter);
-app.use("/api", publicRoutes);
-app.use("/api/chatbot", chatbotRoutes);
+const trashRoutes = require("./routes/trash");
+const analyticsRoutes = require("./routes/analytics");
+const { mountWithPolicy, assertPolicyCoverage } = require("./middleware/policy");
+const { warnIfPending } = require("./utils/migrator");
+const { scheduleAnalyticsRollup } = require("./utils/analytics");
+const { scheduleListenPrune } = require("./utils/listens");
+
+// Mount routes (access rules live in middleware/routePolicies.js)
+mountWithPolicy(app, "/api/events", eventsRouter);
+mountWithPolicy(app, "/api/music", musicRoutes);
+mountWithPolicy(app, "/api/releases", releaseRoutes);
+mountWithPolicy(app, "/api/photos", photoRoutes);
+mountWithPolicy(app, "/api/albums", albumRoutes);
+mountWithPolicy(app, "/api/blogs", blogRoutes);
+mountWithPolicy(app, "/api/donations", donationsRoutes);
+mountWithPolicy(app, "/api/admin/donations", donationsRoutes);
+mountWithPolicy(app, "/api/admin/trash", trashRoutes);
+mountWithPolicy(app, "/api/admin/analytics", analyticsRoutes);
+mountWithPolicy(app, "/api/admin", adminRoutes);
+mountWithPolicy(app, "/api/youtube", youtubeRoutes);
+mountWithPolicy(app, "/api/contact-messages", contactMessagesRouter);
+mountWithPolicy(app, "/api", publicRoutes);
+mountWithPolicy(app, "/api/chatbot", chatbotRoutes);
+
+// Refuse to boot if a mutating route has no declared access policy
+assertPolicyCoverage();
 
 // ==================
 // Health check
@@ -173,4 +192,8 @@ app.use((err, req, res, next) => {
 // ==================
 app.listen(PORT, () => {
   console.log(`🚀 Server listening on port ${PORT}`);
+  warnIfPending();
+  scheduleTrashPurge();
+  scheduleAnalyticsRollup();
+  scheduleListenPrune();
 });
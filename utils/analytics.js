@@ -0,0 +1,156 @@
+// utils/analytics.js
+//
+// Time-series analytics for plays, views and likes. Every counted event is
+// also written to analytics_events with where it came from (the referring
+// site's host) and a coarse description of the client: device class, browser
+// and OS family. Neither the IP address nor the user agent is stored, and
+// requests from bots aren't recorded at all.
+//
+// Raw events are rolled up into per-day counts (analytics_daily), which the
+// admin reports read. server.js rolls up every hour, so today's numbers lag
+// by up to an hour; `npm run analytics:rollup` does it by hand. Raw events
+// are kept for ANALYTICS_RETENTION_DAYS (default 90) for breakdowns by client.
+const { analytics, withTransaction } = require('../repositories');
+const { getSetting, setSetting } = require('./settings');
+
+const RETENTION_DAYS = Number(process.env.ANALYTICS_RETENTION_DAYS) || 90;
+const ROLLUP_SETTING = 'analytics_rolled_up_through';
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH = 5000;
+
+// What the reports call each kind of event
+const METRICS = {
+  plays: { eventType: 'play', entityType: 'music' },
+  views: { eventType: 'view', entityType: 'photo' },
+  likes: { eventType: 'like', entityType: 'blog' }
+};
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|headless/i;
+
+// First match wins, so more specific patterns come first
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Safari', /Safari\//]
+];
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux|CrOS/]
+];
+
+// Day arithmetic on YYYY-MM-DD strings, free of time zones
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const firstMatch = (list, ua) => (list.find(([, pattern]) => pattern.test(ua)) || ['Other'])[0];
+
+// { device: 'mobile' | 'tablet' | 'desktop' | 'bot', browser, os } from the user agent
+const clientInfo = (userAgent = '') => {
+  const ua = String(userAgent);
+  let device = 'desktop';
+  if (!ua || BOT_PATTERN.test(ua)) device = 'bot';
+  else if (/iPad|Tablet/i.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) device = 'tablet';
+  else if (/Mobi|iPhone|iPod/.test(ua)) device = 'mobile';
+  return { device, browser: firstMatch(BROWSERS, ua), os: firstMatch(OPERATING_SYSTEMS, ua) };
+};
+
+// Host the visitor came from, without www.; null if unknown
+const referrerHost = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    return new URL(value).hostname.toLowerCase().replace(/^www\./, '').slice(0, 255) || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/*
+  Records a play, view or like. The referrer is the one the page sends as
+  `referrer` (its own document.referrer) or else the request's Referer header.
+  Like recordAudit, it never throws: analytics must not break the request.
+*/
+const recordEvent = async (req, { eventType, entityType, entityId, source = null }) => {
+  const client = clientInfo(req.get('user-agent'));
+  if (client.device === 'bot') return;
+  try {
+    await analytics.recordEvent({
+      eventType,
+      entityType,
+      entityId,
+      source,
+      referrer: referrerHost(typeof req.body?.referrer === 'string' ? req.body.referrer : req.get('referer')),
+      ...client
+    });
+  } catch (err) {
+    console.error(`❌ Failed to record ${eventType} of ${entityType} ${entityId}:`, err.message);
+  }
+};
+
+/*
+  Recounts the daily rollups from `from` (YYYY-MM-DD; default: the last day
+  rolled up) through today. Never reaches back past the oldest raw event, so
+  purged days keep their counts. Resolves with { from, to, rows }, or null when
+  there are no events to roll up.
+*/
+const rollupAnalytics = async ({ from = null } = {}) => {
+  const oldest = await analytics.firstEventDay();
+  if (!oldest) return null;
+  const to = await analytics.today();
+  let start = from || (await getSetting(ROLLUP_SETTING, null)) || oldest;
+  if (start < oldest) start = oldest;
+  if (start > to) start = to;
+
+  const rows = await withTransaction((conn) => analytics.rollup(start, to, conn));
+  await setSetting(ROLLUP_SETTING, to);
+  return { from: start, to, rows };
+};
+
+// Deletes raw events older than the retention period; they must be rolled up first
+const purgeOldEvents = async () => {
+  const rolledThrough = await getSetting(ROLLUP_SETTING, null);
+  if (!rolledThrough) return 0;
+  const cutoff = addDays(await analytics.today(), -RETENTION_DAYS);
+  const before = cutoff < rolledThrough ? cutoff : rolledThrough;
+
+  let purged = 0;
+  let batch;
+  do {
+    batch = await analytics.purgeEvents(before, PURGE_BATCH);
+    purged += batch;
+  } while (batch === PURGE_BATCH);
+  return purged;
+};
+
+// Rolls up shortly after boot and then every hour, purging expired raw events after each rollup
+const scheduleAnalyticsRollup = () => {
+  const run = () => rollupAnalytics()
+    .then(() => purgeOldEvents())
+    .then((purged) => {
+      if (purged > 0) console.log(`📊 Purged ${purged} raw analytics event(s) past retention`);
+    })
+    .catch((err) => console.error('❌ Analytics rollup failed:', err.message));
+
+  setTimeout(run, 2 * 60 * 1000).unref();
+  setInterval(run, ROLLUP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  METRICS,
+  RETENTION_DAYS,
+  addDays,
+  clientInfo,
+  referrerHost,
+  recordEvent,
+  rollupAnalytics,
+  purgeOldEvents,
+  scheduleAnalyticsRollup
+};
@@ -0,0 +1,53 @@
+// utils/apiKeys.js
+const { runQuery } = require('../repositories');
+const { generateToken, hashToken } = require('./tokens');
+
+// Scopes a key can be given; each one is also a permission name in ROLE_PERMISSIONS
+const API_KEY_SCOPES = ['events:read', 'donations:read', 'analytics:read'];
+
+const KEY_PREFIX = 'bpk_';
+
+const parseScopes = (value) => (Array.isArray(value) ? value : JSON.parse(value || '[]'));
+
+// Returns the plaintext key; only its hash is stored, so it can never be shown again
+const createApiKey = async ({ name, scopes, expiresAt = null, createdBy }) => {
+  const key = KEY_PREFIX + generateToken(24);
+  const result = await runQuery(
+    'INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [name, key.slice(0, 12), hashToken(key), JSON.stringify(scopes), expiresAt, createdBy]
+  );
+  return { id: result.insertId, key };
+};
+
+// Resolves an "Authorization: ApiKey ..." value to { id, name, scopes }, or null
+const authenticateApiKey = async (key, ip) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const rows = await runQuery(
+    `SELECT id, name, scopes FROM api_keys
+     WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashToken(key)]
+  );
+  if (rows.length === 0) return null;
+
+  // at most one write per key per minute
+  runQuery(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+     WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE))`,
+    [ip || null, rows[0].id]
+  ).catch((err) => console.warn('⚠️ Failed to record API key use:', err.message));
+
+  return { id: rows[0].id, name: rows[0].name, scopes: parseScopes(rows[0].scopes) };
+};
+
+const listApiKeys = async () => {
+  const rows = await runQuery(
+    `SELECT id, name, key_prefix, scopes, created_by, created_at, expires_at, last_used_at, last_used_ip, revoked_at
+     FROM api_keys ORDER BY created_at DESC`,
+    []
+  );
+  return rows.map((row) => ({ ...row, scopes: parseScopes(row.scopes) }));
+};
+
+const revokeApiKey = (id) => runQuery('UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [id]);
+
+module.exports = { API_KEY_SCOPES, createApiKey, authenticateApiKey, listApiKeys, revokeApiKey };
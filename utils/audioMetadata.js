@@ -0,0 +1,53 @@
+// utils/audioMetadata.js
+const mm = require('music-metadata');
+
+// Embedded pictures we can store as a cover, by MIME type
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/*
+  Reads the tags (ID3, Vorbis comments, MP4 atoms, ...) and stream details of
+  an uploaded audio file. Resolves with:
+
+    { title, artist, album, track_number, year,
+      duration, bitrate, sample_rate, codec, picture }
+
+  Anything the file doesn't say is null. duration is in seconds, bitrate in
+  bits per second, sample_rate in Hz. picture is the embedded front cover
+  (or first picture) as { data, ext }, or null.
+*/
+const extractAudioMetadata = async (filePath) => {
+  const { common, format } = await mm.parseFile(filePath, { duration: true });
+  return {
+    title: text(common.title),
+    artist: text(common.artist || common.albumartist),
+    album: text(common.album),
+    track_number: positiveInt(common.track?.no),
+    year: positiveInt(common.year),
+    duration: Number.isFinite(format.duration) ? Number(format.duration.toFixed(3)) : null,
+    bitrate: Number.isFinite(format.bitrate) ? Math.round(format.bitrate) : null,
+    sample_rate: positiveInt(format.sampleRate),
+    codec: text(format.codec || format.container, 64),
+    picture: coverPicture(common.picture)
+  };
+};
+
+const text = (value, maxLength = 255) => {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  return trimmed ? trimmed.slice(0, maxLength) : null;
+};
+
+const positiveInt = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+const coverPicture = (pictures = []) => {
+  const usable = pictures.filter((picture) => COVER_EXTENSIONS[picture.format?.toLowerCase()]);
+  const picture = usable.find((p) => p.type === 'Cover (front)') || usable[0];
+  return picture ? { data: picture.data, ext: COVER_EXTENSIONS[picture.format.toLowerCase()] } : null;
+};
+
+module.exports = { extractAudioMetadata };
@@ -0,0 +1,46 @@
+// utils/audit.js
+const { runQuery } = require('../repositories');
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = ['password', 'totp_secret', 'token_hash', 'code_hash'];
+
+const snapshot = (data) => {
+  if (data === undefined || data === null) return null;
+  const copy = JSON.parse(JSON.stringify(data));
+  if (copy && typeof copy === 'object' && !Array.isArray(copy)) {
+    for (const field of REDACTED_FIELDS) {
+      if (field in copy) copy[field] = '[redacted]';
+    }
+  }
+  return JSON.stringify(copy);
+};
+
+/*
+  Records one admin mutation. Actor and IP are taken from the request
+  (actor is null for system events such as payment webhooks).
+
+  Auditing must never break the request it describes, so failures are only logged.
+*/
+const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null }) => {
+  const actor = req?.admin || null;
+  try {
+    await runQuery(
+      `INSERT INTO audit_log (actor_id, actor_username, action, entity_type, entity_id, before_data, after_data, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor ? actor.id : null,
+        actor ? actor.username || null : null,
+        action,
+        entityType,
+        entityId === null || entityId === undefined ? null : String(entityId),
+        snapshot(before),
+        snapshot(after),
+        req?.ip || null
+      ]
+    );
+  } catch (err) {
+    console.error('❌ Failed to write audit log:', err.message);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,205 @@
+// utils/bulk.js
+//
+// Shared runner for the POST /bulk endpoints on photos, music and blogs.
+//
+// Request body:
+//   { action: '<name>', ids: ['...'], ...params }      explicit items
+//   { action: '<name>', filter: { ... }, ...params }   everything the filter matches
+//   dryRun: true                                        report, change nothing
+//
+// Each resource declares its actions:
+//   {
+//     validate(body)                      → { params } | { error }
+//     prepare(params, rows, conn)         → context (read-only lookups), or { error }
+//     plan(row, context)                  → changes for this row, or null if already so
+//     apply(changed, context, conn)       → writes for [{ row, changes }]
+//     afterCommit(changed, context)       → optional; work that must wait for the commit
+//     audit(row, changes)                 → recordAudit entry
+//   }
+// All writes share one transaction, so a failure leaves every item as it was.
+const { withTransaction, tags } = require('../repositories');
+const { recordAudit } = require('./audit');
+
+const MAX_BULK_ITEMS = 500;
+
+/*
+  Resolves to { request } or { error }.
+  request: { action, params, ids, filter, dryRun }
+*/
+const parseBulkRequest = (body = {}, { actions, filterKeys }) => {
+  const { action, ids, filter, dryRun } = body;
+  if (!actions[action]) {
+    return { error: `action must be one of: ${Object.keys(actions).join(', ')}` };
+  }
+
+  if ((ids === undefined) === (filter === undefined)) {
+    return { error: 'Send either ids or filter' };
+  }
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === 'string' && id.length > 0)) {
+      return { error: 'ids must be a non-empty array of ids' };
+    }
+    if (ids.length > MAX_BULK_ITEMS) {
+      return { error: `At most ${MAX_BULK_ITEMS} items per request` };
+    }
+  }
+  if (filter !== undefined) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return { error: 'filter must be an object' };
+    }
+    const keys = Object.keys(filter);
+    const unknown = keys.filter((key) => !filterKeys.includes(key));
+    if (unknown.length > 0) {
+      return { error: `Unknown filter(s): ${unknown.join(', ')}. Allowed: ${filterKeys.join(', ')}` };
+    }
+    // An empty filter would mean "everything"; make callers say which items they mean
+    if (keys.length === 0) {
+      return { error: 'filter needs at least one of: ' + filterKeys.join(', ') };
+    }
+  }
+
+  const { params, error } = actions[action].validate(body);
+  if (error) return { error };
+
+  return {
+    request: { action, params, ids: ids ? [...new Set(ids)] : null, filter: filter || null, dryRun: dryRun === true },
+  };
+};
+
+/*
+  Runs a parsed request. `load` is { byIds(ids, conn), byFilter(filter, limit, conn) }.
+  Resolves to either
+    { status: 200, body: { action, dryRun, matched, summary, results } }
+  or
+    { status: 400, body: { error } }  when the filter matches too much or prepare() refuses.
+  Per-item results: { id, result: 'updated' | 'deleted' | 'unchanged' | 'not_found', changes? }
+*/
+const runBulk = async (req, request, { actions, load }) => {
+  const action = actions[request.action];
+  let refusal = null;
+
+  const outcome = await withTransaction(async (conn) => {
+    let rows;
+    const missing = [];
+    if (request.ids) {
+      const found = await load.byIds(request.ids, conn);
+      // Legacy ids resolve to the same row; keep the order the caller sent
+      rows = [];
+      for (const id of request.ids) {
+        const row = found.find((r) => r.id === id || (r.legacy_id && r.legacy_id === id));
+        if (!row) missing.push(id);
+        else if (!rows.includes(row)) rows.push(row);
+      }
+    } else {
+      rows = await load.byFilter(request.filter, MAX_BULK_ITEMS + 1, conn);
+      if (rows.length > MAX_BULK_ITEMS) {
+        refusal = `Filter matches more than ${MAX_BULK_ITEMS} items; narrow it or send ids`;
+        return null;
+      }
+    }
+
+    const context = await action.prepare(request.params, rows, conn);
+    if (context && context.error) {
+      refusal = context.error;
+      return null;
+    }
+
+    const planned = rows.map((row) => ({ row, changes: action.plan(row, context) }));
+    const changed = planned.filter((p) => p.changes !== null);
+    if (!request.dryRun && changed.length > 0) {
+      await action.apply(changed, context, conn);
+    }
+    return { planned, changed, missing, context };
+  });
+
+  if (refusal) return { status: 400, body: { error: refusal } };
+
+  const { planned, changed, missing, context } = outcome;
+  if (!request.dryRun && changed.length > 0) {
+    if (action.afterCommit) {
+      await Promise.resolve(action.afterCommit(changed, context)).catch((err) => {
+        console.warn(`⚠️ Bulk ${request.action} cleanup failed:`, err.message);
+      });
+    }
+    changed.forEach(({ row, changes }) => recordAudit(req, action.audit(row, changes)));
+  }
+
+  const done = request.action === 'delete' ? 'deleted' : 'updated';
+  const results = [
+    ...planned.map(({ row, changes }) => (changes === null
+      ? { id: row.id, result: 'unchanged' }
+      : { id: row.id, result: done, changes })),
+    ...missing.map((id) => ({ id, result: 'not_found' })),
+  ];
+
+  const summary = { [done]: changed.length, unchanged: planned.length - changed.length, not_found: missing.length };
+  return {
+    status: 200,
+    body: { action: request.action, dryRun: request.dryRun, matched: planned.length, summary, results },
+  };
+};
+
+// Field setters ('status', 'category', ...) behave the same for every resource
+const setFieldAction = ({ field, maxLength, repo, entityType, normalize = (v) => v }) => ({
+  validate: (body) => {
+    const value = typeof body[field] === 'string' ? normalize(body[field].trim()) : '';
+    if (!value || value.length > maxLength) {
+      return { error: `${field} must be a non-empty string of at most ${maxLength} characters` };
+    }
+    return { params: { value } };
+  },
+  prepare: (params) => params,
+  plan: (row, { value }) => (row[field] === value ? null : { [field]: { from: row[field], to: value } }),
+  apply: async (changed, { value }, conn) => {
+    for (const { row } of changed) await repo.update(row.id, { [field]: value }, conn);
+  },
+  audit: (row, changes) => ({
+    action: `${entityType}.update`,
+    entityType,
+    entityId: row.id,
+    before: { [field]: changes[field].from },
+    after: { [field]: changes[field].to },
+  }),
+});
+
+// Adds tags (creating any new ones); items that already carry all of them are unchanged
+const addTagsAction = (entityType) => ({
+  validate: (body) => {
+    const wanted = Array.isArray(body.tags) ? tags.normalizeNames(body.tags.filter((t) => typeof t === 'string')) : [];
+    if (wanted.length === 0) return { error: 'tags must be a non-empty array of tag names' };
+    return { params: { wanted } };
+  },
+  prepare: async ({ wanted }, rows, conn) => ({
+    wanted,
+    current: await tags.namesFor(entityType, rows.map((row) => row.id), conn),
+  }),
+  plan: (row, { wanted, current }) => {
+    const have = new Set((current.get(row.id) || []).map((name) => tags.normalizeNames([name])[0]?.slug));
+    const add = wanted.filter((tag) => !have.has(tag.slug)).map((tag) => tag.name);
+    return add.length === 0 ? null : { tags: { add, existing: current.get(row.id) || [] } };
+  },
+  apply: async (changed, { wanted }, conn) => {
+    const rows = await tags.ensure(wanted.map((tag) => tag.name), conn);
+    await tags.attach(entityType, changed.map(({ row }) => row.id), rows.map((tag) => tag.id), conn);
+  },
+  audit: (row, changes) => ({
+    action: `${entityType}.update`,
+    entityType,
+    entityId: row.id,
+    before: { tags: changes.tags.existing },
+    after: { tags: [...changes.tags.existing, ...changes.tags.add] },
+  }),
+});
+
+// Moves items to the trash (utils/trash.js); files stay until the trash is purged
+const trashAction = ({ repo, entityType }) => ({
+  validate: () => ({ params: {} }),
+  prepare: () => ({}),
+  plan: () => ({ trashed: true }),
+  apply: async (changed, context, conn) => {
+    for (const { row } of changed) await repo.trash(row.id, conn);
+  },
+  audit: (row) => ({ action: `${entityType}.delete`, entityType, entityId: row.id, before: row }),
+});
+
+module.exports = { MAX_BULK_ITEMS, parseBulkRequest, runBulk, setFieldAction, addTagsAction, trashAction };
@@ -0,0 +1,19 @@
+// utils/ids.js
+const { v7: uuidv7, validate, version } = require('uuid');
+
+/*
+  Every new row id comes from here. UUIDv7 puts the creation time (ms) in
+  the leading bits, so ids are unique across processes and sort by age
+  as plain strings.
+*/
+const newId = () => uuidv7();
+
+// Same format, stamped with a past time — used to re-key rows created before UUIDs
+const idForTimestamp = (msecs) => uuidv7({ msecs });
+
+const isId = (value) => typeof value === 'string' && validate(value) && version(value) === 7;
+
+// Reference handed to the payment provider for a donation
+const newTransactionId = () => 'tx_' + newId().replace(/-/g, '');
+
+module.exports = { newId, idForTimestamp, isId, newTransactionId };
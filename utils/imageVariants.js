@@ -0,0 +1,129 @@
+// utils/imageVariants.js
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { newId } = require('./ids');
+
+// Bounding boxes per variant; images are never enlarged
+const VARIANT_SIZES = {
+  thumb: { width: 320, height: 320 },
+  medium: { width: 960, height: 960 },
+  large: { width: 1920, height: 1080 }
+};
+
+// Modern formats first; JPEG is the fallback every browser can show
+const FORMATS = {
+  avif: { ext: 'avif', mimeType: 'image/avif', encode: (img) => img.avif({ quality: 50 }) },
+  webp: { ext: 'webp', mimeType: 'image/webp', encode: (img) => img.webp({ quality: 75 }) },
+  jpeg: { ext: 'jpg', mimeType: 'image/jpeg', encode: (img) => img.jpeg({ quality: 80, progressive: true }) }
+};
+
+const PRIMARY_VARIANT = { variant: 'large', format: 'jpeg' };
+
+// Fresh base name for a render; new files never reuse a URL a cache may still hold
+const generateBaseName = () => newId();
+
+/*
+  Writes every variant × format of `input` into `dir` as `<baseName>-<variant>.<ext>`.
+  Resolves with one descriptor per file:
+    { variant, format, file_path, width, height, size_bytes }
+
+  `watermark`, if given, is called with each variant's size and resolves with
+  a sharp composite entry (see utils/watermark.js) drawn over that variant.
+
+  If any encode fails, files already written for this image are removed
+  before the error is rethrown.
+*/
+const renderVariants = async (input, dir, baseName, { watermark = null } = {}) => {
+  const rendered = [];
+  try {
+    for (const [variant, box] of Object.entries(VARIANT_SIZES)) {
+      // rotate() applies the EXIF orientation; the encoders write no metadata back out
+      let resized = sharp(input).rotate().resize(box.width, box.height, {
+        fit: sharp.fit.inside,
+        withoutEnlargement: true
+      });
+      if (watermark) {
+        // The overlay is sized for the resized image, so resize first and composite on the pixels
+        const { data, info } = await resized.raw().toBuffer({ resolveWithObject: true });
+        resized = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+          .composite([await watermark(info.width, info.height)]);
+      }
+      for (const [format, { ext, encode }] of Object.entries(FORMATS)) {
+        const filename = `${baseName}-${variant}.${ext}`;
+        const info = await encode(resized.clone()).toFile(path.join(dir, filename));
+        rendered.push({ variant, format, file_path: filename, width: info.width, height: info.height, size_bytes: info.size });
+      }
+    }
+  } catch (err) {
+    await removeFiles(dir, rendered.map((v) => v.file_path));
+    throw err;
+  }
+  return rendered;
+};
+
+/*
+  Keeps a clean full-size master of `input` in `dir` for admins and later
+  re-renders: auto-rotated, metadata stripped like the variants, losslessly
+  as PNG when it has transparency. Resolves with the filename.
+*/
+const writeOriginal = async (input, dir, baseName) => {
+  const image = sharp(input).rotate();
+  const { hasAlpha } = await image.metadata();
+  const filename = `${baseName}-original.${hasAlpha ? 'png' : 'jpg'}`;
+  await (hasAlpha ? image.png() : image.jpeg({ quality: 95, chromaSubsampling: '4:4:4' })).toFile(path.join(dir, filename));
+  return filename;
+};
+
+// Unlinks files under `dir`; files that are already gone are ignored
+const removeFiles = async (dir, filenames) => {
+  for (const filename of new Set(filenames.filter(Boolean))) {
+    await fs.promises.unlink(path.join(dir, filename)).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+};
+
+/*
+  Groups variant rows for the frontend:
+
+    variants: { thumb: { avif: { src, width, height }, webp: {...}, jpeg: {...} }, ... }
+    srcset:   { avif: 'a-thumb.avif 320w, a-medium.avif 960w, ...', webp: '...', jpeg: '...' }
+
+  `srcset` strings drop straight into <source type="image/avif" srcset="...">,
+  with the jpeg one on the <img> fallback.
+*/
+const buildSrcset = (rows, urlFor) => {
+  if (!rows || rows.length === 0) return { variants: null, srcset: null };
+
+  const variants = {};
+  const byFormat = {};
+  const ordered = [...rows].sort((a, b) => a.width - b.width);
+  for (const row of ordered) {
+    const src = urlFor(row.file_path);
+    variants[row.variant] = variants[row.variant] || {};
+    variants[row.variant][row.format] = { src, width: row.width, height: row.height, mimeType: FORMATS[row.format]?.mimeType };
+    byFormat[row.format] = byFormat[row.format] || [];
+    // identical widths (small originals) would repeat a descriptor, which srcset forbids
+    if (!byFormat[row.format].some((entry) => entry.width === row.width)) {
+      byFormat[row.format].push({ src, width: row.width });
+    }
+  }
+
+  const srcset = {};
+  for (const format of Object.keys(FORMATS)) {
+    if (byFormat[format]) srcset[format] = byFormat[format].map(({ src, width }) => `${src} ${width}w`).join(', ');
+  }
+  return { variants, srcset };
+};
+
+module.exports = {
+  VARIANT_SIZES,
+  FORMATS,
+  PRIMARY_VARIANT,
+  generateBaseName,
+  renderVariants,
+  writeOriginal,
+  removeFiles,
+  buildSrcset
+};
@@ -0,0 +1,127 @@
+// utils/listens.js
+//
+// Server-side play counting. A play counts once a listener has been streamed a
+// meaningful part of the track (MIN_LISTEN_SECONDS of audio, or
+// MIN_LISTEN_FRACTION of a shorter track), and each listener counts at most
+// once per track per LISTEN_WINDOW. Listeners are told apart by an HMAC of
+// their IP address under a server secret, so the stored value can't be turned
+// back into the address by hashing every possible one. The user agent is left
+// out: a client can send any, and a new one must not make a new listener.
+// Play records are only needed for the window, and are pruned after it.
+//
+// How much of a track each listener has received is kept in memory: players
+// fetch a file in several range requests, which are merged here. Losing it on
+// restart only means a listener mid-track needs a little more audio to count.
+const crypto = require('crypto');
+const { music, withTransaction } = require('../repositories');
+const { recordEvent } = require('./analytics');
+
+const LISTEN_WINDOW_MINUTES = Number(process.env.PLAY_WINDOW_MINUTES) || 30;
+const MIN_LISTEN_SECONDS = 30;
+const MIN_LISTEN_FRACTION = 0.5;
+
+// Progress is forgotten after this long without a request, and swept at most this often
+const PROGRESS_TTL_MS = LISTEN_WINDOW_MINUTES * 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Changing the secret only means listeners mid-window can be counted again
+const LISTENER_SECRET = process.env.LISTENER_HASH_SECRET || process.env.JWT_SECRET;
+
+const listenerHash = (req) => crypto.createHmac('sha256', LISTENER_SECRET)
+  .update(req.ip || '')
+  .digest('hex');
+
+// Bytes of a file of `size` that make a play: 30 s worth, or half of anything shorter than a minute
+const thresholdBytes = (size, duration) => {
+  const seconds = Number(duration);
+  const fraction = seconds > 0 ? Math.min(MIN_LISTEN_FRACTION, MIN_LISTEN_SECONDS / seconds) : MIN_LISTEN_FRACTION;
+  return Math.max(1, Math.floor(size * fraction));
+};
+
+/*
+  Records a play for the requesting listener, and the play event for
+  analytics. Resolves with the new play count, false if they were already
+  counted within the window, or null for an unknown track.
+  source: how the play was detected ('stream').
+*/
+const countPlay = async (req, trackId, source) => {
+  const plays = await withTransaction((conn) => music.recordPlay(trackId, {
+    listenerHash: listenerHash(req),
+    source,
+    windowSeconds: LISTEN_WINDOW_MINUTES * 60
+  }, conn));
+  if (plays) recordEvent(req, { eventType: 'play', entityType: 'music', entityId: trackId, source });
+  return plays;
+};
+
+// `${trackId}:${listenerHash}` → { ranges: [[start, end], ...], countedAt, seenAt }
+const progress = new Map();
+let lastSweep = Date.now();
+
+const sweep = (now) => {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = now;
+  for (const [key, entry] of progress) {
+    if (now - entry.seenAt > PROGRESS_TTL_MS) progress.delete(key);
+  }
+};
+
+// Adds [start, end] to sorted, non-overlapping ranges; returns the merged list
+const mergeRange = (ranges, start, end) => {
+  const merged = [];
+  for (const [s, e] of [...ranges, [start, end]].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1] + 1) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+};
+
+/*
+  Called after each streamed response to `req` with the byte range sent. Counts the
+  play once the listener's distinct bytes reach the threshold. Never throws;
+  counting must not break playback.
+*/
+const noteStreamed = async ({ req, track, size, start, bytes }) => {
+  if (bytes <= 0) return;
+  const now = Date.now();
+  sweep(now);
+
+  const key = `${track.id}:${listenerHash(req)}`;
+  let entry = progress.get(key);
+  // Once the window has passed, listening again is a new play
+  if (!entry || (entry.countedAt && now - entry.countedAt > PROGRESS_TTL_MS)) {
+    entry = { ranges: [], countedAt: null, seenAt: now };
+  }
+  entry.ranges = mergeRange(entry.ranges, start, start + bytes - 1);
+  entry.seenAt = now;
+  progress.set(key, entry);
+
+  if (entry.countedAt) return;
+  const received = entry.ranges.reduce((sum, [s, e]) => sum + (e - s + 1), 0);
+  if (received < thresholdBytes(size, track.duration)) return;
+
+  entry.countedAt = now;
+  try {
+    const plays = await countPlay(req, track.id, 'stream');
+    if (plays) console.log(`🎧 Track ${track.id} played (${plays} plays)`);
+  } catch (err) {
+    entry.countedAt = null;
+    console.error(`❌ Failed to count play for track ${track.id}:`, err.message);
+  }
+};
+
+// Deletes play records once they are older than the window, shortly after boot and then every 15 minutes
+const scheduleListenPrune = () => {
+  const run = () => music.prunePlays(LISTEN_WINDOW_MINUTES * 60)
+    .then((pruned) => {
+      if (pruned > 0) console.log(`🎧 Pruned ${pruned} play record(s) past the listen window`);
+    })
+    .catch((err) => console.error('❌ Play record prune failed:', err.message));
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, PRUNE_INTERVAL_MS).unref();
+};
+
+module.exports = { LISTEN_WINDOW_MINUTES, listenerHash, thresholdBytes, countPlay, noteStreamed, scheduleListenPrune };
@@ -0,0 +1,157 @@
+// utils/listing.js
+//
+// Shared paging for list endpoints. A listing is declared once per resource:
+//
+//   const listing = defineListing({
+//     sorts: { newest: { expression: 'created_at', direction: 'desc' }, ... },
+//     defaultSort: 'newest',
+//     tieBreaker: 'id',
+//   });
+//
+// Repositories own the listing (the sort expressions are SQL) and use
+// listing.orderBy(page) / listing.seek(page) to build queries. Routes call
+//   listing.parse(req.query, { fields: [...fields the API shape offers] })
+// to validate ?sort=<key>&order=asc|desc&limit=<n>&cursor=<token>&fields=a,b
+// and listing.respond(...) to build the body.
+//
+// Paging is keyset-based: the cursor carries the sort value and id of the last
+// row sent, so pages stay stable while rows are added. Clients that send
+// neither `limit` nor `cursor` keep getting a plain array of every row.
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Column alias repositories select the sort expression under
+const CURSOR_COLUMN = 'cursor_value';
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const isScalar = (value) => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+
+// Cursors come from clients, so anything that isn't a value we could have issued is rejected
+const decodeCursor = (token) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return null;
+  if (!isScalar(payload.id)) return null;
+  if (payload.v !== null && !isScalar(payload.v)) return null;
+  if (payload.date && (typeof payload.v !== 'string' || Number.isNaN(Date.parse(payload.v)))) return null;
+  return payload;
+};
+
+// Dates go through the cursor as ISO strings and come back as Dates for mysql2
+const cursorValue = (value) => (value instanceof Date ? { v: value.toISOString(), date: true } : { v: value });
+const fromCursorValue = ({ v, date }) => (date ? new Date(v) : v);
+
+const defineListing = ({ sorts, defaultSort, tieBreaker = 'id', defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT }) => {
+  /*
+    Resolves to { page } or { error } (a message for a 400 response).
+    page: { sort, direction, limit, cursor, fields, paged }
+      limit is null when the client didn't ask for paging; fields is null
+      when every field should be returned.
+  */
+  const parse = (query = {}, { fields = [] } = {}) => {
+    const sort = query.sort || defaultSort;
+    if (!sorts[sort]) {
+      return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+    }
+
+    const order = query.order ? String(query.order).toLowerCase() : sorts[sort].direction;
+    if (!['asc', 'desc'].includes(order)) {
+      return { error: 'order must be asc or desc' };
+    }
+
+    const paged = query.limit !== undefined || query.cursor !== undefined;
+    let limit = null;
+    if (paged) {
+      limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `limit must be an integer between 1 and ${maxLimit}` };
+      }
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+      cursor = decodeCursor(String(query.cursor));
+      // A cursor only makes sense for the ordering it was issued under
+      if (!cursor || cursor.s !== sort || cursor.o !== order) {
+        return { error: 'Invalid cursor' };
+      }
+    }
+
+    let selected = null;
+    if (query.fields) {
+      selected = String(query.fields).split(',').map((f) => f.trim()).filter(Boolean);
+      const unknown = selected.filter((f) => !fields.includes(f));
+      if (unknown.length > 0) {
+        return { error: `Unknown field(s): ${unknown.join(', ')}. Allowed: ${fields.join(', ')}` };
+      }
+    }
+
+    return { page: { sort, direction: order, limit, cursor, fields: selected, paged } };
+  };
+
+  const expressionFor = (page) => sorts[page.sort].expression;
+
+  // ORDER BY clause body, with the tie-breaker so every row has a fixed place
+  const orderBy = (page) => {
+    const dir = page.direction === 'asc' ? 'ASC' : 'DESC';
+    return `${expressionFor(page)} ${dir}, ${tieBreaker} ${dir}`;
+  };
+
+  // WHERE fragment selecting rows after the cursor, or null on the first page
+  const seek = (page) => {
+    if (!page.cursor) return null;
+    const op = page.direction === 'asc' ? '>' : '<';
+    const expression = expressionFor(page);
+    const value = fromCursorValue(page.cursor);
+    return {
+      sql: `(${expression} ${op} ? OR (${expression} = ? AND ${tieBreaker} ${op} ?))`,
+      values: [value, value, page.cursor.id],
+    };
+  };
+
+  // Select-list entry exposing the sort value, so the next cursor can be built
+  const cursorSelect = (page) => `${expressionFor(page)} AS ${CURSOR_COLUMN}`;
+
+  // LIMIT clause; one extra row tells us whether there is a next page
+  const limitClause = (page) => (page.limit ? ` LIMIT ${page.limit + 1}` : '');
+
+  const pick = (item, selected) => {
+    if (!selected) return item;
+    // id always comes back so clients can address what they were sent
+    return Object.fromEntries(['id', ...selected.filter((f) => f !== 'id')].filter((f) => f in item).map((f) => [f, item[f]]));
+  };
+
+  /*
+    Turns fetched rows into the response body. `format` maps raw rows to API
+    objects (sync or async, all rows at once). Paged requests get
+      { items, total, nextCursor }
+    unpaged ones the plain array they always got.
+  */
+  const respond = async (rows, page, { total, format = (r) => r } = {}) => {
+    const hasMore = page.limit !== null && rows.length > page.limit;
+    const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    const items = (await format(pageRows.map(({ [CURSOR_COLUMN]: _, ...row }) => row)))
+      .map((item) => pick(item, page.fields));
+
+    if (!page.paged) return items;
+    return {
+      items,
+      total,
+      nextCursor: hasMore
+        ? encodeCursor({ s: page.sort, o: page.direction, ...cursorValue(last[CURSOR_COLUMN]), id: last.id })
+        : null,
+    };
+  };
+
+  return { sorts, parse, orderBy, seek, cursorSelect, limitClause, respond };
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, CURSOR_COLUMN, defineListing };
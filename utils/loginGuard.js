@@ -0,0 +1,125 @@
+// utils/loginGuard.js
+const { runQuery } = require('../repositories');
+const dotenv = require('dotenv');
+const { sendMail, escapeHtml } = require('./mailer');
+dotenv.config();
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES || '15', 10);
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3', 10);
+const FREE_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_FREE_ATTEMPTS_PER_IP || '10', 10);
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '1', 10);
+const BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS || '900', 10);
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10);
+
+const normalize = (identifier) => String(identifier || '').trim().toLowerCase().slice(0, 255);
+
+/*
+  Failure counting:
+
+  - known accounts are counted by admin_id, so email and username share one counter
+  - unknown identifiers are counted by the identifier string
+  - a successful login or a lockout starts the count again
+  - IP failures are counted separately and only expire with the window
+*/
+const countAccountFailures = async ({ identifier, adminId }) => {
+  if (adminId) {
+    const rows = await runQuery(
+      `SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since_last
+       FROM login_attempts
+       WHERE admin_id = ? AND success = 0
+         AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+         AND created_at > COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE admin_id = ? AND success = 1), '1970-01-01')
+         AND created_at > COALESCE((SELECT MAX(created_at) FROM admin_lockouts WHERE admin_id = ?), '1970-01-01')`,
+      [adminId, WINDOW_MINUTES, adminId, adminId]
+    );
+    return rows[0];
+  }
+  const rows = await runQuery(
+    `SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since_last
+     FROM login_attempts
+     WHERE identifier = ? AND admin_id IS NULL AND success = 0
+       AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [normalize(identifier), WINDOW_MINUTES]
+  );
+  return rows[0];
+};
+
+const countIpFailures = async (ip) => {
+  const rows = await runQuery(
+    `SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since_last
+     FROM login_attempts
+     WHERE ip = ? AND success = 0 AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [ip || '', WINDOW_MINUTES]
+  );
+  return rows[0];
+};
+
+// Seconds still to wait: 1s, 2s, 4s, ... after the free attempts are used up
+const remainingBackoff = ({ failures, since_last }, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  const delay = Math.min(BACKOFF_BASE_SECONDS * 2 ** (failures - freeAttempts), BACKOFF_MAX_SECONDS);
+  return Math.max(0, delay - (since_last || 0));
+};
+
+const getActiveLockout = async (adminId) => {
+  if (!adminId) return null;
+  const rows = await runQuery(
+    `SELECT id, locked_until, TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS remaining
+     FROM admin_lockouts
+     WHERE admin_id = ? AND unlocked_at IS NULL AND locked_until > NOW()
+     ORDER BY locked_until DESC LIMIT 1`,
+    [adminId]
+  );
+  return rows[0] || null;
+};
+
+// Call before checking the password. Returns { allowed: true } or { allowed: false, status, retryAfter, message }
+const checkLoginAllowed = async ({ identifier, ip, adminId }) => {
+  const lockout = await getActiveLockout(adminId);
+  if (lockout) {
+    return { allowed: false, status: 423, retryAfter: Math.max(1, lockout.remaining), message: 'Account temporarily locked' };
+  }
+
+  const waitAccount = remainingBackoff(await countAccountFailures({ identifier, adminId }), FREE_ATTEMPTS);
+  const waitIp = remainingBackoff(await countIpFailures(ip), FREE_ATTEMPTS_PER_IP);
+  const retryAfter = Math.max(waitAccount, waitIp);
+  if (retryAfter > 0) {
+    return { allowed: false, status: 429, retryAfter, message: 'Too many failed attempts, try again later' };
+  }
+  return { allowed: true };
+};
+
+const notifyLockout = (admin, { ip, failures }) => sendMail({
+  to: admin.email,
+  subject: 'Your band portal account has been locked',
+  text: `Hi ${admin.username},\n\nYour account was locked for ${LOCKOUT_MINUTES} minutes after ${failures} failed sign-in attempts (last from IP ${ip || 'unknown'}).\n\nIf this wasn't you, reset your password once the lock expires or ask an owner to unlock your account.`,
+  html: `<p>Hi ${escapeHtml(admin.username)},</p><p>Your account was locked for ${LOCKOUT_MINUTES} minutes after ${failures} failed sign-in attempts (last from IP ${escapeHtml(ip || 'unknown')}).</p><p>If this wasn't you, reset your password once the lock expires or ask an owner to unlock your account.</p>`
+}).catch((err) => console.error('Failed to send lockout notice to', admin.email, err.message));
+
+// Records a failed attempt; locks the account once it crosses LOCKOUT_THRESHOLD
+const recordLoginFailure = async ({ identifier, ip, admin = null }) => {
+  await runQuery(
+    'INSERT INTO login_attempts (identifier, admin_id, ip, success) VALUES (?, ?, ?, 0)',
+    [normalize(identifier), admin ? admin.id : null, ip || null]
+  );
+  if (!admin) return { locked: false };
+
+  const { failures } = await countAccountFailures({ adminId: admin.id });
+  if (failures < LOCKOUT_THRESHOLD) return { locked: false };
+
+  await runQuery(
+    'INSERT INTO admin_lockouts (admin_id, identifier, ip, failed_attempts, locked_until) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [admin.id, normalize(identifier), ip || null, failures, LOCKOUT_MINUTES]
+  );
+  console.warn(`⚠️ Admin ${admin.id} locked out after ${failures} failed attempts`);
+  notifyLockout(admin, { ip, failures });
+  return { locked: true };
+};
+
+const recordLoginSuccess = ({ identifier, ip, adminId }) => runQuery(
+  'INSERT INTO login_attempts (identifier, admin_id, ip, success) VALUES (?, ?, ?, 1)',
+  [normalize(identifier), adminId, ip || null]
+);
+
+module.exports = { checkLoginAllowed, recordLoginFailure, recordLoginSuccess };
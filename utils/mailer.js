@@ -13,6 +13,12 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// For values put into `html` bodies: usernames and the like are user-chosen
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
 function sendMail({ to, subject, text, html }) {
   return transporter.sendMail({
     from: process.env.SMTP_FROM || process.env.SMTP_USER,
@@ -23,4 +29,4 @@ function sendMail({ to, subject, text, html }) {
   });
 }
 
-module.exports = { sendMail };
+module.exports = { sendMail, escapeHtml };
@@ -0,0 +1,127 @@
+// utils/mediaStream.js
+//
+// Serves an uploaded media file with HTTP Range support, for players that
+// seek and for browsers that fetch audio in pieces.
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav',
+  '.weba': 'audio/webm',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime'
+};
+
+const contentTypeFor = (filePath) => CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+
+/*
+  Reads a Range header against a file of `size` bytes. Resolves to
+    null                   no usable range; send the whole file
+    { start, end }         inclusive byte positions
+    'unsatisfiable'        answer 416
+  Only single ranges are honoured; multipart responses are more than players need.
+*/
+const parseRange = (header, size) => {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // bytes=-N: the last N bytes
+    const suffix = Number(match[2]);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+};
+
+/*
+  Streams `filePath` as the response to `req`, honouring Range, If-Range and
+  If-None-Match. Clients must revalidate (Cache-Control: no-cache) because the
+  URL stays the same when a track's file is replaced; the ETag makes that a
+  cheap 304.
+
+  onSent({ start, end, bytes, size }) is called once the response closes, with
+  the range requested, how many bytes were actually read out to the client
+  and the file's size.
+  Resolves with false if the file doesn't exist, so the caller can 404.
+*/
+const streamFile = async (req, res, filePath, { onSent } = {}) => {
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+  if (!stat.isFile()) return false;
+
+  const size = stat.size;
+  const etag = `"${size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  res.set({
+    'Content-Type': contentTypeFor(filePath),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'public, no-cache',
+    ETag: etag,
+    'Last-Modified': stat.mtime.toUTCString()
+  });
+
+  if (req.get('if-none-match') === etag) {
+    res.status(304).end();
+    return true;
+  }
+
+  // A range only applies to the version of the file the client already has part of
+  const ifRange = req.get('if-range');
+  const rangeApplies = !ifRange || ifRange === etag || ifRange === stat.mtime.toUTCString();
+  const range = rangeApplies ? parseRange(req.get('range'), size) : null;
+
+  if (range === 'unsatisfiable') {
+    res.status(416).set('Content-Range', `bytes */${size}`).end();
+    return true;
+  }
+
+  const { start, end } = range || { start: 0, end: size - 1 };
+  if (range) res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+  res.set('Content-Length', String(size === 0 ? 0 : end - start + 1));
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return true;
+  }
+
+  let bytes = 0;
+  const stream = fs.createReadStream(filePath, { start, end });
+  stream.on('data', (chunk) => {
+    bytes += chunk.length;
+  });
+  stream.on('error', (err) => {
+    console.error('❌ Stream error:', err.message);
+    res.destroy(err);
+  });
+  // 'close' fires for finished and abandoned responses alike
+  res.on('close', () => {
+    stream.destroy();
+    if (onSent) onSent({ start, end, bytes, size });
+  });
+  stream.pipe(res);
+  return true;
+};
+
+module.exports = { CONTENT_TYPES, contentTypeFor, parseRange, streamFile };
@@ -0,0 +1,148 @@
+// utils/migrator.js
+const fs = require('fs');
+const path = require('path');
+const { promisePool: db } = require('../repositories/connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^\d+_[\w-]+\.js$/;
+
+const ensureMigrationsTable = () => db.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    name VARCHAR(255) PRIMARY KEY,
+    batch INT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`);
+
+// Migration files in order: migrations/001_initial_schema.js, 002_..., ...
+const listMigrationFiles = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter((file) => MIGRATION_FILE.test(file))
+  .sort();
+
+const loadMigration = (file) => {
+  const migration = require(path.join(MIGRATIONS_DIR, file));
+  if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+    throw new Error(`Migration ${file} must export up() and down()`);
+  }
+  return migration;
+};
+
+const getApplied = async () => {
+  await ensureMigrationsTable();
+  const [rows] = await db.query('SELECT name, batch, applied_at FROM schema_migrations ORDER BY name');
+  return rows;
+};
+
+// [{ name, applied, batch, applied_at }] for every file on disk
+const status = async () => {
+  const applied = new Map((await getApplied()).map((row) => [row.name, row]));
+  return listMigrationFiles().map((name) => ({
+    name,
+    applied: applied.has(name),
+    batch: applied.get(name)?.batch ?? null,
+    applied_at: applied.get(name)?.applied_at ?? null
+  }));
+};
+
+/*
+  Applies every pending migration as one batch.
+
+  MySQL commits DDL implicitly, so a migration is recorded only after its up()
+  finished; a failure stops the run and leaves later migrations pending.
+*/
+const migrate = async () => {
+  const applied = await getApplied();
+  const done = new Set(applied.map((row) => row.name));
+  const pending = listMigrationFiles().filter((name) => !done.has(name));
+  if (pending.length === 0) return [];
+
+  const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+  for (const name of pending) {
+    console.log(`⬆️  Applying ${name}`);
+    await loadMigration(name).up(db);
+    await db.query('INSERT INTO schema_migrations (name, batch) VALUES (?, ?)', [name, batch]);
+  }
+  return pending;
+};
+
+// Reverts the most recent batch, newest migration first
+const rollback = async () => {
+  const applied = await getApplied();
+  if (applied.length === 0) return [];
+
+  const lastBatch = applied.reduce((max, row) => Math.max(max, row.batch), 0);
+  const names = applied.filter((row) => row.batch === lastBatch).map((row) => row.name).sort().reverse();
+  for (const name of names) {
+    console.log(`⬇️  Reverting ${name}`);
+    await loadMigration(name).down(db);
+    await db.query('DELETE FROM schema_migrations WHERE name = ?', [name]);
+  }
+  return names;
+};
+
+// Startup check: the server still boots, but says loudly that the schema is behind
+const warnIfPending = async () => {
+  try {
+    const pending = (await status()).filter((m) => !m.applied);
+    if (pending.length > 0) {
+      console.warn(`⚠️ ${pending.length} pending migration(s): ${pending.map((m) => m.name).join(', ')} — run "npm run migrate"`);
+    } else {
+      console.log('✅ Database schema is up to date');
+    }
+  } catch (err) {
+    console.error('❌ Failed to check migrations:', err.message);
+  }
+};
+
+// =============================
+// 🔧 Helpers for migration files
+// =============================
+const columnExists = async (conn, table, column) => {
+  const [rows] = await conn.query(
+    'SELECT COUNT(*) AS c FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows[0].c > 0;
+};
+
+const indexExists = async (conn, table, index) => {
+  const [rows] = await conn.query(
+    'SELECT COUNT(*) AS c FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return rows[0].c > 0;
+};
+
+// Idempotent so databases that predate migrations can be brought under them
+const addColumnIfMissing = async (conn, table, column, definition) => {
+  if (await columnExists(conn, table, column)) return;
+  await conn.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+};
+
+const dropColumnIfExists = async (conn, table, column) => {
+  if (!(await columnExists(conn, table, column))) return;
+  await conn.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+};
+
+const addIndexIfMissing = async (conn, table, index, definition) => {
+  if (await indexExists(conn, table, index)) return;
+  await conn.query(`ALTER TABLE \`${table}\` ADD ${definition}`);
+};
+
+const dropIndexIfExists = async (conn, table, index) => {
+  if (!(await indexExists(conn, table, index))) return;
+  await conn.query(`ALTER TABLE \`${table}\` DROP INDEX \`${index}\``);
+};
+
+module.exports = {
+  status,
+  migrate,
+  rollback,
+  warnIfPending,
+  columnExists,
+  indexExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+};
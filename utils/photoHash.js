@@ -0,0 +1,169 @@
+// utils/photoHash.js
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Hamming distance (out of 64 bits) at or below which two photos count as near-duplicates
+const NEAR_DUPLICATE_DISTANCE = 10;
+
+// SHA-256 of the uploaded bytes; identical files always match
+const contentHash = (input) => crypto.createHash('sha256').update(input).digest('hex');
+
+/*
+  64-bit difference hash (dHash) as 16 hex chars. The image is auto-rotated,
+  greyscaled and squashed to 9×8; each bit records whether a pixel is brighter
+  than its right-hand neighbour. Re-encodes, resizes and small edits barely
+  move the hash, so the Hamming distance between two hashes measures how
+  alike the pictures look.
+*/
+const perceptualHash = async (input) => {
+  const pixels = await sharp(input)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let bits = 0;
+    for (let col = 0; col < 8; col++) {
+      bits = (bits << 1) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1 : 0);
+    }
+    hex += bits.toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+// Bits set in a 32-bit integer
+const popcount = (x) => {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+};
+
+// A hash as its two 32-bit halves, so distances are two XORs and popcounts
+const hashWords = (hex) => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+
+const wordDistance = (a, b) => popcount(a[0] ^ b[0]) + popcount(a[1] ^ b[1]);
+
+const hammingDistance = (a, b) => wordDistance(hashWords(a), hashWords(b));
+
+// Candidates within `maxDistance` of `hash`, closest first: [{ id, distance }]
+const findSimilar = (hash, candidates, maxDistance = NEAR_DUPLICATE_DISTANCE) => {
+  const words = hashWords(hash);
+  return candidates
+    .map((candidate) => ({ id: candidate.id, distance: wordDistance(words, hashWords(candidate.phash)) }))
+    .filter((match) => match.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+// Longest stretch clustering runs before letting other requests in
+const CLUSTER_SLICE_MS = 20;
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+// 16-bit XOR masks with at most `bits` bits set
+const masksWithin = (bits) => {
+  const masks = [];
+  for (let mask = 0; mask < 0x10000; mask++) {
+    if (popcount(mask) <= bits) masks.push(mask);
+  }
+  return masks;
+};
+
+/*
+  Groups rows ({ id, phash }) so that any two photos within `maxDistance` of
+  each other end up in the same cluster (single-linkage). Only clusters with
+  two or more photos are returned, each as an array of ids.
+
+  Photos with the same phash are grouped up front. The distinct hashes are
+  indexed by their four 16-bit bands: two hashes within maxDistance differ by
+  at most maxDistance / 4 bits in at least one band, so only hashes whose band
+  is that close need comparing. At large distances there are so many nearby
+  band values that probing them costs more than comparing every pair, so
+  that is done instead. Either way the work is split into short slices.
+*/
+const clusterBySimilarity = async (rows, maxDistance = NEAR_DUPLICATE_DISTANCE) => {
+  const parent = rows.map((_, i) => i);
+  const root = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  // Distinct hashes as words, and the first row carrying each
+  const firsts = new Map();
+  for (let i = 0; i < rows.length; i++) {
+    const seen = firsts.get(rows[i].phash);
+    if (seen === undefined) firsts.set(rows[i].phash, i);
+    else parent[root(i)] = root(seen);
+  }
+  const rowOf = [...firsts.values()];
+  const high = new Uint32Array(rowOf.length);
+  const low = new Uint32Array(rowOf.length);
+  rowOf.forEach((row, u) => {
+    [high[u], low[u]] = hashWords(rows[row].phash);
+  });
+  const link = (u, v) => {
+    if (popcount(high[u] ^ high[v]) + popcount(low[u] ^ low[v]) > maxDistance) return;
+    const a = root(rowOf[u]);
+    const b = root(rowOf[v]);
+    if (a !== b) parent[b] = a;
+  };
+
+  const masks = masksWithin(Math.floor(maxDistance / 4));
+  // A probe costs a few comparisons' worth
+  const indexed = 16 * masks.length < rowOf.length;
+  // Per band, the distinct hashes having each 16-bit value there
+  const buckets = Array.from({ length: 4 }, () => new Array(0x10000));
+  // Last hash each one was compared against, so no pair is compared twice
+  const comparedWith = new Int32Array(rowOf.length).fill(-1);
+
+  let sliceStart = Date.now();
+  for (let u = 0; u < rowOf.length; u++) {
+    if (Date.now() - sliceStart > CLUSTER_SLICE_MS) {
+      await yieldToEventLoop();
+      sliceStart = Date.now();
+    }
+
+    if (!indexed) {
+      for (let v = 0; v < u; v++) link(v, u);
+      continue;
+    }
+
+    const bands = [high[u] >>> 16, high[u] & 0xffff, low[u] >>> 16, low[u] & 0xffff];
+    for (let band = 0; band < 4; band++) {
+      for (const mask of masks) {
+        const bucket = buckets[band][bands[band] ^ mask];
+        if (!bucket) continue;
+        for (const v of bucket) {
+          if (comparedWith[v] === u) continue;
+          comparedWith[v] = u;
+          link(v, u);
+        }
+      }
+    }
+    for (let band = 0; band < 4; band++) {
+      if (buckets[band][bands[band]]) buckets[band][bands[band]].push(u);
+      else buckets[band][bands[band]] = [u];
+    }
+  }
+
+  const clusters = new Map();
+  rows.forEach((row, i) => {
+    const key = root(i);
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(row.id);
+  });
+  return [...clusters.values()].filter((ids) => ids.length > 1);
+};
+
+module.exports = {
+  NEAR_DUPLICATE_DISTANCE,
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  findSimilar,
+  clusterBySimilarity,
+};
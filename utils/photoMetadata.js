@@ -0,0 +1,68 @@
+// utils/photoMetadata.js
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+/*
+  Reads the few EXIF fields we keep from an uploaded image. Everything else —
+  GPS, serial numbers, owner names, maker notes — never leaves this function:
+  the files we store are re-encoded by sharp, which drops all metadata.
+
+  Resolves with:
+    { width, height, captured_at, camera_model, gps }
+
+  width/height are as displayed (after auto-rotation). captured_at is the
+  camera's local wall-clock time as 'YYYY-MM-DD HH:MM:SS'. gps is
+  { latitude, longitude } or null, and is only stored if the admin opts in.
+*/
+const extractMetadata = async (input) => {
+  const meta = await sharp(input).metadata();
+  const dims = meta.autoOrient || { width: meta.width, height: meta.height };
+
+  let exif = {};
+  if (meta.exif) {
+    try {
+      exif = exifReader(meta.exif);
+    } catch (err) {
+      console.warn('⚠️ Unreadable EXIF block ignored:', err.message);
+    }
+  }
+
+  return {
+    width: dims.width || null,
+    height: dims.height || null,
+    captured_at: formatExifDate(exif.Photo?.DateTimeOriginal || exif.Photo?.DateTimeDigitized || exif.Image?.DateTime),
+    camera_model: cameraModel(exif.Image),
+    gps: gpsCoordinates(exif.GPSInfo)
+  };
+};
+
+// exif-reader parses the naive EXIF timestamp as UTC; read it back the same way
+const formatExifDate = (value) => {
+  if (!(value instanceof Date) || Number.isNaN(value.getTime())) return null;
+  return value.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+// "Apple iPhone 13", without repeating the make when the model already has it
+const cameraModel = (image) => {
+  const make = (image?.Make || '').trim();
+  const model = (image?.Model || '').trim();
+  if (!model) return make || null;
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase())) return model.slice(0, 255);
+  return `${make} ${model}`.slice(0, 255);
+};
+
+const toDecimal = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some((n) => !Number.isFinite(n))) return null;
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Number(((ref === 'S' || ref === 'W') ? -value : value).toFixed(6));
+};
+
+const gpsCoordinates = (gps) => {
+  if (!gps) return null;
+  const latitude = toDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = toDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+  if (latitude === null || longitude === null) return null;
+  return { latitude, longitude };
+};
+
+module.exports = { extractMetadata };
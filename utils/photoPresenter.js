@@ -0,0 +1,63 @@
+// utils/photoPresenter.js
+//
+// Shapes photo rows for API responses; shared by the photo and album routes.
+const { photos, tags } = require('../repositories');
+const { buildSrcset } = require('./imageVariants');
+
+// Fields a formatted photo offers to ?fields= on list endpoints
+const PHOTO_FIELDS = [
+  'id', 'src', 'file_path', 'original_name', 'originalName', 'size', 'status', 'views', 'description',
+  'mime_type', 'mimeType', 'category', 'date', 'captured_at', 'capturedAt', 'camera_model', 'cameraModel',
+  'width', 'height', 'location', 'watermark', 'watermarked', 'tags', 'variants', 'srcset'
+];
+
+const photoUrl = (filename) => `/uploads/photos/${filename}`;
+
+// Capture times are the camera's wall clock, so they carry no timezone
+const formatCapturedAt = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+  }
+  return String(value).replace(' ', 'T').slice(0, 19);
+};
+
+// Shape a photo row for the frontend
+const formatPhoto = ({ location_lat, location_lng, location_name, watermark_signature, original_path, ...photo }) => ({
+  ...photo,
+  src: photoUrl(photo.file_path), // ✅ Frontend will prefix with http://localhost:4000
+  originalName: photo.original_name,
+  mimeType: photo.mime_type,
+  // Ensure date is formatted correctly
+  date: photo.date instanceof Date
+    ? photo.date.toISOString().split('T')[0]
+    : typeof photo.date === 'string'
+      ? photo.date.split('T')[0]
+      : photo.date,
+  capturedAt: formatCapturedAt(photo.captured_at),
+  cameraModel: photo.camera_model || null,
+  location: (location_lat !== null && location_lat !== undefined) || location_name
+    ? {
+      latitude: location_lat === null || location_lat === undefined ? null : Number(location_lat),
+      longitude: location_lng === null || location_lng === undefined ? null : Number(location_lng),
+      name: location_name || null
+    }
+    : null,
+  // The photo's own toggle (null follows its albums) and whether its variants carry the watermark
+  watermark: photo.watermark === null || photo.watermark === undefined ? null : Boolean(photo.watermark),
+  watermarked: Boolean(watermark_signature)
+});
+
+// Format photos and attach their tags and variants (srcset-ready), one query each
+const formatPhotosWithVariants = async (rows, conn) => {
+  const ids = rows.map((photo) => photo.id);
+  const variantRows = await photos.listVariants(ids, conn);
+  const tagNames = await tags.namesFor('photo', ids, conn);
+  return rows.map((photo) => ({
+    ...formatPhoto(photo),
+    tags: tagNames.get(photo.id) || [],
+    ...buildSrcset(variantRows.filter((v) => v.photo_id === photo.id), photoUrl)
+  }));
+};
+
+module.exports = { PHOTO_FIELDS, photoUrl, formatCapturedAt, formatPhoto, formatPhotosWithVariants };
@@ -0,0 +1,132 @@
+// utils/sessions.js
+const { runQuery, withTransaction } = require('../repositories');
+const dotenv = require('dotenv');
+const { generateToken, hashToken } = require('./tokens');
+const { newId } = require('./ids');
+dotenv.config();
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS || '10', 10);
+
+const storeRefreshToken = async (sessionId, conn) => {
+  const refreshToken = generateToken();
+  await runQuery(
+    'INSERT INTO admin_refresh_tokens (token_hash, session_id) VALUES (?, ?)',
+    [hashToken(refreshToken), sessionId],
+    conn
+  );
+  return refreshToken;
+};
+
+// One session per login; the refresh token rotates inside it
+const createSession = async ({ adminId, userAgent, ip }) => {
+  const sessionId = newId();
+  await runQuery(
+    `INSERT INTO admin_sessions (id, admin_id, user_agent, ip, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [sessionId, adminId, (userAgent || '').slice(0, 255) || null, ip || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  const refreshToken = await storeRefreshToken(sessionId);
+  return { sessionId, refreshToken };
+};
+
+const revokeSession = (sessionId, reason) => runQuery(
+  'UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+  [reason, sessionId]
+);
+
+// exceptSessionId keeps the caller's own session alive ("log out other devices")
+const revokeAdminSessions = (adminId, reason, exceptSessionId = null) => runQuery(
+  'UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE admin_id = ? AND revoked_at IS NULL AND id <> ?',
+  [reason, adminId, exceptSessionId || '']
+);
+
+/*
+  Refresh token rotation:
+
+  - every refresh marks the presented token as rotated and issues a new one
+  - presenting an already rotated token means it was copied; the whole session is revoked
+  - except within REFRESH_REUSE_GRACE_SECONDS of the rotation, or when a
+    concurrent refresh wins the claim: two tabs refreshing at once is not a
+    theft, so the loser just gets 'invalid' (flagged superseded: the winner's
+    new token is already on its way to the same client)
+  - returns { status: 'ok', adminId, sessionId, refreshToken } | { status: 'invalid', superseded? } | { status: 'reused' }
+*/
+const rotateRefreshToken = async (refreshToken, { userAgent, ip }) => {
+  const rows = await runQuery(
+    `SELECT t.session_id, t.rotated_at, TIMESTAMPDIFF(SECOND, t.rotated_at, NOW()) AS rotated_ago, s.admin_id, s.revoked_at, s.expires_at < NOW() AS expired
+     FROM admin_refresh_tokens t
+     JOIN admin_sessions s ON s.id = t.session_id
+     WHERE t.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+  if (rows.length === 0) return { status: 'invalid' };
+
+  const token = rows[0];
+  if (token.revoked_at || token.expired) return { status: 'invalid' };
+
+  if (token.rotated_at) {
+    if (token.rotated_ago <= REFRESH_REUSE_GRACE_SECONDS) return { status: 'invalid', superseded: true };
+    await revokeSession(token.session_id, 'refresh_reuse');
+    console.warn(`⚠️ Refresh token reuse detected, session ${token.session_id} revoked`);
+    return { status: 'reused' };
+  }
+
+  // only one concurrent refresh can win the rotation; the old token stays
+  // valid if issuing the new one fails
+  const nextToken = await withTransaction(async (conn) => {
+    const claim = await runQuery(
+      'UPDATE admin_refresh_tokens SET rotated_at = NOW() WHERE token_hash = ? AND rotated_at IS NULL',
+      [hashToken(refreshToken)],
+      conn
+    );
+    if (claim.affectedRows === 0) return null;
+
+    await runQuery(
+      'UPDATE admin_sessions SET last_used_at = NOW(), user_agent = ?, ip = ? WHERE id = ?',
+      [(userAgent || '').slice(0, 255) || null, ip || null, token.session_id],
+      conn
+    );
+    return storeRefreshToken(token.session_id, conn);
+  });
+  if (!nextToken) return { status: 'invalid', superseded: true };
+
+  return { status: 'ok', adminId: token.admin_id, sessionId: token.session_id, refreshToken: nextToken };
+};
+
+// Live session lookup for requireAdmin; returns the admin's current role or null
+const getActiveSession = async (sessionId) => {
+  const rows = await runQuery(
+    `SELECT s.id, s.admin_id, a.role
+     FROM admin_sessions s
+     JOIN admin a ON a.id = s.admin_id
+     WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [sessionId]
+  );
+  return rows[0] || null;
+};
+
+// Cheap "last used" bookkeeping: at most one write per session per minute
+const touchSession = (sessionId, ip) => runQuery(
+  'UPDATE admin_sessions SET last_used_at = NOW(), ip = ? WHERE id = ? AND last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)',
+  [ip || null, sessionId]
+);
+
+const listSessions = (adminId) => runQuery(
+  `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+   FROM admin_sessions
+   WHERE admin_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+   ORDER BY last_used_at DESC`,
+  [adminId]
+);
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAdminSessions,
+  getActiveSession,
+  touchSession,
+  listSessions,
+};
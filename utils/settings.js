@@ -0,0 +1,21 @@
+// utils/settings.js
+const { runQuery } = require('../repositories');
+
+// Values are stored JSON-encoded so booleans/numbers/objects round-trip
+const getSetting = async (key, fallback = null) => {
+  const rows = await runQuery('SELECT setting_value FROM app_settings WHERE setting_key = ?', [key]);
+  if (rows.length === 0) return fallback;
+  try {
+    return JSON.parse(rows[0].setting_value);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+const setSetting = (key, value, adminId = null) => runQuery(
+  `INSERT INTO app_settings (setting_key, setting_value, updated_by) VALUES (?, ?, ?)
+   ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+  [key, JSON.stringify(value), adminId]
+);
+
+module.exports = { getSetting, setSetting };
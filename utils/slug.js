@@ -0,0 +1,25 @@
+// utils/slug.js
+
+// "Live at the Roxy — 2024!" → "live-at-the-roxy-2024"
+const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 200);
+
+/*
+  First free slug for `value`, appending -2, -3, ... while `isTaken(slug)` resolves true.
+  Falls back to `fallback` when the value has no usable characters.
+*/
+const uniqueSlug = async (value, isTaken, fallback = 'item') => {
+  const base = slugify(value) || fallback;
+  let slug = base;
+  for (let n = 2; await isTaken(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+module.exports = { slugify, uniqueSlug };
@@ -0,0 +1,10 @@
+// utils/tokens.js
+const crypto = require('crypto');
+
+// Opaque random token handed to the user (by email, cookie, ...)
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Only this digest is stored, so a leaked table can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { generateToken, hashToken };
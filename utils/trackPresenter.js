@@ -0,0 +1,35 @@
+// utils/trackPresenter.js
+//
+// Shapes music rows for API responses; shared by the music and release routes.
+const { tags, releases } = require("../repositories");
+
+// Stored names become absolute URLs; external links pass through
+const mediaUrl = (value, baseUrl) => {
+  if (!value || typeof value !== "string") return null;
+  return value.startsWith("http") ? value : `${baseUrl}/${value}`;
+};
+
+/*
+  Formats tracks with their tags and the published releases they appear on,
+  using one query each for the whole list.
+  baseUrl: the public /uploads URL, e.g. http://localhost:4000/uploads
+*/
+const formatTracks = async (tracks, baseUrl) => {
+  const ids = tracks.map((track) => track.id);
+  const tagNames = await tags.namesFor("music", ids);
+  const onReleases = await releases.listForTracks(ids, { publishedOnly: true });
+  return tracks.map(({ waveform, ...track }) => ({
+    ...track,
+    has_waveform: Boolean(waveform),
+    tags: tagNames.get(track.id) || [],
+    releases: onReleases.get(track.id) || [],
+    src: mediaUrl(track.src, baseUrl),
+    cover: mediaUrl(track.cover, baseUrl),
+    // DECIMAL comes back from MySQL as a string
+    duration: track.duration === null || track.duration === undefined ? null : Number(track.duration),
+  }));
+};
+
+const uploadsUrl = (req) => `${req.protocol}://${req.get("host")}/uploads`;
+
+module.exports = { mediaUrl, formatTracks, uploadsUrl };
@@ -0,0 +1,230 @@
+// utils/trash.js
+//
+// Deleting photos, music, blogs, events or comments only moves them to the
+// trash. Admins can restore them until the retention period runs out; after
+// that purgeExpired() removes the rows and their files for good. server.js
+// runs it on a timer, and `npm run trash:purge` runs it by hand. Until then
+// the files stay on disk, and hideTrashedUploads keeps them from being served.
+const path = require('path');
+const { photos, music, blogs, events, albums, tags, releases, withTransaction } = require('../repositories');
+const { removeFiles } = require('./imageVariants');
+const { getSetting, setSetting } = require('./settings');
+const { ORIGINALS_DIR } = require('./watermark');
+const { WAVEFORM_DIR } = require('./waveform');
+
+const UPLOADS = path.join(__dirname, '../uploads');
+
+/*
+  Where a stored file reference points: { dir, file }, or null for nothing
+  local (empty, or hosted elsewhere). Most columns hold a bare filename in
+  `dir`; the old admin uploads stored the URL path (/uploads/...) instead.
+*/
+const uploadedFile = (dir, value) => {
+  if (!value || /^https?:\/\//.test(value)) return null;
+  if (!value.startsWith('/uploads/')) return { dir, file: path.basename(value) };
+  const full = path.resolve(UPLOADS, `.${value.slice('/uploads'.length)}`);
+  if (!full.startsWith(UPLOADS + path.sep)) return null;
+  return { dir: path.dirname(full), file: path.basename(full) };
+};
+
+const DEFAULT_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const RETENTION_SETTING = 'trash_retention_days';
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const PURGE_BATCH = 200;
+
+/*
+  Everything that can sit in the trash. `purge(row, conn)` deletes the row and
+  anything hanging off it, resolving with the files to unlink once the
+  transaction has committed: [{ dir, file }]. Types with files under /uploads
+  name the folders they keep them in (the first by bare filename) and how to
+  tell whether a trashed row holds one (`repo.hasTrashedFile`).
+*/
+const TRASH_TYPES = {
+  photo: {
+    repo: photos,
+    uploadFolders: ['photos'],
+    purge: async (row, conn) => {
+      const variants = await photos.removeVariants(row.id, conn);
+      await albums.detachPhoto(row.id, conn);
+      await tags.detachAll('photo', row.id, conn);
+      await photos.purge(row.id, conn);
+      const dir = path.join(UPLOADS, 'photos');
+      return [
+        ...[row.file_path, ...variants.map((v) => v.file_path)].map((file) => uploadedFile(dir, file)),
+        uploadedFile(ORIGINALS_DIR, row.original_path)
+      ];
+    },
+  },
+  music: {
+    repo: music,
+    uploadFolders: ['.', 'music'],
+    purge: async (row, conn) => {
+      await tags.detachAll('music', row.id, conn);
+      await releases.detachTrack(row.id, conn);
+      await music.purge(row.id, conn);
+      return [
+        ...[row.src, row.file_path, row.cover].map((file) => uploadedFile(UPLOADS, file)),
+        uploadedFile(WAVEFORM_DIR, row.waveform)
+      ];
+    },
+  },
+  blog: {
+    repo: blogs,
+    uploadFolders: ['blogs'],
+    purge: async (row, conn) => {
+      await tags.detachAll('blog', row.id, conn);
+      await blogs.purge(row.id, conn);
+      return [uploadedFile(path.join(UPLOADS, 'blogs'), row.image_url)];
+    },
+  },
+  event: {
+    repo: events,
+    purge: async (row, conn) => {
+      await events.purge(row.id, conn);
+      return [];
+    },
+  },
+  comment: {
+    repo: blogs.comments,
+    purge: async (row, conn) => {
+      await blogs.purgeComment(row.id, conn);
+      return [];
+    },
+  },
+};
+
+const getRetentionDays = async () => Number(await getSetting(RETENTION_SETTING, DEFAULT_RETENTION_DAYS));
+
+const setRetentionDays = (days, adminId) => setSetting(RETENTION_SETTING, days, adminId);
+
+const unlinkAll = async (files) => {
+  for (const { dir, file } of files) {
+    await removeFiles(dir, [file]).catch((err) => {
+      console.warn(`⚠️ Failed to remove purged file ${file}:`, err.message);
+    });
+  }
+};
+
+/*
+  Trash contents, most recently deleted first, optionally for one type:
+    [{ type, id, label, deletedAt, purgeAfter }]
+*/
+const listTrash = async (type) => {
+  const retentionDays = await getRetentionDays();
+  const types = type ? [type] : Object.keys(TRASH_TYPES);
+  const items = [];
+  for (const name of types) {
+    for (const row of await TRASH_TYPES[name].repo.listTrashed()) {
+      const deletedAt = new Date(row.deleted_at);
+      items.push({
+        type: name,
+        id: row.id,
+        label: row.label,
+        deletedAt,
+        purgeAfter: new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000),
+      });
+    }
+  }
+  return items.sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+// Resolves with the restored row, or null if it isn't in the trash
+const restoreItem = (type, id) => withTransaction(async (conn) => {
+  const { repo } = TRASH_TYPES[type];
+  const row = await repo.findTrashedById(id, conn);
+  if (!row) return null;
+  await repo.restore(row.id, conn);
+  return row;
+});
+
+// Deletes a trashed item for good; resolves with the purged row, or null if it isn't in the trash
+const purgeItem = async (type, id) => {
+  const purged = await withTransaction(async (conn) => {
+    const row = await TRASH_TYPES[type].repo.findTrashedById(id, conn);
+    if (!row) return null;
+    return { row, files: await TRASH_TYPES[type].purge(row, conn) };
+  });
+  if (!purged) return null;
+  // Files go only after the rows are gone, so a rollback never loses one
+  await unlinkAll(purged.files.filter(Boolean));
+  return purged.row;
+};
+
+// Purges everything trashed longer ago than the retention period; resolves with counts per type
+const purgeExpired = async () => {
+  const retentionDays = await getRetentionDays();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const purged = {};
+  for (const [type, { repo }] of Object.entries(TRASH_TYPES)) {
+    purged[type] = 0;
+    let batch;
+    let progressed;
+    do {
+      batch = await repo.listExpired(cutoff, PURGE_BATCH);
+      progressed = 0;
+      for (const row of batch) {
+        // One bad row must not hold up the rest of the trash
+        try {
+          if (await purgeItem(type, row.id)) progressed++;
+        } catch (err) {
+          console.error(`❌ Failed to purge ${type} ${row.id}:`, err.message);
+        }
+      }
+      purged[type] += progressed;
+    } while (batch.length === PURGE_BATCH && progressed > 0);
+  }
+  return purged;
+};
+
+/*
+  Middleware for the /uploads static mount: 404s files that belong to a
+  trashed item, so trashing takes them offline at once and restoring brings
+  them back. Only requests into a trash type's upload folders are looked up.
+*/
+const hideTrashedUploads = async (req, res, next) => {
+  let rel;
+  try {
+    rel = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+  } catch (err) {
+    // Malformed; the static mount answers those
+    return next();
+  }
+  const folder = path.posix.dirname(rel);
+
+  try {
+    for (const { repo, uploadFolders } of Object.values(TRASH_TYPES)) {
+      if (!uploadFolders || !uploadFolders.includes(folder)) continue;
+      const names = [`/uploads/${rel}`, ...(folder === uploadFolders[0] ? [path.posix.basename(rel)] : [])];
+      if (await repo.hasTrashedFile(names)) return res.status(404).json({ message: 'Route not found' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+  next();
+};
+
+// Runs purgeExpired shortly after boot and then every few hours
+const scheduleTrashPurge = () => {
+  const run = () => purgeExpired()
+    .then((purged) => {
+      const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+      if (total > 0) console.log(`🗑️ Purged ${total} expired trash item(s)`, purged);
+    })
+    .catch((err) => console.error('❌ Trash purge failed:', err.message));
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_TYPES,
+  DEFAULT_RETENTION_DAYS,
+  getRetentionDays,
+  setRetentionDays,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired,
+  hideTrashedUploads,
+  scheduleTrashPurge,
+};
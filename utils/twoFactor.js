@@ -0,0 +1,61 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const dotenv = require('dotenv');
+const { runQuery } = require('../repositories');
+dotenv.config();
+
+const ISSUER = process.env.TOTP_ISSUER || 'Band Portal';
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// New TOTP secret plus the otpauth:// URI authenticator apps scan
+const createTotpSecret = (username) => {
+  const { base32 } = speakeasy.generateSecret({ length: 20, otpauth_url: false });
+  const otpauthUrl = speakeasy.otpauthURL({
+    secret: base32,
+    encoding: 'base32',
+    label: `${encodeURIComponent(ISSUER)}:${encodeURIComponent(username)}`,
+    issuer: ISSUER
+  });
+  return { secret: base32, otpauthUrl };
+};
+
+// The time step a code belongs to, or null if it's wrong; allows one 30s step of clock drift either way
+const totpStep = (secret, code) => {
+  if (!secret || !code) return null;
+  const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  const match = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: String(code).replace(/\s/g, ''),
+    counter,
+    window: 1
+  });
+  return match ? counter + match.delta : null;
+};
+
+/*
+  Checks a code against an admin row ({ id, totp_secret }) and uses it up:
+  only codes from a later time step than the last one accepted get through,
+  so a code someone has seen can't be replayed while it is still valid.
+*/
+const verifyTotp = async (admin, code) => {
+  const step = totpStep(admin.totp_secret, code);
+  if (step === null) return false;
+  const result = await runQuery(
+    'UPDATE admin SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, admin.id, step]
+  );
+  return result.affectedRows > 0;
+};
+
+// Codes look like "a1b2c-3d4e5"; dashes, spaces and case are ignored when checked
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+module.exports = { createTotpSecret, verifyTotp, normalizeRecoveryCode, generateRecoveryCodes };
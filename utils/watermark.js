@@ -0,0 +1,314 @@
+// utils/watermark.js
+//
+// Watermarks on the public photo variants. Admins configure one watermark (a
+// line of text or an uploaded PNG, with position, opacity and scale); every
+// photo keeps a clean master under storage/originals, which is never served
+// statically, so variants can be re-rendered whenever the settings change.
+//
+// Whether a photo is watermarked: nothing is while the watermark is disabled;
+// otherwise the photo's own toggle decides, and if it has none the photo is
+// watermarked unless one of its albums has watermarking turned off.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { photos, withTransaction } = require('../repositories');
+const { PRIMARY_VARIANT, generateBaseName, renderVariants, removeFiles } = require('./imageVariants');
+const { getSetting, setSetting } = require('./settings');
+
+const PHOTOS_DIR = path.join(__dirname, '../uploads/photos');
+const ORIGINALS_DIR = path.join(__dirname, '../storage/originals');
+const WATERMARK_DIR = path.join(__dirname, '../storage/watermarks');
+for (const dir of [ORIGINALS_DIR, WATERMARK_DIR]) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+const SETTING_KEY = 'photo_watermark';
+const TYPES = ['text', 'image'];
+const MAX_TEXT_LENGTH = 100;
+
+// [horizontal, vertical] anchor of the watermark for each position
+const POSITIONS = {
+  'top-left': ['start', 'start'],
+  top: ['center', 'start'],
+  'top-right': ['end', 'start'],
+  left: ['start', 'center'],
+  center: ['center', 'center'],
+  right: ['end', 'center'],
+  'bottom-left': ['start', 'end'],
+  bottom: ['center', 'end'],
+  'bottom-right': ['end', 'end']
+};
+
+/*
+  opacity: 0–1
+  scale:   watermark width as a fraction of the photo's width
+  image:   filename under storage/watermarks, set by uploading a PNG
+*/
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  type: 'text',
+  text: '',
+  image: null,
+  position: 'bottom-right',
+  opacity: 0.5,
+  scale: 0.2
+};
+
+// Gap between the watermark and the photo's edge, as a fraction of its shorter side
+const MARGIN = 0.03;
+
+const getWatermarkSettings = async () => ({ ...DEFAULT_SETTINGS, ...(await getSetting(SETTING_KEY, {})) });
+
+const saveWatermarkSettings = (settings, adminId) => setSetting(SETTING_KEY, settings, adminId);
+
+/*
+  Applies a partial update from the API to `current`.
+  Resolves to { settings } or { error }.
+*/
+const validateWatermarkSettings = (input = {}, current = DEFAULT_SETTINGS) => {
+  const next = { ...current };
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    next.enabled = input.enabled;
+  }
+  if (input.type !== undefined) {
+    if (!TYPES.includes(input.type)) return { error: `type must be one of: ${TYPES.join(', ')}` };
+    next.type = input.type;
+  }
+  if (input.text !== undefined) {
+    if (typeof input.text !== 'string' || input.text.trim().length > MAX_TEXT_LENGTH) {
+      return { error: `text must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    next.text = input.text.trim();
+  }
+  if (input.position !== undefined) {
+    if (!POSITIONS[input.position]) return { error: `position must be one of: ${Object.keys(POSITIONS).join(', ')}` };
+    next.position = input.position;
+  }
+  if (input.opacity !== undefined) {
+    if (typeof input.opacity !== 'number' || !(input.opacity > 0 && input.opacity <= 1)) {
+      return { error: 'opacity must be a number above 0 and at most 1' };
+    }
+    next.opacity = input.opacity;
+  }
+  if (input.scale !== undefined) {
+    if (typeof input.scale !== 'number' || !(input.scale >= 0.05 && input.scale <= 1)) {
+      return { error: 'scale must be a number between 0.05 and 1' };
+    }
+    next.scale = input.scale;
+  }
+
+  if (next.enabled && next.type === 'text' && !next.text) {
+    return { error: 'Set text before enabling a text watermark' };
+  }
+  if (next.enabled && next.type === 'image' && !next.image) {
+    return { error: 'Upload a PNG before enabling an image watermark' };
+  }
+  return { settings: next };
+};
+
+// Identifies what a watermarked variant looks like; stored on the photo as watermark_signature
+const signatureFor = (settings) => crypto.createHash('sha256').update(JSON.stringify([
+  settings.type,
+  settings.type === 'text' ? settings.text : settings.image,
+  settings.position,
+  settings.opacity,
+  settings.scale
+])).digest('hex');
+
+// photo: { watermark, album_opt_out } — the photo's toggle (null to follow its albums)
+const wantsWatermark = (settings, photo) => {
+  if (!settings.enabled) return false;
+  if (photo.watermark !== null && photo.watermark !== undefined) return Boolean(Number(photo.watermark));
+  return !Number(photo.album_opt_out);
+};
+
+// White bold text with a faint outline, trimmed to its glyphs
+const renderText = (text) => {
+  const escaped = text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${text.length * 100 + 40}" height="140">
+    <text x="20" y="100" font-family="sans-serif" font-size="96" font-weight="bold"
+      fill="#fff" stroke="#000" stroke-width="3" stroke-opacity="0.35">${escaped}</text>
+  </svg>`;
+  return sharp(Buffer.from(svg)).trim().png().toBuffer();
+};
+
+/*
+  Prepares the configured watermark once and resolves with the function
+  renderVariants() expects: (width, height) → sharp composite entry that
+  places it on an image of that size.
+*/
+const createWatermarker = async (settings) => {
+  const source = settings.type === 'image'
+    ? await fs.promises.readFile(path.join(WATERMARK_DIR, settings.image))
+    : await renderText(settings.text);
+  const [horizontal, vertical] = POSITIONS[settings.position];
+  const alpha = Buffer.from([255, 255, 255, Math.round(settings.opacity * 255)]);
+
+  return async (width, height) => {
+    const margin = Math.round(Math.min(width, height) * MARGIN);
+    const { data, info } = await sharp(source)
+      .resize({
+        width: Math.max(1, Math.round(width * settings.scale)),
+        height: Math.max(1, height - 2 * margin),
+        fit: 'inside'
+      })
+      .ensureAlpha()
+      // dest-in keeps the watermark's own transparency and scales it by the opacity
+      .composite([{ input: alpha, raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }])
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    const place = (anchor, room, size) => {
+      if (anchor === 'start') return margin;
+      if (anchor === 'center') return Math.round((room - size) / 2);
+      return Math.max(0, room - size - margin);
+    };
+    return {
+      input: data,
+      left: place(horizontal, width, info.width),
+      top: place(vertical, height, info.height)
+    };
+  };
+};
+
+/*
+  Re-renders one photo's variants from its master if they don't match what
+  the settings call for (or always, with force). Photos from before masters
+  were kept get their clean large JPEG promoted to master first.
+  `photo` comes from photos.listWatermarkTargets(). Resolves with
+  'rendered', 'unchanged' or 'skipped'.
+*/
+const rerenderPhoto = async (photo, { settings, getWatermarker, force = false }) => {
+  const signature = wantsWatermark(settings, photo) ? signatureFor(settings) : null;
+  if (!force && photo.watermark_signature === signature) return 'unchanged';
+
+  let originalPath = photo.original_path;
+  let promoted = null;
+  if (!originalPath) {
+    // Watermarked variants can't become a master; only never-watermarked ones are clean
+    if (photo.watermark_signature) {
+      console.warn(`⚠️ Photo ${photo.id} has no clean original; skipped`);
+      return 'skipped';
+    }
+    // Photos from the old admin upload stored their URL path rather than a filename
+    const served = path.basename(photo.file_path);
+    originalPath = `${path.parse(served).name}-original${path.extname(served)}`;
+    await fs.promises.copyFile(path.join(PHOTOS_DIR, served), path.join(ORIGINALS_DIR, originalPath));
+    promoted = originalPath;
+  }
+
+  const variants = await renderVariants(path.join(ORIGINALS_DIR, originalPath), PHOTOS_DIR, generateBaseName(), {
+    watermark: signature ? await getWatermarker() : null
+  });
+  const primary = variants.find((v) => v.variant === PRIMARY_VARIANT.variant && v.format === PRIMARY_VARIANT.format);
+
+  let replaced;
+  try {
+    replaced = await withTransaction(async (conn) => {
+      // Trashed or re-rendered by someone else in the meantime: leave it alone
+      const current = await photos.findRawById(photo.id, conn);
+      if (!current || current.file_path !== photo.file_path) return null;
+
+      const previous = await photos.removeVariants(photo.id, conn);
+      await photos.addVariants(photo.id, variants, conn);
+      await photos.setRendition(photo.id, {
+        file_path: primary.file_path,
+        size: (primary.size_bytes / 1024 / 1024).toFixed(2) + ' MB',
+        original_path: originalPath,
+        watermark_signature: signature
+      }, conn);
+      return previous;
+    });
+  } catch (err) {
+    replaced = null;
+    console.error(`❌ Failed to save re-rendered photo ${photo.id}:`, err.message);
+  }
+
+  if (!replaced) {
+    await removeFiles(PHOTOS_DIR, variants.map((v) => v.file_path));
+    if (promoted) await removeFiles(ORIGINALS_DIR, [promoted]);
+    return 'skipped';
+  }
+
+  await removeFiles(PHOTOS_DIR, [path.basename(photo.file_path), ...replaced.map((v) => v.file_path)]).catch((err) => {
+    console.warn(`⚠️ Failed to remove old variants of photo ${photo.id}:`, err.message);
+  });
+  return 'rendered';
+};
+
+/*
+  Brings the given photos (or, without ids, the whole library) in line with
+  the current settings. Resolves with counts:
+    { rendered, unchanged, skipped, failed }
+*/
+const rerenderPhotos = async ({ ids = null, force = false, batchSize = 100 } = {}) => {
+  const settings = await getWatermarkSettings();
+  let watermarker = null;
+  const context = {
+    settings,
+    force,
+    // Built on first use, so runs that render nothing watermarked never touch the watermark file
+    getWatermarker: async () => {
+      if (!watermarker) watermarker = await createWatermarker(settings);
+      return watermarker;
+    }
+  };
+
+  const counts = { rendered: 0, unchanged: 0, skipped: 0, failed: 0 };
+  const renderBatch = async (batch) => {
+    for (const photo of batch) {
+      try {
+        counts[await rerenderPhoto(photo, context)]++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`❌ Failed to re-render photo ${photo.id}:`, err.message);
+      }
+    }
+  };
+
+  if (ids) {
+    await renderBatch(await photos.listWatermarkTargets({ ids }));
+    return counts;
+  }
+
+  let afterId = '';
+  let batch;
+  do {
+    batch = await photos.listWatermarkTargets({ afterId, limit: batchSize });
+    await renderBatch(batch);
+    afterId = batch.length > 0 ? batch[batch.length - 1].id : afterId;
+  } while (batch.length === batchSize);
+  return counts;
+};
+
+// Background re-renders run one after another, so a burst of album edits can't pile up sharp jobs
+let queue = Promise.resolve();
+
+// For routes that change which photos want a watermark; doesn't wait for the render
+const queueRerender = (ids) => {
+  if (ids.length === 0) return;
+  queue = queue
+    .then(() => rerenderPhotos({ ids }))
+    .then((counts) => {
+      if (counts.rendered > 0) console.log(`💧 Re-rendered ${counts.rendered} photo(s)`, counts);
+    })
+    .catch((err) => console.error('❌ Watermark re-render failed:', err.message));
+};
+
+module.exports = {
+  ORIGINALS_DIR,
+  WATERMARK_DIR,
+  POSITIONS,
+  DEFAULT_SETTINGS,
+  getWatermarkSettings,
+  saveWatermarkSettings,
+  validateWatermarkSettings,
+  signatureFor,
+  wantsWatermark,
+  createWatermarker,
+  rerenderPhotos,
+  queueRerender
+};
@@ -0,0 +1,178 @@
+// utils/waveform.js
+//
+// Precomputed waveform peaks, so players can draw a track without downloading
+// and decoding all of it first. Peaks are computed once per uploaded file and
+// kept under storage/waveforms as JSON: for each resolution, min/max pairs of
+// 8-bit samples across all channels, the layout audiowaveform uses (and
+// peaks.js and wavesurfer.js read).
+//
+// Files are decoded in-process (mp3, wav, flac, ogg, opus); tracks in other
+// formats, video and tracks hosted elsewhere just have no waveform.
+const fs = require('fs');
+const path = require('path');
+const { music, withTransaction } = require('../repositories');
+const { newId } = require('./ids');
+const { removeFiles } = require('./imageVariants');
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+const WAVEFORM_DIR = path.join(__dirname, '../storage/waveforms');
+if (!fs.existsSync(WAVEFORM_DIR)) fs.mkdirSync(WAVEFORM_DIR, { recursive: true });
+
+// Peaks (min/max pairs) per track, coarsest first; each divides the finest
+const RESOLUTIONS = [256, 1024, 4096];
+const DEFAULT_RESOLUTION = 1024;
+
+const DECODABLE = ['.mp3', '.wav', '.flac', '.ogg', '.oga', '.opus'];
+
+const toByte = (sample) => Math.max(-128, Math.min(127, Math.round(sample * 127)));
+
+/*
+  Peaks of a decoded AudioBuffer at every resolution:
+    { sample_rate, duration, resolutions: { [peaks]: { samples_per_pixel, length, data } } }
+  The finest resolution is read from the samples; coarser ones are merged from it.
+*/
+const computePeaks = (audio) => {
+  const finest = RESOLUTIONS[RESOLUTIONS.length - 1];
+  const samplesPerPixel = Math.max(1, Math.ceil(audio.length / finest));
+  const length = Math.ceil(audio.length / samplesPerPixel);
+  const channels = Array.from({ length: audio.numberOfChannels }, (_, c) => audio.getChannelData(c));
+
+  const data = new Array(length * 2);
+  for (let i = 0; i < length; i++) {
+    const end = Math.min(audio.length, (i + 1) * samplesPerPixel);
+    let min = 0;
+    let max = 0;
+    for (const samples of channels) {
+      for (let s = i * samplesPerPixel; s < end; s++) {
+        if (samples[s] < min) min = samples[s];
+        else if (samples[s] > max) max = samples[s];
+      }
+    }
+    data[i * 2] = toByte(min);
+    data[i * 2 + 1] = toByte(max);
+  }
+
+  const resolutions = {};
+  for (const peaks of RESOLUTIONS) {
+    const factor = finest / peaks;
+    const merged = [];
+    for (let i = 0; i < length; i += factor) {
+      const group = data.slice(i * 2, Math.min(length, i + factor) * 2);
+      merged.push(Math.min(...group.filter((_, j) => j % 2 === 0)), Math.max(...group.filter((_, j) => j % 2 === 1)));
+    }
+    resolutions[peaks] = { samples_per_pixel: samplesPerPixel * factor, length: merged.length / 2, data: merged };
+  }
+  return { sample_rate: audio.sampleRate, duration: audio.duration, resolutions };
+};
+
+// Decodes a file and writes its peaks; resolves with the new filename under WAVEFORM_DIR
+const generateWaveform = async (filePath) => {
+  // audio-decode is an ES module
+  const { default: decode } = await import('audio-decode');
+  const audio = await decode(await fs.promises.readFile(filePath));
+  const filename = `waveform-${newId()}.json`;
+  await fs.promises.writeFile(path.join(WAVEFORM_DIR, filename), JSON.stringify(computePeaks(audio)));
+  return filename;
+};
+
+/*
+  Reads one resolution of a stored peaks file, in audiowaveform's JSON format:
+    { version: 2, channels: 1, sample_rate, samples_per_pixel, bits: 8, length, data }
+  Resolves with null if the file is gone.
+*/
+const readWaveform = async (filename, peaks = DEFAULT_RESOLUTION) => {
+  let stored;
+  try {
+    stored = JSON.parse(await fs.promises.readFile(path.join(WAVEFORM_DIR, path.basename(filename)), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const { samples_per_pixel, length, data } = stored.resolutions[peaks];
+  return { version: 2, channels: 1, sample_rate: stored.sample_rate, samples_per_pixel, bits: 8, length, data };
+};
+
+/*
+  Generates the waveform for one track ({ id, src, waveform }) unless it has
+  one already (or always, with force). Resolves with 'generated', 'unchanged'
+  or 'skipped' (no local file in a format we can decode, or the track changed
+  while it was being decoded).
+*/
+const updateTrackWaveform = async (track, { force = false } = {}) => {
+  if (!track.src || /^https?:\/\//.test(track.src)) return 'skipped';
+  if (!DECODABLE.includes(path.extname(track.src).toLowerCase())) return 'skipped';
+  if (!force && track.waveform) return 'unchanged';
+
+  const filename = await generateWaveform(path.join(UPLOAD_DIR, path.basename(track.src)));
+
+  let previous;
+  try {
+    previous = await withTransaction(async (conn) => {
+      // Trashed, or its file replaced in the meantime: these peaks are for nothing
+      const current = await music.findById(track.id, conn);
+      if (!current || current.src !== track.src) return undefined;
+      await music.update(current.id, { waveform: filename }, conn);
+      return current.waveform;
+    });
+  } catch (err) {
+    previous = undefined;
+    console.error(`❌ Failed to save waveform for track ${track.id}:`, err.message);
+  }
+
+  if (previous === undefined) {
+    await removeFiles(WAVEFORM_DIR, [filename]);
+    return 'skipped';
+  }
+  await removeFiles(WAVEFORM_DIR, [previous]).catch((err) => {
+    console.warn(`⚠️ Failed to remove old waveform of track ${track.id}:`, err.message);
+  });
+  return 'generated';
+};
+
+/*
+  Backfill: generates waveforms for every track that lacks one (or, with
+  force, every track). Resolves with counts:
+    { generated, unchanged, skipped, failed }
+*/
+const generateWaveforms = async ({ force = false, batchSize = 50 } = {}) => {
+  const counts = { generated: 0, unchanged: 0, skipped: 0, failed: 0 };
+  let afterId = '';
+  let batch;
+  do {
+    batch = await music.listWaveformTargets({ afterId, limit: batchSize, all: force });
+    for (const track of batch) {
+      try {
+        counts[await updateTrackWaveform(track, { force })]++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`❌ Failed to generate waveform for track ${track.id}:`, err.message);
+      }
+    }
+    afterId = batch.length > 0 ? batch[batch.length - 1].id : afterId;
+  } while (batch.length === batchSize);
+  return counts;
+};
+
+// Decoding holds a whole track in memory, so background jobs run one at a time
+let queue = Promise.resolve();
+
+// For routes that save a new file; doesn't wait for the waveform
+const queueWaveform = (track) => {
+  queue = queue
+    .then(() => updateTrackWaveform(track, { force: true }))
+    .then((result) => {
+      if (result === 'generated') console.log(`🌊 Generated waveform for track ${track.id}`);
+    })
+    .catch((err) => console.error(`❌ Waveform generation failed for track ${track.id}:`, err.message));
+};
+
+module.exports = {
+  WAVEFORM_DIR,
+  RESOLUTIONS,
+  DEFAULT_RESOLUTION,
+  computePeaks,
+  readWaveform,
+  updateTrackWaveform,
+  generateWaveforms,
+  queueWaveform
+};